@@ -0,0 +1,115 @@
+/*
+The rate the UART talks to the module at. Out of the box the SIM900
+autobauds, picking up whatever rate the first AT after power up comes at, but
+a rate fixed with AT+IPR and saved with AT&W sticks, and a driver opening the
+UART at any other rate gets no answer. `detect` finds the rate by trying an AT
+at each one in turn, and `set` fixes a new one and moves the UART over to it.
+Either works only if the transport can change its UART's rate.
+*/
+
+//  What AT+IPR takes besides 0 for autobauding, likeliest first
+var RATES = [115200, 57600, 38400, 19200, 9600, 4800, 2400, 1200];
+
+function change (gprs, rate, callback) {
+  //  Move the UART to `rate`, reopening it if need be, with the Packetizer and Postmaster carrying on as they were
+  gprs.transport.setBaudRate(rate, function (err, uart) {
+    if (!err) {
+      gprs.baudrate = rate;
+      if (uart && uart !== gprs.uart) {
+        gprs.uart = uart;
+        gprs.packetizer.reattach(uart);
+        gprs.postmaster.uart = uart;
+        if (gprs.recorder) {
+          gprs.recorder.move(uart);
+        }
+      }
+    }
+    callback(err);
+  });
+}
+
+function detect (gprs, callback) {
+  /*
+  Find the rate the module answers at, trying each of RATES but the current one. Leaves the UART at the old rate if none works.
+
+  Callback parameters
+    found
+      The rate it answered at, or null
+  */
+
+  var original = gprs.baudrate;
+  if (!gprs.transport.setBaudRate) {
+    return setImmediate(callback, null);
+  }
+  var rates = RATES.filter(function (rate) {
+    return rate !== original;
+  });
+  var attempt = function (i) {
+    if (i === rates.length) {
+      return change(gprs, original, function () {
+        callback(null);
+      });
+    }
+    change(gprs, rates[i], function (err) {
+      if (err) {
+        return attempt(i + 1);
+      }
+      gprs._txrx('AT', 500, function (err) {
+        if (err) {
+          return attempt(i + 1);
+        }
+        callback(rates[i]);
+      }, [['AT', 'OK'], ['OK'], 1], {priority: 1});
+    });
+  };
+  attempt(0);
+}
+
+function set (gprs, rate, persist, callback) {
+  /*
+  Have the module talk at `rate` (AT+IPR) and move the UART over to it
+
+  args
+    rate
+      One of RATES, or 0 to go back to autobauding, which leaves the UART where it is
+    persist
+      Save it (AT&W) so the module comes back up at this rate
+
+  Callback parameters
+    err
+      Error, if the rate couldn't be set
+  */
+
+  if (rate !== 0 && RATES.indexOf(rate) === -1) {
+    return setImmediate(callback, new Error('Unsupported baud rate: ' + rate + ', must be one of ' + RATES.join(', ') + ' or 0'));
+  }
+  if (rate && rate !== gprs.baudrate && !gprs.transport.setBaudRate) {
+    return setImmediate(callback, new Error('The UART\'s baud rate can\'t be changed'));
+  }
+  gprs._command('AT+IPR=' + rate, 2000, function (err) {
+    if (err) {
+      return callback(err);
+    }
+    //  The OK came at the old rate. Nothing else goes out until the UART has caught up.
+    var held = gprs.postmaster.drain();
+    var done = function (err) {
+      gprs.postmaster.restore(held);
+      callback(err);
+    };
+    var save = function (err) {
+      if (err || !persist) {
+        return done(err);
+      }
+      gprs._command('AT&W', 2000, done, null, {immediate: true});
+    };
+    if (rate && rate !== gprs.baudrate) {
+      change(gprs, rate, save);
+    } else {
+      save(null);
+    }
+  });
+}
+
+module.exports.RATES = RATES;
+module.exports.detect = detect;
+module.exports.set = set;
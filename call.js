@@ -0,0 +1,187 @@
+/*
+Voice calls. The SIM900 reports what its calls are doing with +CLCC
+(AT+CLCC=1), the caller's number with +CLIP (AT+CLIP=1) and the end of a
+call with a line like 'NO CARRIER'. Whichever of these comes in, we fold it
+into one state machine and emit a 'call' event whenever the state changes:
+
+  idle -> dialing -> alerting -> active -> ended     (outgoing)
+  idle -> ringing -> active -> ended                 (incoming)
+
+with 'held' possible once a call is active. `gprs.call` is the call in
+progress, or null when idle. We follow one call at a time.
+*/
+
+var response = require('./response.js');
+
+//  +CLCC <stat> -> state. 5 is a second call waiting, which rings like the first.
+var STATES = ['active', 'held', 'dialing', 'alerting', 'ringing', 'ringing', 'ended'];
+//  What the module says when a call ends, or never starts
+var ENDINGS = ['NO CARRIER', 'BUSY', 'NO ANSWER', 'NO DIALTONE'];
+
+function update (gprs, changes) {
+  /*
+  Move the current call along, emitting 'call' if anything the user cares about changed
+
+  args
+    gprs
+      The GPRS object
+    changes
+      Any of id, number, direction ('outgoing' or 'incoming'), state and reason
+  */
+
+  var call = gprs.call;
+  if (!call) {
+    //  Nothing to end
+    if (changes.state === 'ended') {
+      return;
+    }
+    call = gprs.call = {id: null, number: null, direction: null, state: 'idle', reason: null};
+  }
+  var changed = false;
+  Object.keys(changes).forEach(function (key) {
+    if (changes[key] !== undefined && changes[key] !== null && call[key] !== changes[key]) {
+      call[key] = changes[key];
+      changed = changed || key === 'state' || key === 'number';
+    }
+  });
+  if (call.state === 'ended') {
+    gprs.call = null;
+  }
+  gprs.inACall = ['dialing', 'alerting', 'active', 'held'].indexOf(call.state) > -1;
+  if (changed) {
+    gprs.emit('call', snapshot(call));
+  }
+}
+
+function snapshot (call) {
+  return {id: call.id, number: call.number, direction: call.direction, state: call.state, reason: call.reason};
+}
+
+function handleLine (gprs, line) {
+  /*
+  Update the call from a line the module sent, unsolicited or in reply to one of our commands
+
+  returns
+    true if the line was about a call
+  */
+
+  if (typeof line !== 'string') {
+    return false;
+  }
+  var call = gprs.call;
+  var match = line.match(/^\+CLCC: (\d+),([01]),(\d),\d,\d(?:,"([^"]*)",\d+)?/);
+  if (match) {
+    var id = parseInt(match[1], 10);
+    //  Some other call, ie one waiting while we're on this one
+    if (call && call.id !== null && call.id !== id) {
+      return true;
+    }
+    update(gprs, {
+      id: id,
+      direction: match[2] === '0' ? 'outgoing' : 'incoming',
+      state: STATES[parseInt(match[3], 10)],
+      number: match[4] || null,
+      reason: match[3] === '6' ? 'NO CARRIER' : null
+    });
+    return true;
+  }
+  if (line === 'RING') {
+    if (!call) {
+      update(gprs, {direction: 'incoming', state: 'ringing'});
+    }
+    return true;
+  }
+  match = line.match(/^\+CLIP: "([^"]*)"/);
+  if (match) {
+    if (!call || call.state === 'ringing') {
+      update(gprs, {direction: 'incoming', state: 'ringing', number: match[1] || null});
+    }
+    return true;
+  }
+  //  The far end picked up. +COLP comes with AT+COLP=1, CONNECT on some firmware.
+  match = line.match(/^\+COLP: "([^"]*)"/);
+  if (match || line === 'CONNECT') {
+    if (call && call.direction === 'outgoing' && call.state !== 'active') {
+      update(gprs, {state: 'active', number: match ? match[1] || null : null});
+    }
+    return true;
+  }
+  if (ENDINGS.indexOf(line) > -1) {
+    if (call) {
+      update(gprs, {state: 'ended', reason: line});
+    }
+    return true;
+  }
+  return false;
+}
+
+function dial (gprs, number, timeout, callback) {
+  /*
+  Call `number` and wait for an answer
+
+  args
+    gprs
+      The GPRS object
+    number
+      Number to call
+    timeout
+      Milliseconds to wait for an answer before hanging up
+    callback
+      Callback function, called with an error or the answered call
+  */
+
+  var command = 'ATD' + number + ';';
+  var timer = null;
+  var finished = false;
+  var onCall = function (call) {
+    if (call.state === 'active') {
+      finish(null, call);
+    } else if (call.state === 'ended') {
+      var err = new Error('Call to ' + number + ' ended: ' + call.reason);
+      err.reason = call.reason;
+      finish(err, call);
+    }
+  };
+  var finish = function (err, call) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    clearTimeout(timer);
+    gprs.removeListener('call', onCall);
+    callback(err, call);
+  };
+
+  update(gprs, {direction: 'outgoing', state: 'dialing', number: String(number)});
+  gprs.on('call', onCall);
+  gprs._txrx(command, 20000, function (err, data) {
+    data = data || [];
+    data.forEach(function (line) {
+      handleLine(gprs, line);
+    });
+    var last = data[data.length - 1];
+    if (!err && last !== 'OK') {
+      err = response.error(command, data);
+    }
+    if (err) {
+      //  No call came of it. Say why with our error rather than onCall's.
+      gprs.removeListener('call', onCall);
+      update(gprs, {state: 'ended', reason: last || err.type || 'ERROR'});
+      return finish(err, null);
+    }
+    if (gprs.call && gprs.call.state !== 'active') {
+      timer = setTimeout(function () {
+        var err = new Error('No answer from ' + number + ' after ' + timeout + ' ms');
+        err.type = 'timeout';
+        gprs.removeListener('call', onCall);
+        gprs.hangUp(function () {
+          finish(err, null);
+        });
+      }, timeout);
+    }
+  }, [[command], ['OK', 'ERROR'].concat(ENDINGS)]);
+}
+
+module.exports.update = update;
+module.exports.handleLine = handleLine;
+module.exports.dial = dial;
@@ -0,0 +1,215 @@
+/*
+SMS status reports. A text sent with its SRR bit set gets a report from the
+SMSC once it's delivered, or once the SMSC gives up. The module passes the
+report on as '+CDS: <length>' and its PDU on the next line (AT+CNMI ds=1),
+or stores it and says where with '+CDSI: "<mem>",<index>' (ds=2). Either
+way it comes out as a 'delivered' or 'failed' event, with the reference
++CMGS gave the text when it was sent, so they can be matched up.
+
+Reports on the same reference can also be waited on with `wait`. References
+go round every 256 texts, so `sent` forgets any old report for a reference
+as soon as a new text is given it.
+*/
+
+var pdu = require('./pdu.js');
+var response = require('./response.js');
+
+function state (status) {
+  //  TP-Status: 0x00-0x1F done with, 0x20-0x3F still trying, 0x40 and up given up on
+  return status < 0x20 ? 'delivered' : status < 0x40 ? 'pending' : 'failed';
+}
+
+function fromPDU (hex) {
+  /*
+  returns
+    {reference, recipient, status, state, timestamp, discharged}
+  */
+
+  var decoded = pdu.decode(hex);
+  if (decoded.type !== 'status-report') {
+    throw new Error('Not a status report: ' + decoded.type);
+  }
+  return {
+    reference: decoded.reference,
+    recipient: decoded.recipient,
+    status: decoded.status,
+    state: state(decoded.status),
+    timestamp: decoded.timestamp,
+    discharged: decoded.discharged
+  };
+}
+
+function fromText (line) {
+  //  '+CDS: <fo>,<mr>,"<ra>",<tora>,"<scts>","<dt>",<st>', in text mode
+  var match = line.match(/^\+CDS: \d+,(\d+),"([^"]*)",\d+,"([^"]+)","([^"]+)",(\d+)$/);
+  if (!match) {
+    return null;
+  }
+  var status = parseInt(match[5], 10);
+  return {
+    reference: parseInt(match[1], 10),
+    recipient: match[2],
+    status: status,
+    state: state(status),
+    timestamp: pdu.parseTimestamp(match[3]),
+    discharged: pdu.parseTimestamp(match[4])
+  };
+}
+
+function handleLine (gprs, line) {
+  /*
+  Take in a +CDS report, or read the one a +CDSI points to
+
+  returns
+    true if the line was about a status report
+  */
+
+  if (typeof line !== 'string') {
+    return false;
+  }
+  var stored = line.match(/^\+CDSI: "(\w+)",(\d+)$/);
+  if (stored) {
+    read(gprs, parseInt(stored[2], 10));
+    return true;
+  }
+  if (line.indexOf('+CDS: ') !== 0) {
+    return false;
+  }
+  var lines = line.split('\n');
+  var report;
+  try {
+    report = lines.length > 1 ? fromPDU(lines[1]) : fromText(lines[0]);
+  } catch (e) {
+    report = null;
+  }
+  if (!report) {
+    fail(gprs, new Error('Could not decode status report: ' + line));
+    return true;
+  }
+  received(gprs, report);
+  return true;
+}
+
+function read (gprs, index) {
+  //  Read a stored report, then delete it: nothing else would
+  gprs._command('AT+CMGF=0', 2000, function (err) {
+    if (err) {
+      return fail(gprs, err);
+    }
+    var command = 'AT+CMGR=' + index;
+    gprs._txrx(command, 5000, function (err, data) {
+      data = data || [];
+      var header = data.map(function (line) {
+        return /^\+CMGR: /.test(line);
+      }).indexOf(true);
+      var report = null;
+      if (!err && header > -1) {
+        try {
+          report = fromPDU(data[header + 1]);
+        } catch (e) {
+          err = new Error('Could not decode status report: ' + e.message);
+        }
+      }
+      gprs._command('AT+CMGD=' + index, 5000, function () {
+        if (report) {
+          received(gprs, report);
+        } else {
+          fail(gprs, err || response.error(command, data));
+        }
+      }, null, {immediate: true});
+    }, null, {immediate: true});
+  });
+}
+
+function fail (gprs, err) {
+  if (gprs.listeners('error').length) {
+    gprs.emit('error', err);
+  }
+}
+
+function received (gprs, report) {
+  //  Still trying is no news
+  if (report.state === 'pending') {
+    return;
+  }
+  gprs._deliveryReports[report.reference] = report;
+  gprs.emit(report.state, report);
+  var waiting = gprs._deliveryWaiters[report.reference];
+  if (waiting) {
+    delete gprs._deliveryWaiters[report.reference];
+    waiting(report);
+  }
+}
+
+function sent (gprs, reference) {
+  //  A new text has this reference: any report we have for it is for an older one
+  delete gprs._deliveryReports[reference];
+}
+
+function wait (gprs, references, timeout, callback) {
+  /*
+  Wait for the reports on each of `references`
+
+  Callback parameters
+    err
+      Error if any part failed (`err.type` is 'failed'), or not every report came in time (`err.type` is 'timeout')
+    reports
+      The reports, in the order of `references`. A report that didn't come in time is null.
+  */
+
+  var reports = references.map(function () {
+    return null;
+  });
+  var remaining = references.length;
+  var timer = null;
+  var finish = function (err) {
+    clearTimeout(timer);
+    references.forEach(function (reference) {
+      delete gprs._deliveryWaiters[reference];
+    });
+    callback(err, reports);
+  };
+  var check = function () {
+    if (remaining) {
+      return;
+    }
+    var failed = reports.filter(function (report) {
+      return report.state === 'failed';
+    });
+    var err = null;
+    if (failed.length) {
+      err = new Error('SMS not delivered: status ' + failed.map(function (report) {
+        return report.status;
+      }).join(', '));
+      err.type = 'failed';
+    }
+    finish(err);
+  };
+
+  references.forEach(function (reference, i) {
+    var take = function (report) {
+      reports[i] = report;
+      remaining--;
+    };
+    if (gprs._deliveryReports[reference]) {
+      take(gprs._deliveryReports[reference]);
+    } else {
+      gprs._deliveryWaiters[reference] = function (report) {
+        take(report);
+        check();
+      };
+    }
+  });
+  if (!remaining) {
+    return setImmediate(check);
+  }
+  timer = setTimeout(function () {
+    var err = new Error('No delivery report after ' + timeout + ' ms');
+    err.type = 'timeout';
+    finish(err);
+  }, timeout);
+}
+
+module.exports.handleLine = handleLine;
+module.exports.sent = sent;
+module.exports.wait = wait;
@@ -17,8 +17,11 @@ var message = 'Text from a Tessel!';
 var gprs = gprslib.use(hardware); 
 gprs.on('ready', function() {
   console.log('GPRS module connected to Tessel. Searching for network...')
-  //  Give it 10 more seconds to connect to the network, then try to send an SMS
-  setTimeout(function() {
+  //  Wait (up to a minute) for the module to register on the network, then try to send an SMS
+  gprs.waitForNetwork(60000, function(err) {
+    if (err) {
+      return console.log(err);
+    }
     console.log('Sending', message, 'to', phoneNumber, '...');
     // Send message
     gprs.sendSMS(phoneNumber, message, function smsCallback(err, data) {
@@ -32,7 +35,7 @@ gprs.on('ready', function() {
         console.log('GPRS Module sent text #', data[0]);
       }
     });
-  }, 10000);
+  });
 });
 
 //  Emit unsolicited messages beginning with...
@@ -48,6 +51,11 @@ gprs.on('RING', function someoneCalledUs () {
   console.log(instructions);
 });
 
+//  Incoming texts, already read and decoded
+gprs.on('sms', function (message) {
+  console.log('Text from', message.sender + ':', message.text);
+});
+
 gprs.on('+', function handlePlus (data) {
   console.log('Got an unsolicited message that begins with a \'+\'! Data:', data);
 });
@@ -0,0 +1,323 @@
+/*
+HTTP requests made with the SIM900's own HTTP stack (AT+HTTPINIT and
+friends). The module makes the request and holds on to the whole response;
+we then read the body out of it a piece at a time with AT+HTTPREAD, which
+the Packetizer hands over as raw bytes.
+
+The module runs one HTTP session at a time, so requests wait their turn.
+*/
+
+//  HTTPACTION codes
+var METHODS = {GET: 0, POST: 1, HEAD: 2};
+//  Bytes to ask for with each AT+HTTPREAD
+var READ_SIZE = 512;
+
+function request (gprs, options, callback) {
+  /*
+  Make an HTTP request, or queue it up behind the one in progress
+
+  args
+    gprs
+      The GPRS object to talk through
+    options
+      method
+        'GET' (default), 'POST' or 'HEAD'
+      url
+        Where to send the request. 'https://' URLs turn on the module's SSL support.
+      headers
+        An object of request headers. Content-Type and User-Agent have their own settings on the module; the rest are sent as user data.
+      body
+        String or Buffer to send with a POST
+      apn
+        Access point name for the bearer, if it isn't already open
+      timeout
+        Milliseconds to wait for the server's response. Defaults to 120000.
+    callback
+      Callback function
+
+  Callback parameters
+    err
+      Error, if applicable. Failures reported by the module as HTTP status codes 600 and up have the code as `err.status`.
+    response
+      status
+        HTTP status code
+      headers
+        Object of response headers with lower case names, where the module can report them
+      body
+        Buffer of the response body
+  */
+
+  var method = String(options.method || 'GET').toUpperCase();
+  var err = null;
+  if (!options.url) {
+    err = new Error('Did not specify a URL');
+  } else if (!(method in METHODS)) {
+    err = new Error('Unsupported HTTP method ' + method);
+  } else if (hasQuote(options)) {
+    err = new Error('The module cannot send URLs or headers containing double quotes');
+  }
+  if (err) {
+    return setImmediate(function () {
+      callback(err, null);
+    });
+  }
+
+  gprs._httpQueue.push(function () {
+    session(gprs, method, options, function (err, response) {
+      gprs._httpQueue.shift();
+      if (gprs._httpQueue.length) {
+        gprs._httpQueue[0]();
+      }
+      callback(err, response);
+    });
+  });
+  if (gprs._httpQueue.length === 1) {
+    gprs._httpQueue[0]();
+  }
+}
+
+function hasQuote (options) {
+  var headers = options.headers || {};
+  return [options.url].concat(Object.keys(headers).map(function (name) {
+    return name + headers[name];
+  })).some(function (text) {
+    return String(text).indexOf('"') > -1;
+  });
+}
+
+function session (gprs, method, options, callback) {
+  //  One request, start to finish. Whatever happens, end with AT+HTTPTERM.
+  var finish = function (err, response) {
+    gprs._txrx('AT+HTTPTERM', 2000, function () {
+      callback(err, response);
+    });
+  };
+
+  openBearer(gprs, options.apn, function (err) {
+    if (err) {
+      return callback(err, null);
+    }
+    init(gprs, true, function (err) {
+      if (err) {
+        return callback(err, null);
+      }
+      configure(gprs, options, function (err) {
+        if (err) {
+          return finish(err, null);
+        }
+        upload(gprs, options.body, function (err) {
+          if (err) {
+            return finish(err, null);
+          }
+          act(gprs, method, options.timeout || 120000, function (err, status, length) {
+            if (err) {
+              return finish(err, null);
+            }
+            var response = {status: status, headers: {}, body: new Buffer(0)};
+            readHeaders(gprs, function (headers) {
+              response.headers = headers;
+              if (method === 'HEAD' || !length) {
+                return finish(null, response);
+              }
+              readBody(gprs, length, function (err, body) {
+                response.body = body;
+                finish(err, response);
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+}
+
+// Run `commands` in order, stopping at the first one that fails
+function series (gprs, commands, callback) {
+  if (!commands.length) {
+    return callback(null);
+  }
+  gprs._command(commands[0], 10000, function (err) {
+    if (err) {
+      return callback(err);
+    }
+    series(gprs, commands.slice(1), callback);
+  });
+}
+
+function openBearer (gprs, apn, callback) {
+  //  Bearer 1 is the one we use. Leave it be if it's already open.
+  gprs._command('AT+SAPBR=2,1', 5000, function (err, data) {
+    var status = null;
+    (data || []).forEach(function (line) {
+      var match = line.match(/^\+SAPBR: 1,(\d)/);
+      if (match) {
+        status = parseInt(match[1], 10);
+      }
+    });
+    if (!err && status === 1) {
+      return callback(null);
+    }
+    var commands = ['AT+SAPBR=3,1,"CONTYPE","GPRS"'];
+    if (apn) {
+      commands.push('AT+SAPBR=3,1,"APN","' + apn + '"');
+    }
+    series(gprs, commands, function (err) {
+      if (err) {
+        return callback(err);
+      }
+      //  Opening the bearer can take the network a while
+      gprs._command('AT+SAPBR=1,1', 85000, callback);
+    });
+  });
+}
+
+function init (gprs, retry, callback) {
+  gprs._command('AT+HTTPINIT', 5000, function (err) {
+    if (err && retry) {
+      //  Most likely a session left over from before. End it and try again.
+      return gprs._txrx('AT+HTTPTERM', 2000, function () {
+        init(gprs, false, callback);
+      });
+    }
+    callback(err);
+  });
+}
+
+function configure (gprs, options, callback) {
+  var headers = options.headers || {};
+  var commands = [
+    'AT+HTTPPARA="CID",1',
+    'AT+HTTPPARA="URL","' + options.url + '"'
+  ];
+  var userData = [];
+  Object.keys(headers).forEach(function (name) {
+    var lower = name.toLowerCase();
+    if (lower === 'content-type') {
+      commands.push('AT+HTTPPARA="CONTENT","' + headers[name] + '"');
+    } else if (lower === 'user-agent') {
+      commands.push('AT+HTTPPARA="UA","' + headers[name] + '"');
+    } else {
+      userData.push(name + ': ' + headers[name]);
+    }
+  });
+  if (userData.length) {
+    //  The module expands the \r\n escapes itself
+    commands.push('AT+HTTPPARA="USERDATA","' + userData.join('\\r\\n') + '"');
+  }
+  if (/^https:/i.test(options.url)) {
+    commands.push('AT+HTTPSSL=1');
+  }
+  series(gprs, commands, callback);
+}
+
+function upload (gprs, body, callback) {
+  if (body === undefined || body === null) {
+    return callback(null);
+  }
+  if (!Buffer.isBuffer(body)) {
+    body = new Buffer(String(body));
+  }
+  var message = 'AT+HTTPDATA=' + body.length + ',10000';
+  gprs._txrx(message, 5000, function (err, data) {
+    if (!err && data[data.length - 1] !== 'DOWNLOAD') {
+      err = new Error(message + ' failed: ' + data.join(' '));
+    }
+    if (err) {
+      return callback(err);
+    }
+    //  The module knows how many bytes to expect, so no line ending
+    gprs._command(body, 10000, callback, [['OK', 'ERROR'], ['OK', 'ERROR']], {immediate: true, raw: true});
+  }, [[message], ['DOWNLOAD', 'ERROR']]);
+}
+
+function act (gprs, method, patience, callback) {
+  //  The response comes later, as '+HTTPACTION: <method>,<status>,<length>'
+  var code = METHODS[method];
+  var timer = null;
+  var onUnsolicited = function (data) {
+    var match = typeof data === 'string' && data.match(/^\+HTTPACTION: ?(\d+),(\d+),(\d+)/);
+    if (match && parseInt(match[1], 10) === code) {
+      done(null, parseInt(match[2], 10), parseInt(match[3], 10));
+    }
+  };
+  var done = function (err, status, length) {
+    clearTimeout(timer);
+    gprs.postmaster.removeListener('unsolicited', onUnsolicited);
+    if (!err && status >= 600) {
+      //  The module's own codes for network, DNS and other failures
+      err = new Error('HTTP request failed with module status ' + status);
+      err.status = status;
+    }
+    callback(err, status, length);
+  };
+
+  gprs.postmaster.on('unsolicited', onUnsolicited);
+  gprs._command('AT+HTTPACTION=' + code, 5000, function (err) {
+    if (err) {
+      return done(err);
+    }
+    timer = setTimeout(function () {
+      var err = new Error('no HTTP response after ' + patience + ' ms');
+      err.type = 'timeout';
+      done(err);
+    }, patience);
+  });
+}
+
+function readHeaders (gprs, callback) {
+  //  Not every firmware has AT+HTTPHEAD. Without it, there are no headers.
+  var text = '';
+  var onRaw = function (data, header) {
+    if (header.indexOf('+HTTPHEAD') === 0) {
+      text += data.toString();
+    }
+  };
+  gprs.packetizer.on('raw', onRaw);
+  gprs._command('AT+HTTPHEAD', 5000, function (err) {
+    gprs.packetizer.removeListener('raw', onRaw);
+    callback(err ? {} : parseHeaders(text));
+  });
+}
+
+function parseHeaders (text) {
+  var headers = {};
+  text.split(/\r?\n/).forEach(function (line) {
+    var colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  });
+  return headers;
+}
+
+function readBody (gprs, length, callback) {
+  var chunks = [];
+  var received = 0;
+  var onRaw = function (data, header) {
+    if (header.indexOf('+HTTPREAD') === 0) {
+      chunks.push(data);
+      received += data.length;
+    }
+  };
+  gprs.packetizer.on('raw', onRaw);
+
+  (function next () {
+    if (received >= length) {
+      gprs.packetizer.removeListener('raw', onRaw);
+      return callback(null, Buffer.concat(chunks));
+    }
+    var before = received;
+    gprs._command('AT+HTTPREAD=' + received + ',' + READ_SIZE, 10000, function (err) {
+      if (!err && received === before) {
+        err = new Error('Module returned no data at byte ' + received + ' of ' + length);
+      }
+      if (err) {
+        gprs.packetizer.removeListener('raw', onRaw);
+        return callback(err, Buffer.concat(chunks));
+      }
+      next();
+    });
+  })();
+}
+
+module.exports.request = request;
@@ -20,29 +20,182 @@ var util = require('util');
 var EventEmitter = require('events').EventEmitter;
 var Packetizer = require('./packetizer.js');
 var Postmaster = require('./postmaster.js');
+var Socket = require('./socket.js');
+var http = require('./http.js');
+var pdu = require('./pdu.js');
+var call = require('./call.js');
+var network = require('./network.js');
+var sim = require('./sim.js');
+var info = require('./info.js');
+var ussd = require('./ussd.js');
+var delivery = require('./delivery.js');
+var Phonebook = require('./phonebook.js');
+var promiseOr = require('./promise.js');
+var response = require('./response.js');
+var recorder = require('./recorder.js');
+var transport = require('./transport.js');
+var power = require('./power.js');
+var baudrate = require('./baudrate.js');
+var profile = require('./profile.js');
+var urc = require('./urc.js');
+var watchdog = require('./watchdog.js');
 
 var DEBUG = false;  //  Debug messages to the console
 
 // Constructor
-function GPRS (hardware) {
+function GPRS (hardware, options) {
   /*
   Args
     hardware
-      The Tessel port to be used for priary communication
+      The Tessel port to be used for priary communication, or any stream that talks to the SIM900, ie a serialport: something with `write` that emits 'data'
+    options - Optional
+      sms
+        How to handle incoming texts, which are emitted as 'sms' events. Set it to false to leave the module's notification settings alone.
+          direct
+            Have the module hand texts straight over (+CMT) rather than store them on the SIM and tell us where (+CMTI). Defaults to false.
+          markRead
+            Mark stored texts as read once they've been emitted. Defaults to true.
+          remove
+            Delete stored texts from the SIM once they've been emitted. Defaults to false.
+      signalInterval
+        Milliseconds between signal quality checks (AT+CSQ). Defaults to 30000. Set it to 0 to check just the once.
+      pin
+        The SIM's PIN, entered at startup if the SIM asks for it
+      baudrate
+        The rate to open a Tessel port's UART at. Defaults to 115200. For a stream, the rate it's open at. If the module doesn't answer at it, the driver tries the others it could be at.
+      power
+        How to work the module's power key: an object whose `toggle(callback)` presses it and calls back once the module has had time to boot or shut down, a function to use as that `toggle`, or a pin with `high` and `low`. A Tessel port uses its own G3 pin unless given one. Without one, togglePower does nothing.
+      status
+        A pin with `read` wired to the SIM900's STATUS pin, which is high while it's on. Without one, the driver goes by what the module says as it powers up and down.
+      dtr
+        A pin with `high` and `low` wired to the SIM900's DTR, for sleep mode 1
+      record
+        A file name (or writable stream) to log the UART's traffic to, as JSON lines that a recorder.Replay can play back
+      init
+        Commands to send every time the module is set up: once in contact, and again after a power cycle or recovery. Each is a command that should get 'OK', or {command, expect, patience} with what the reply should have: a String or RegExp for one of its lines, or an Array of them. How each went is in the 'ready' event.
+      watchdog
+        Get the module going again when it stops answering. true for the defaults, or
+          timeouts
+            How many commands in a row may go unanswered. Defaults to 3.
+          heartbeat
+            Milliseconds between AT heartbeats while the line is quiet. Defaults to 60000. 0 for none.
+          resetDelay
+            Milliseconds to give the module to restart after a soft reset. Defaults to 10000.
   */
 
   var self = this;
+  options = options || {};
 
   self.hardware = hardware;
-  self.uart = new hardware.UART({baudrate: 15200});
-  self.power = hardware.digital[2].high();
+  self.smsOptions = options.sms === false ? null : {
+    direct: !!(options.sms && options.sms.direct),
+    markRead: !(options.sms && options.sms.markRead === false),
+    remove: !!(options.sms && options.sms.remove)
+  };
+  self.transport = transport.open(hardware, options.power, options.baudrate);
+  self.uart = self.transport.uart;
+  //  The UART's rate, or null if we don't know it
+  self.baudrate = self.transport.baudrate;
+  //  The power adapter, or null if we can't work the power key
+  self.power = self.transport.power;
+  //  Logs what goes over the UART, if asked
+  self.recorder = options.record ? recorder.record(self.uart, options.record) : null;
   self.packetizer = new Packetizer(self.uart);
   self.packetizer.packetize();
+  //  Whether a call is under way (dialing, alerting, active or held)
   self.inACall = false;
+  //  The call in progress, if any: {id, number, direction, state, reason}
+  self.call = null;
+  //  Registration and signal: {registered, gprsRegistered, roaming, lac, cellId, rssi, ber, dbm}
+  self.network = network.status();
+  self.signalInterval = options.signalInterval === undefined ? 30000 : options.signalInterval;
+  self._signalTimer = null;
+  //  The SIM's state from AT+CPIN?, ie 'READY' or 'SIM PIN'. null until we've asked.
+  self.simState = null;
+  self._pin = options.pin === undefined || options.pin === null ? null : String(options.pin);
+  //  Who the module and SIM are, once asked: {manufacturer, model, firmware, imei, imsi, iccid, ownNumber}
+  self.info = null;
+  //  Callbacks waiting on the identity queries in progress, if any
+  self._infoCallbacks = null;
+  //  The SIM's phonebook
+  self.phonebook = new Phonebook(self);
+  //  The last delivery report on each SMS reference, and whoever is waiting on one
+  self._deliveryReports = {};
+  self._deliveryWaiters = {};
+  //  Whether the network is waiting on an answer in a USSD session, and the request waiting on its reply, if any
+  self.ussdSession = false;
+  self._ussd = null;
+  //  The open TCP/UDP connection, if any
+  self.socket = null;
+  //  HTTP requests, the first of which is in progress
+  self._httpQueue = [];
+  //  Our IP address on the GPRS network, once attached
+  self.ip = null;
+  //  The module's IP state as last reported by AT+CIPSTATUS, ie 'IP INITIAL'
+  self.ipState = null;
+  //  Ties together the parts of a long SMS. Starts anywhere so it won't clash with the last run's.
+  self._concatReference = Math.floor(Math.random() * 256);
   self.emissions = [];
+  //  Whether the module is on: true, false, or null until we know
   self.powered = null;
-  //  The defaults are fine for most of Postmaster's args
-  self.postmaster = new Postmaster(self.packetizer, ['OK', 'ERROR', '> ', 'DOWNLOAD'], null, null, DEBUG);
+  self._status = options.status || null;
+  //  AT+CSCLK: 0 awake, 1 asleep while DTR is high, 2 asleep while the UART is idle
+  self.sleepMode = 0;
+  self._dtr = options.dtr || null;
+  //  undefined until _establishContact finishes, then null or the Error it hit
+  self._contactError = undefined;
+  //  Whether we're setting the module up, or turning it on to, so a 'RDY' is one we expected
+  self._settingUp = false;
+  //  The init option's steps, and how they went last time: [{command, ok, reply, err}]
+  self._profile = profile.steps(options.init);
+  self.initResults = null;
+  //  The defaults are fine for most of Postmaster's args. Listing a full SIM's messages takes two lines apiece.
+  self.postmaster = new Postmaster(self.packetizer, ['OK', 'ERROR', '> ', 'DOWNLOAD'], null, 128, DEBUG);
+
+  //  A directly delivered text or status report comes with its PDU on the next line, and a USSD reply's text can run over several
+  self.postmaster.continued.push(/^\+CMT: [^\n]*$/, /^\+CDS: \d+$/, ussd.UNFINISHED);
+  //  What we listen for ourselves never belongs in the reply to another command
+  self.postmaster.urcs.push.apply(self.postmaster.urcs, urc.DRIVER);
+  //  Handlers registered with onURC: {pattern, parse, handler, continued}
+  self._urcs = [];
+  //  The Packetizer keeps the module's under-voltage warnings, which it repeats, from the Postmaster, but a handler may want them
+  self.packetizer.on('blacklist', function (line) {
+    urc.dispatch(self, line);
+  });
+
+  //  A different SIM, or the same one back, may not be who we had down
+  self.on('sim', function (state) {
+    if (!self.info) {
+      return;
+    }
+    if (state === 'READY') {
+      self._refreshInfo();
+    } else {
+      info.forgetSIM(self.info);
+    }
+  });
+
+  //  The network can drop our GPRS context at any time
+  self.postmaster.on('unsolicited', function (data) {
+    if (data === '+PDP: DEACT') {
+      self._detached('deactivated');
+    } else if (power.handleLine(self, data) || call.handleLine(self, data) || network.handleLine(self, data) || sim.handleLine(self, data) ||
+        ussd.handleLine(self, data) || delivery.handleLine(self, data)) {
+      //  Handled
+    } else if (typeof data === 'string' && /^\+CMTI?: /.test(data)) {
+      self._incomingSMS(data);
+    }
+    if (data === 'RDY') {
+      self._rebooted();
+    }
+    //  Then whoever asked with onURC, or failing that anyone listening for 'unsolicited'. A reply dropped on a timeout comes as an Array.
+    if (!urc.dispatch(self, data) && !(Array.isArray(data) && !data.length)) {
+      self.emit('unsolicited', data);
+    }
+  });
+
+  //  Keeps an eye on the module, if asked
+  self.watchdog = watchdog.start(self, options.watchdog);
 }
 
 util.inherits(GPRS, EventEmitter);
@@ -69,21 +222,49 @@ GPRS.prototype._establishContact = function (callback, rep, reps) {
   rep = rep || 0;
   reps = reps || 5;
   var patience = 1000;
+  self._settingUp = true;
 
   self._txrx('AT', patience, function checkIfWeContacted(err, data) {
     if (err && err.type === 'timeout' && rep < reps) {
-      //  If we time out on AT, we're likely powered off
-      //  Toggle the power and try again
-      self.togglePower(function tryAgainAfterToggle() {
-        self._establishContact(callback, rep + 1, reps);
+      var on = power.isOn(self);
+      var retry = function () {
+        if (on === true || (on === null && rep === 0)) {
+          //  It's on, or may be, and slow to answer: pressing the power key would turn it off. Ask again.
+          return self._establishContact(callback, rep + 1, reps);
+        }
+        //  It's off. Toggle the power and try again.
+        self.togglePower(function tryAgainAfterToggle() {
+          self._establishContact(callback, rep + 1, reps);
+        });
+      };
+      if (rep > 0 || on === false) {
+        return retry();
+      }
+      //  It may be set to another rate than ours
+      baudrate.detect(self, function (found) {
+        if (found) {
+          return self._establishContact(callback, rep + 1, reps);
+        }
+        retry();
       });
     } else if (!err) {
-      self.emit('ready', data);
-      if (callback) {
-        callback(err, self);
-      }
+      power.setPowered(self, true);
+      //  Set the module up before anyone else gets to use it
+      self._configure(function (results) {
+        self._contactError = null;
+        self._settingUp = false;
+        //  The AT reply as ever, then how the init option's commands went
+        self.emit('ready', data, profile.report(results));
+        self.emit('_contact', null);
+        if (callback) {
+          callback(err, self);
+        }
+      });
     } else {
       err = new Error('Could not connect to GPRS Module');
+      self._contactError = err;
+      self._settingUp = false;
+      self.emit('_contact', err);
       setImmediate(function () {
         self.emit('error', err);
       });
@@ -94,10 +275,51 @@ GPRS.prototype._establishContact = function (callback, rep, reps) {
   }, [['AT', '\\x00AT', '\x00AT', 'OK'], ['OK'], 1]);
 };
 
+// The module restarted without our asking, ie after a brownout, and forgot how it was set up. Set it up again and emit 'ready' as when we made contact.
+GPRS.prototype._rebooted = function () {
+  var self = this;
+  //  Unless we're the ones restarting it, or have yet to set it up in the first place
+  if (self._settingUp || self._contactError !== null || (self.watchdog && self.watchdog.recovering)) {
+    return;
+  }
+  self._settingUp = true;
+  self._configure(function (results) {
+    self._settingUp = false;
+    self.emit('ready', ['RDY'], profile.report(results));
+  });
+};
+
+// Wait for the module to be ready. Resolves right away if it already is.
+GPRS.prototype.ready = function (callback) {
+  /*
+  Args
+    callback
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if contact could not be made
+    self
+      A reference to the GPRS Object
+  */
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    var settle = function (err) {
+      done(err, self);
+    };
+    if (self._contactError !== undefined) {
+      setImmediate(settle, self._contactError);
+    } else {
+      self.once('_contact', settle);
+    }
+  });
+};
+
 // Make UART calls to the SIM900. Use this function to expand the GPRS module's functionality by sending AT commands and recieving the SIM900's replies. If you implement something particularly useful, submit a pull request!
-GPRS.prototype._txrx = function (message, patience, callback, alternate) {
+GPRS.prototype._txrx = function (message, patience, callback, alternate, options) {
   /*
-  Every time we interact with the SIM900, it's through a series of UART calls and responses. This function makes that less painful. Note that this function requires that the SIM900 be configured to echo the commands it recieves (the default) in order for it to function properly.
+  Every time we interact with the SIM900, it's through a series of UART calls and responses. This function makes that less painful. Replies start with the message as the SIM900 echoes it. Turn the echo off with ATE0 sent through here, so that the Postmaster knows not to wait for it, and the message is put in front of each reply all the same.
 
   Args
     message
@@ -105,9 +327,14 @@ GPRS.prototype._txrx = function (message, patience, callback, alternate) {
     patience
       Milliseconds until we stop listening. It's likely that the module is no longer responding to any single event if the reponse comes too much after we ping it.
     callback
-      Callback function
+      Callback function. Leave it out to get a Promise instead.
     alternate
       An array of arrays of alternate starts and ends of reply post. Of the form [[s1, s2 ...], [e1, e2, ...]]. Used in place of traditional controls. If the third element of `alternate` is truth-y, then the values of `start` only need exist within the incoming data (good for posts with known headers but unknown bodies), as opposed to at the beginning of the packet.
+    options
+      Passed to the Postmaster: `priority` to jump ahead of lower-priority commands, `immediate` to go before everything queued. Commands are otherwise sent first come, first served, so it's safe to call this while another command is waiting on its reply.
+
+  Returns
+    A handle whose `cancel` method withdraws the command. Without a callback, a Promise for the reply, with the same `cancel` method.
 
  Callback parameters
     err
@@ -120,18 +347,53 @@ GPRS.prototype._txrx = function (message, patience, callback, alternate) {
 
   message  = message  || 'AT';
   patience = patience || 250;
-  callback = callback || ( function (err, arg) {
-    if (err) {
-      debug('err:\n', err);
-    } else {
-      debug('reply:\n', arg);
-    }
-  });
   alternate = alternate || null;
   //  It's a virtue, but mostly the module won't work if you're impatient
   patience = Math.max(patience, 100);
 
-  self.postmaster.send(message, patience, callback, alternate);
+  var echo = /^ATE[01]$/i.test(message) ? function (err, data) {
+    //  Whether to wait for an echo from the next command on
+    if (!err && data[data.length - 1] === 'OK') {
+      self.postmaster.echo = message.slice(-1) === '1';
+    }
+  } : null;
+
+  if (callback) {
+    return self.postmaster.send(message, patience, echo ? function (err, data) {
+      echo(err, data);
+      callback(err, data);
+    } : callback, alternate, options);
+  }
+  var handle;
+  var promise = promiseOr(null, function (done) {
+    handle = self.postmaster.send(message, patience, function (err, arg) {
+      if (echo) {
+        echo(err, arg);
+      }
+      if (err) {
+        debug('err:\n', err);
+      } else {
+        debug('reply:\n', arg);
+      }
+      done(err, arg);
+    }, alternate, options);
+  });
+  promise.cancel = handle.cancel;
+  return promise;
+};
+
+// Send a command that should end in 'OK', and treat anything else as an error: a CMEError or CMSError for a +CME ERROR or +CMS ERROR reply. The error has the `command` and the `reply`.
+GPRS.prototype._command = function (message, patience, callback, alternate, options) {
+  this._txrx(message, patience, function (err, data) {
+    if (!err && data[data.length - 1] !== 'OK') {
+      err = response.error(String(message), data);
+    }
+    if (err) {
+      err.command = err.command || String(message);
+      err.reply = data;
+    }
+    callback(err, data);
+  }, alternate, options);
 };
 
 // Answer an incoming voice call
@@ -139,7 +401,7 @@ GPRS.prototype.answerCall = function (callback) {
   /*
   Args
     callback
-      Callback function
+      Callback function. Leave it out to get a Promise instead.
 
   Callback parameters
     err
@@ -149,16 +411,18 @@ GPRS.prototype.answerCall = function (callback) {
   */
 
   var self = this;
-  self._txrx('ATA', 10000, function (err, data) {
-    if (!err) {
-      self.inACall = true;
-    }
-    callback(err, data);
+  return promiseOr(callback, function (done) {
+    self._txrx('ATA', 10000, function (err, data) {
+      if (!err && data[data.length - 1] === 'OK') {
+        call.update(self, {direction: 'incoming', state: 'active'});
+      }
+      done(err, data);
+    });
   });
 };
 
 // Send a series of back-to-back messages recursively and do something with the final result. Other results, if not of the form [`messages[n]`, 'OK'] error out and pass false to the callback. The arguments `messages` and `patience` must be of the same length. Like `_txrx`, this function is also useful for expanding the module's functionality.
-GPRS.prototype._chain = function (messages, patiences, replies, callback) {
+GPRS.prototype._chain = function (messages, patiences, replies, callback, continuing) {
   /*
   mesages
     An array of Strings to send as commands
@@ -168,6 +432,8 @@ GPRS.prototype._chain = function (messages, patiences, replies, callback) {
     An array of expected replies (arrays of strings). If any index is false-y, its reply simply must not error out.
   callback
     Callback function. Args come from the last function in the chain.
+  continuing
+    Used internally. Once the first command is on the wire, the rest of the chain jumps the Postmaster's queue so that no other command lands in the middle.
 
   Callback parameters
     err
@@ -196,7 +462,15 @@ GPRS.prototype._chain = function (messages, patiences, replies, callback) {
           }
         }
       }
-      self.emit('_intermediate', correct);
+      //  Keep going from inside the callback, before the Postmaster moves on to anything else
+      if (correct) {
+        self._chain(messages.slice(1), patiences.slice(1), replies.slice(1), callback, true);
+      } else {
+        self.postmaster.forceClear();
+        if (callback) {
+          callback(new Error('Chain broke on ' + messages[0]), false);
+        }
+      }
     };
     //  Still more to do in the chain
     if (messages.length > 0) {
@@ -204,52 +478,46 @@ GPRS.prototype._chain = function (messages, patiences, replies, callback) {
       if (DEBUG) {
         console.log("_txrx sending", messages[0]);
       }
-      self._txrx(messages[0], patiences[0], func, [[replies[0][0]], [replies[0][replies[0].length - 1]]]);
-      //  If we have more to do before the base case, respond to the '_intermediate' event and keep going
-      if (func === _intermediate) {
-        self.once('_intermediate', function (correct) {
-          if (correct) {
-            self._chain(messages.slice(1), patiences.slice(1), replies.slice(1), callback);
-          } else {
-            self.postmaster.forceClear();
-            if (callback) {
-              callback(new Error('Chain broke on ' + messages[0]), false);
-            }
-          }
-        });
-      }
+      self._txrx(messages[0], patiences[0], func, [[replies[0][0]], [replies[0][replies[0].length - 1]]], {immediate: !!continuing});
     }
   }
 };
 
 // Call the specified number (voice call, not data call)
-GPRS.prototype.dial = function (number, callback) {
+GPRS.prototype.dial = function (number, options, callback) {
   /*
   Args
     number
       String representation of the number. Must be at least 10 digits.
+    options - Optional
+      timeout
+        Milliseconds to wait for an answer before hanging up. Defaults to 60000.
     callback
-      Callback function
+      Callback function. Leave it out to get a Promise instead.
 
   Callback parameters
     err
-      Error, if applicable
-    data
-      [command echo, 'OK'] if all goes well
+      Error, if applicable. A call that was busy or went unanswered has the module's word for it as `err.reason`, ie 'BUSY'.
+    call
+      The call once it's been answered: {id, number, direction, state, reason}
   */
 
-  if (this.inACall) {
-    callback(new Error('Currently in a call'), []);
-  } else if (!number || !String(number).length) {
-    callback(new Error('Did not specify a phone number'), []);
-  } else {
-    this.inACall = true;
-                                  // hang up in a year
-    this._txrx('ATD' + number + ';', 1000*60*60*24*365, function (err, data) {
-      this.inACall = false;
-      callback(err, data);
-    });
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
   }
+  options = options || {};
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    if (self.inACall) {
+      done(new Error('Currently in a call'), []);
+    } else if (!number || !String(number).length) {
+      done(new Error('Did not specify a phone number'), []);
+    } else {
+      call.dial(self, number, options.timeout || 60000, done);
+    }
+  });
 };
 
 // Terminate a voice call
@@ -257,7 +525,7 @@ GPRS.prototype.hangUp = function (callback) {
   /*
   Args
     callback
-      Callback function
+      Callback function. Leave it out to get a Promise instead.
 
   Callback parameters
     err
@@ -267,193 +535,1238 @@ GPRS.prototype.hangUp = function (callback) {
   */
 
   var self = this;
-  self._txrx('ATH', 100000, function (err, data) {
-    self.inACall = false;
-    callback(err, data);
+  return promiseOr(callback, function (done) {
+    self._txrx('ATH', 20000, function (err, data) {
+      if (!err) {
+        call.update(self, {state: 'ended', reason: 'hung up'});
+      }
+      done(err, data);
+    });
   });
 };
 
-// Run through the `emissions` every time an unsolicited message comes in and emit events accordingly. There is probably a better way to do this, though, so consider the function unstable and pull requests welcome.
-GPRS.prototype._checkEmissions = function () {
+// Many unsolicited events are very useful to the user, such as when an SMS is received or a call is pending. This function configures the module to emit events that begin with a specific String. onURC does the same with a parser and a handler of your own.
+GPRS.prototype.emitMe = function (beginnings) {
   /*
   Args
-    none - see emitMe
+    beginnings
+      An array of Strings. If an unsolicited packet starts with one of them, emit it as an event by the same name. Each is only registered once, however often it's asked for.
 
   Callback parameters
-    None, but packets are emitted
+    None, but the events emitted will contain:
+      data
+        The text from the unsolicited packet
   */
 
   var self = this;
-  self.postmaster.on('unsolicited', function (data) {
-    var sent = false;
-    //  Emit unsolicited packets that begin with specific characters as events
-    self.emissions.forEach(function (beginning) {
-      if (data.indexOf(beginning) === 0) {
-        self.emit(beginning, data);
-        sent = true;
-      }
+  beginnings.forEach(function (beginning) {
+    if (self.emissions.indexOf(beginning) === -1) {
+      self.emissions.push(beginning);
+      self.onURC(beginning, urc.raw, function (line) {
+        self.emit(beginning, line);
+      });
+    }
+  });
+};
+
+// Handle unsolicited result codes that match a pattern, even ones that arrive in the middle of a reply
+GPRS.prototype.onURC = function (pattern, parser, handler, options) {
+  /*
+  Args
+    pattern
+      A String the line starts with, ie '+CMTI', or a RegExp to test it against
+    parser - Optional
+      A function that turns the line into what the handler gets. Leave it out, or null, for the code's own parser: '+CMTI', '+CREG', '+CLIP', '+CUSD', '+PDP: DEACT' and 'UNDER-VOLTAGE' have one. Other lines are passed as they are.
+    handler
+      Called with what the parser made of the line, and the line
+    options - Optional
+      lines
+        How many lines follow the first, to be joined to it with '\n' before it's parsed. Defaults to 0.
+
+  Returns
+    The GPRS object, as `on` does
+  */
+
+  if (typeof parser === 'function' && typeof handler !== 'function') {
+    options = handler;
+    handler = parser;
+    parser = null;
+  }
+  urc.on(this, pattern, parser, handler, options);
+  return this;
+};
+
+// Stop handling unsolicited result codes that match a pattern
+GPRS.prototype.offURC = function (pattern, handler) {
+  /*
+  Args
+    pattern
+      The pattern as given to onURC: the same String, or a RegExp with the same source and flags
+    handler - Optional
+      The handler to remove. Leave it out to remove all of the pattern's.
+
+  Returns
+    The GPRS object
+  */
+
+  urc.off(this, pattern, handler);
+  return this;
+};
+
+// Everything we set up once in contact: error codes, the SIM, who we are, texts, calls and network reports, then the init option's commands. Calls back with how those went.
+GPRS.prototype._configure = function (callback) {
+  var self = this;
+  //  Errors as +CME ERROR: <code> rather than a bare ERROR
+  self._settings(['AT+CMEE=1'], function () {
+    self._configureSIM(function () {
+      self._refreshInfo(function () {
+        self._configureSMS(function () {
+          self._configureCalls(function () {
+            network.configure(self, self.signalInterval, function () {
+              profile.run(self, self._profile, function (results) {
+                self.initResults = results;
+                callback(results);
+              });
+            });
+          });
+        });
+      });
     });
-    if (!sent) {
-      self.emit('unsolicited', data);
+  });
+};
+
+// Find out whether the SIM is ready, and enter the PIN we were given if it's asking for one
+GPRS.prototype._configureSIM = function (callback) {
+  var self = this;
+  sim.check(self, function (err, state) {
+    if (err) {
+      debug(err);
+    }
+    if (state !== 'SIM PIN' || self._pin === null) {
+      return callback();
     }
+    sim.unlock(self, self._pin, function (err) {
+      if (err) {
+        //  Say so, but carry on: the user can still unlock it with the PUK
+        debug(err);
+        if (self.listeners('error').length) {
+          self.emit('error', err);
+        }
+      }
+      callback();
+    }, true);
   });
 };
 
-// Many unsolicited events are very useful to the user, such as when an SMS is received or a call is pending. This function configures the module to emit events that beign with a specific String. There is probably a better way to do this, though, so consider the function unstable and pull requests welcome.
-GPRS.prototype.emitMe = function (beginnings) {
+// Send settings one after the other, with nothing else in between. A setting the module refuses is skipped.
+GPRS.prototype._settings = function (commands, callback, continuing) {
+  var self = this;
+  if (!commands.length) {
+    return callback();
+  }
+  self._command(commands[0], 2000, function (err) {
+    if (err) {
+      debug(err);
+    }
+    self._settings(commands.slice(1), callback, true);
+  }, null, {immediate: !!continuing});
+};
+
+// Have the module tell us about incoming texts, as smsOptions asks
+GPRS.prototype._configureSMS = function (callback) {
+  if (!this.smsOptions) {
+    return callback();
+  }
+  //  PDU mode, so +CMT carries the whole message. Then AT+CNMI=<mode>,<mt>,<bm>,<ds>: buffer notifications while we're busy, store (1) or forward (2) new texts, and forward status reports (+CDS) on texts that asked for them.
+  this._settings(['AT+CMGF=0', 'AT+CNMI=2,' + (this.smsOptions.direct ? 2 : 1) + ',0,1,0'], callback);
+};
+
+// Wait until the module has registered on the cell network
+GPRS.prototype.waitForNetwork = function (timeout, callback) {
   /*
   Args
-    beginnings
-      An array of Strings. If an unsolicited packet starts with one of them, emit it as an event by he same name
+    timeout - Optional
+      Milliseconds to wait before giving up. Defaults to 60000; 0 waits as long as it takes.
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
 
   Callback parameters
-    None, but the events emitted will contain:
-      data
-        The text from the unsolicited packet
+    err
+      Error, if we gave up
+    network
+      The network status, as in `gprs.network`
   */
 
+  if (typeof timeout === 'function') {
+    callback = timeout;
+    timeout = undefined;
+  }
+  timeout = timeout === undefined ? 60000 : timeout;
+
   var self = this;
-  beginnings.forEach(function (beginning) {
-    self.emissions.push(beginning);
+  return promiseOr(callback, function (done) {
+    network.waitFor(self, timeout, done);
   });
-  if (this.emissions.length === beginnings.length) {
-    //  This is the first time this was called, you should start notifying
-    this._checkEmissions();
-  }
 };
 
-// Read the specified SMS. You'll want to parse the module's unsolicited packet to pull out the specific SMS number. Note that these numbers are nonvolatile and associated with the SIM card.
-GPRS.prototype.readSMS = function (index, mode, remove, callback) {
+// Find out who the module and its SIM are
+GPRS.prototype.getInfo = function (options, callback) {
   /*
-  Args - two possibilities
-    index
-      The index of the message to read. Note that the SIM900 is 1-indexed, not 0-indexed.
-    mode
-      0 - Mark the message as read
-      1 - Do not chage the status of the message
-    remove - Optional
-      0 - Keep the message on the simcard
-      1 - Delete the message from the simcard once it is marked read.
-    callback
-      Callback function
+  Args
+    options - Optional
+      refresh
+        Ask the module again rather than use what we found out when connecting. Defaults to false.
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
 
   Callback parameters
     err
-      Error
-    message
-      An array with
-        0 - Command echo
-        1 - Message information (read state, soure number, date, etc.)
-        2 - Message text
-        3 - 'OK'
-      if successful
+      Error, if the module stopped answering
+    info
+      {manufacturer, model, firmware, imei, imsi, iccid, ownNumber}. Fields the module didn't give, or gave in a shape that can't be right (ie an IMEI that fails its check digit), are null.
   */
 
-  if (typeof callback === 'undefined') {
-    callback = remove;
-    remove = 0;
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
   }
+  options = options || {};
 
-  next = next || remove;
+  var self = this;
+  return promiseOr(callback, function (done) {
+    if (self.info && !options.refresh) {
+      return setImmediate(done, null, self.info);
+    }
+    self._refreshInfo(done);
+  });
+};
 
+// Run the identity queries, or wait on the ones already running
+GPRS.prototype._refreshInfo = function (callback) {
   var self = this;
-  this._txrx('AT+CMGR=' + index + ',' + mode, 10000, function (err, message) {
-    if (remove===1) {
-      self._txrx('AT+CMGD=' + index, 10000);
+  callback = callback || function () {};
+  if (self._infoCallbacks) {
+    return self._infoCallbacks.push(callback);
+  }
+  self._infoCallbacks = [callback];
+  info.query(self, function (err, result) {
+    var callbacks = self._infoCallbacks;
+    self._infoCallbacks = null;
+    if (err) {
+      debug(err);
+    } else {
+      self.info = result;
     }
-    callback(err, message);
+    callbacks.forEach(function (waiting) {
+      waiting(err, err ? result : self.info);
+    });
   });
 };
 
-// Send an SMS to the specified number
-GPRS.prototype.sendSMS = function (number, message, callback) {
+// Send a USSD code, ie '*100#' to check a prepaid balance
+GPRS.prototype.ussd = function (code, options, callback) {
   /*
   Args
-    number
-      String representation of the number. Must be at least 10 digits.
-    message
-      String to send
-    callback
-      Callback function
+    code
+      The code to send. While a session is open (the last reply's `open` was true), the answer to the network's question, ie '1'.
+    options - Optional
+      timeout
+        Milliseconds to wait for the network's reply before cancelling the session. Defaults to 30000.
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
 
   Callback parameters
     err
-      Error
-    success
-      Did it send properly? If yes, get back the ID number of the text in an array; if not, the error and -1 as the ID.
+      Error, if the module refused the code, the network couldn't handle it, or there was no reply (`err.type` is 'timeout')
+    reply
+      {status, open, text, dcs}. `text` is decoded, `open` is true if the network wants an answer, and `status` is 'done', 'open' or 'terminated'.
   */
 
-  if (!number || !number.length) {
-    callback(new Error('Did not specify a phone number'), null);
-  } else {
-    var self = this;
-    message = message || 'text from a Tessel';
-    var commands  = ['AT+CMGF=1', 'AT+CMGS="' + number + '"', message];
-    var patiences = [2000, 5000, 5000];
-    var replies = [['AT+CMGF=1', 'OK'], ['AT+CMGS="' + number + '"', '> '], [message, '> ']];
-
-    self._chain(commands, patiences, replies, function (errr, data) {
-      //  manually check the last one
-      var correct = !errr && data[0] == message && data[1] == '> ';
-      var id = -1;
-      var err = errr || new Error('Unable to send SMS');
-      if (correct) {
-        self._txrx(new Buffer([0x1a]), 10000, function (err, data) {
-          if (data && data[0] && data[0].indexOf('+CMGS: ') === 0 && data[1] == 'OK') {
-            //  message sent!
-            id = parseInt(data[0].slice(7), 10);
-            err = null;
-          }
-          if (callback) {
-            callback(err, [id]);
-          }
-        }, [['+CMGS: ', 'ERROR'], ['OK', 'ERROR'], 1]);
-      } else if (callback) {
-        callback(err, [id]);
-      }
-    });
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
   }
+  options = options || {};
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    ussd.send(self, code, options.timeout || 30000, done);
+  });
 };
 
-// Turn the module on or off by switching the power button (G3) electronically
-GPRS.prototype.togglePower = function (callback) {
+// End a USSD session, failing any request still waiting on a reply
+GPRS.prototype.cancelUSSD = function (callback) {
+  /*
+  Args
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if the module didn't answer
+    data
+      The reply to AT+CUSD=2
+  */
+
   var self = this;
-  debug('toggling power...');
-  self.power.high();
-  setTimeout(function () {
-    self.power.low();
-    setTimeout(function () {
-      self.power.high();
-      setTimeout(function () {
-        self.emit('powerToggled');
-        debug('done toggling power');
-        if (callback) {
-          callback();
-        }
-      }, 5000);
-    }, 1500);
-  }, 100);
+  return promiseOr(callback, function (done) {
+    ussd.cancel(self, done);
+  });
 };
 
-GPRS.prototype.disable = function () {
-  this.uart.disable();
+// Enter the SIM's PIN
+GPRS.prototype.unlock = function (pin, callback) {
+  /*
+  Args
+    pin
+      The PIN, 4 to 8 digits
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if the PIN was refused. `err.code` is the module's +CME ERROR code, ie 16 for a wrong PIN.
+    state
+      The SIM's state afterwards. Enough wrong PINs make it 'SIM PUK'.
+  */
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    sim.unlock(self, pin, function (err, state) {
+      self._unlocked(err, state, done);
+    });
+  });
 };
 
-// Connect the GPRS module and establish contact with the SIM900
-function use(hardware, callback) {
+// Unblock the SIM with its PUK after too many wrong PINs
+GPRS.prototype.unlockWithPuk = function (puk, newPin, callback) {
   /*
   Args
-    hardware
-      The Tessel port to use for the main GPRS hardware
-    callback
-      Callback frunction for once the module is set up
+    puk
+      The PUK, 8 digits
+    newPin
+      The PIN to use from now on
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
 
-    Callback parameters
-      err
-        Error, if any, while connecting. Passes null if successful.
+  Callback parameters
+    err
+      Error, if the PUK was refused
+    state
+      The SIM's state afterwards
+  */
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    sim.unlockWithPuk(self, puk, newPin, function (err, state) {
+      if (!err && self._pin !== null) {
+        self._pin = String(newPin);
+      }
+      self._unlocked(err, state, done);
+    });
+  });
+};
+
+// Once the SIM is ready, set up what needed it: texts, calls and the network
+GPRS.prototype._unlocked = function (err, state, callback) {
+  if (err || state !== 'READY') {
+    return callback(err, state);
+  }
+  this._configure(function () {
+    callback(null, state);
+  });
+};
+
+// Change the SIM's PIN
+GPRS.prototype.changePin = function (oldPin, newPin, callback) {
+  /*
+  Args
+    oldPin
+      The current PIN
+    newPin
+      The new one, 4 to 8 digits
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if the module refused
+    state
+      The SIM's state afterwards
+  */
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    sim.changePin(self, oldPin, newPin, function (err, state) {
+      if (!err && self._pin !== null) {
+        self._pin = String(newPin);
+      }
+      done(err, state);
+    });
+  });
+};
+
+// Turn the SIM's PIN lock on or off, ie whether it asks for the PIN at power up
+GPRS.prototype.setPinLock = function (enabled, pin, callback) {
+  /*
+  Args
+    enabled
+      true to ask for the PIN at power up, false not to
+    pin - Optional
+      The PIN, which the SIM wants either way. Defaults to the one passed to use().
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if the module refused
+    state
+      The SIM's state afterwards
   */
 
-  var radio = new GPRS(hardware);
+  if (typeof pin === 'function') {
+    callback = pin;
+    pin = undefined;
+  }
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    sim.setPinLock(self, enabled, pin === undefined ? self._pin : pin, done);
+  });
+};
+
+// Turn on caller ID and call state reports, which drive the 'call' events
+GPRS.prototype._configureCalls = function (callback) {
+  this._settings(['AT+CLIP=1', 'AT+CLCC=1'], callback);
+};
+
+// Turn '+CMTI: "SM",<index>' or '+CMT: ...' and its body into an 'sms' event
+GPRS.prototype._incomingSMS = function (data) {
+  var self = this;
+  //  Nobody listening: leave stored texts unread for listSMS to find
+  if (!self.smsOptions || !self.listeners('sms').length) {
+    return;
+  }
+  var fail = function (err) {
+    if (self.listeners('error').length) {
+      self.emit('error', err);
+    } else {
+      debug(err);
+    }
+  };
+
+  var stored = data.match(/^\+CMTI: "(\w+)",(\d+)/);
+  if (stored) {
+    var options = self.smsOptions;
+    return self.readSMS(parseInt(stored[2], 10), options.markRead ? 0 : 1, options.remove ? 1 : 0, function (err, message) {
+      if (err) {
+        return fail(err);
+      }
+      if (message) {
+        self.emit('sms', message);
+      }
+    });
+  }
+
+  var lines = data.split('\n');
+  var message;
+  try {
+    message = parseDirectSMS(lines[0], lines[1]);
+  } catch (e) {
+    return fail(new Error('Could not decode SMS: ' + e.message));
+  }
+  self.emit('sms', message);
+};
+
+// Read the specified SMS. You'll want to parse the module's unsolicited packet to pull out the specific SMS number. Note that these numbers are nonvolatile and associated with the SIM card.
+GPRS.prototype.readSMS = function (index, mode, remove, callback) {
+  /*
+  Args
+    index
+      The index of the message to read. Note that the SIM900 is 1-indexed, not 0-indexed.
+    mode - Optional
+      0 - Mark the message as read (default)
+      1 - Do not chage the status of the message
+    remove - Optional
+      0 - Keep the message on the simcard (default)
+      1 - Delete the message from the simcard once it is marked read.
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error
+    message
+      The message (see parseSMS), or null if there is none at that index
+  */
+
+  //  The optional arguments can be left off the end
+  if (typeof mode === 'function') {
+    callback = mode;
+    mode = 0;
+    remove = 0;
+  } else if (typeof remove === 'function') {
+    callback = remove;
+    remove = 0;
+  }
+  mode = mode || 0;
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    //  In PDU mode, so Unicode text and long message parts come through intact
+    self._command('AT+CMGF=0', 2000, function (err) {
+      if (err) {
+        return done(err, null);
+      }
+      self._command('AT+CMGR=' + index + ',' + mode, 10000, function (err, data) {
+        var message = null;
+        if (!err) {
+          try {
+            message = parseSMSList(data, /^\+CMGR: (\d),[^,]*,\d+$/, index)[0] || null;
+          } catch (e) {
+            err = new Error('Could not decode SMS ' + index + ': ' + e.message);
+          }
+        }
+        if (err || remove != 1 || !message) {
+          return done(err, message);
+        }
+        self._command('AT+CMGD=' + index, 10000, function (err) {
+          done(err, message);
+        }, null, {immediate: true});
+      }, null, {immediate: true});
+    });
+  });
+};
+
+// List the messages stored on the SIM
+GPRS.prototype.listSMS = function (filter, mode, callback) {
+  /*
+  Args
+    filter - Optional
+      Which messages to list: 'REC UNREAD', 'REC READ', 'STO UNSENT', 'STO SENT' or 'ALL' (default)
+    mode - Optional
+      0 - Mark unread messages as read (default)
+      1 - Do not change their status
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error
+    messages
+      An Array of messages (see parseSMS), in the order the SIM keeps them
+  */
+
+  if (typeof filter === 'function') {
+    callback = filter;
+    filter = 'ALL';
+    mode = 0;
+  } else if (typeof mode === 'function') {
+    callback = mode;
+    mode = 0;
+  }
+  filter = String(filter || 'ALL').toUpperCase();
+  mode = mode || 0;
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    var stat = SMS_STATES.concat(['ALL']).indexOf(filter);
+    if (stat === -1) {
+      return done(new Error('Unknown SMS filter ' + filter), null);
+    }
+    self._command('AT+CMGF=0', 2000, function (err) {
+      if (err) {
+        return done(err, null);
+      }
+      self._command('AT+CMGL=' + stat + ',' + mode, 20000, function (err, data) {
+        var messages = null;
+        if (!err) {
+          try {
+            messages = parseSMSList(data, /^\+CMGL: (\d+),(\d),[^,]*,\d+$/);
+          } catch (e) {
+            err = new Error('Could not decode SMS list: ' + e.message);
+          }
+        }
+        done(err, messages);
+      }, null, {immediate: true});
+    });
+  });
+};
+
+// Delete the message at `index`
+GPRS.prototype.deleteSMS = function (index, callback) {
+  /*
+  Args
+    index
+      The index of the message to delete
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error
+  */
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    self._command('AT+CMGD=' + index, 10000, function (err) {
+      done(err);
+    });
+  });
+};
+
+// Delete every message matching `filter`
+GPRS.prototype.deleteAllSMS = function (filter, callback) {
+  /*
+  Args
+    filter - Optional
+      Which messages to delete: 'READ', 'UNREAD', 'SENT', 'UNSENT', 'INBOX' (read and unread) or 'ALL' (default). The status names listSMS takes work too.
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error
+  */
+
+  if (typeof filter === 'function') {
+    callback = filter;
+    filter = 'ALL';
+  }
+  filter = String(filter || 'ALL').toUpperCase().replace(/^(REC|STO) /, '');
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    var type = DELETE_TYPES[filter];
+    if (!type) {
+      return done(new Error('Unknown SMS filter ' + filter));
+    }
+    //  AT+CMGDA takes numbers in PDU mode
+    self._command('AT+CMGF=0', 2000, function (err) {
+      if (err) {
+        return done(err);
+      }
+      self._command('AT+CMGDA=' + type, 25000, function (err) {
+        if (err && DELETE_FLAGS[filter]) {
+          //  Older firmware lacks AT+CMGDA, but AT+CMGD's flags cover some cases
+          return self._command('AT+CMGD=1,' + DELETE_FLAGS[filter], 25000, function (err) {
+            done(err);
+          }, null, {immediate: true});
+        }
+        done(err);
+      }, null, {immediate: true});
+    });
+  });
+};
+
+// How full the SIM's message storage is
+GPRS.prototype.smsStorage = function (callback) {
+  /*
+  Args
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error
+    storage
+      memory
+        Where messages are read from and deleted, ie 'SM' for the SIM
+      used
+        How many messages are stored there
+      total
+        How many it can hold
+  */
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    self._command('AT+CPMS?', 5000, function (err, data) {
+      var storage = response.find(data, '+CPMS', ['memory', 'used', 'total'])[0] || null;
+      if (!err && !storage) {
+        err = response.error('AT+CPMS?', data);
+      }
+      done(err, storage);
+    });
+  });
+};
+
+//  Message states, by their number in PDU mode
+var SMS_STATES = ['REC UNREAD', 'REC READ', 'STO UNSENT', 'STO SENT'];
+//  AT+CMGDA types in PDU mode, and the AT+CMGD flags that do the same job
+var DELETE_TYPES = {READ: 1, UNREAD: 2, SENT: 3, UNSENT: 4, INBOX: 5, ALL: 6};
+var DELETE_FLAGS = {READ: 1, ALL: 4};
+
+function parseSMS (index, stat, hex) {
+  /*
+  Turn a stored PDU into a message object
+
+  returns
+    index
+      Where the message is stored
+    status
+      'REC UNREAD', 'REC READ', 'STO UNSENT' or 'STO SENT'
+    sender
+      Who sent it. For messages we stored to send, who it's to.
+    timestamp
+      A Date, when the service center got it. null for messages we stored.
+    text
+      The message
+    concat
+      {reference, total, sequence} if it's part of a long message, or null
+  */
+
+  var sms = pdu.decode(hex);
+  return {
+    index: index,
+    status: SMS_STATES[stat] || String(stat),
+    sender: sms.sender || sms.recipient,
+    timestamp: sms.timestamp || null,
+    text: sms.text,
+    concat: sms.concat
+  };
+}
+
+function parseDirectSMS (header, body) {
+  //  '+CMT: [<alpha>],<length>' and the PDU, or in text mode '+CMT: "<sender>",[<alpha>],"<timestamp>"' and the text
+  var text = header.match(/^\+CMT: "([^"]*)",[^,]*,"([^"]+)"/);
+  if (text) {
+    return {index: null, status: 'REC UNREAD', sender: text[1], timestamp: pdu.parseTimestamp(text[2]), text: body, concat: null};
+  }
+  return parseSMS(null, 0, body);
+}
+
+function parseSMSList (reply, header, index) {
+  //  Each message is a header line followed by its PDU. For AT+CMGR the index is ours, not in the header.
+  var messages = [];
+  for (var i = 0; i < reply.length - 1; i++) {
+    var match = reply[i].match(header);
+    if (match) {
+      if (index === undefined) {
+        messages.push(parseSMS(parseInt(match[1], 10), parseInt(match[2], 10), reply[i + 1]));
+      } else {
+        messages.push(parseSMS(parseInt(index, 10), parseInt(match[1], 10), reply[i + 1]));
+      }
+      i++;
+    }
+  }
+  return messages;
+}
+
+// Send an SMS to the specified number
+GPRS.prototype.sendSMS = function (number, message, options, callback) {
+  /*
+  Args
+    number
+      String representation of the number. Must be at least 10 digits. Start it with '+' and the country code to send internationally.
+    message
+      String to send. Text that doesn't fit the GSM alphabet goes as Unicode, and text too long for one SMS is sent in parts that the phone joins back together.
+    options - Optional
+      report
+        Ask for a status report on each part, which comes out as a 'delivered' or 'failed' event. Defaults to false.
+      waitForDelivery
+        Ask for reports, and call back once they're all in rather than once the text is sent. Defaults to false.
+      deliveryTimeout
+        Milliseconds to wait for the reports with waitForDelivery. Defaults to 300000.
+    callback
+      Callback function. Leave it out to get a Promise, which resolves to the array of IDs or rejects with the error.
+
+  Callback parameters
+    err
+      Error. With waitForDelivery, a part that wasn't delivered gives an error of type 'failed', and reports that didn't come in time one of type 'timeout'.
+    success
+      Did it send properly? If yes, get back the ID numbers of the texts in an array, one for each part; if not, the error and -1 as the ID of the part that failed. With waitForDelivery, the delivery reports instead, one for each part.
+  */
+
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  options = options || {};
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    var report = !!(options.report || options.waitForDelivery);
+    self._sendSMS(number, message, report, function (err, ids) {
+      if (err || !options.waitForDelivery) {
+        return done(err, ids);
+      }
+      delivery.wait(self, ids, options.deliveryTimeout || 300000, done);
+    });
+  });
+};
+
+GPRS.prototype._sendSMS = function (number, message, report, callback) {
+  if (!number || !number.length) {
+    return callback(new Error('Did not specify a phone number'), null);
+  }
+  var self = this;
+  var parts;
+  try {
+    parts = pdu.encodeSubmit(number, message || 'text from a Tessel', {reference: self._concatReference, report: report});
+  } catch (e) {
+    return callback(e, null);
+  }
+  self._concatReference = (self._concatReference + 1) % 256;
+
+  self._command('AT+CMGF=0', 2000, function (err) {
+    if (err) {
+      return callback(err, [-1]);
+    }
+    var ids = [];
+    (function next () {
+      if (ids.length === parts.length) {
+        return callback(null, ids);
+      }
+      self._sendPDU(parts[ids.length], function (err, id) {
+        ids.push(id);
+        if (err) {
+          return callback(err, ids);
+        }
+        next();
+      });
+    })();
+  });
+};
+
+// Submit one encoded SMS with AT+CMGS, calling back with its reference
+GPRS.prototype._sendPDU = function (part, callback) {
+  var self = this;
+  var command = 'AT+CMGS=' + part.length;
+  self._txrx(command, 5000, function (err, data) {
+    if (err || data[data.length - 1] !== '> ') {
+      return callback(err || new Error('Unable to send SMS: ' + data.join(' ')), -1);
+    }
+    //  The PDU and the ctrl-z that sends it. The network can take up to a minute to answer.
+    self._txrx(new Buffer(part.pdu + '\x1a'), 60000, function (err, data) {
+      var id = -1;
+      var sent = response.find(data, '+CMGS', ['reference'])[0];
+      if (!err && sent && data[data.length - 1] === 'OK') {
+        //  message sent!
+        id = sent.reference;
+        delivery.sent(self, id);
+      } else if (!err) {
+        err = response.error('AT+CMGS', data);
+      }
+      callback(err, id);
+    }, [['+CMGS: ', 'ERROR'], ['OK', 'ERROR'], 1], {immediate: true, raw: true});
+  }, [[command], ['> ', 'ERROR']], {immediate: true});
+};
+
+// Get the module's IP state with AT+CIPSTATUS. The state is also kept as `ipState`.
+GPRS.prototype.ipStatus = function (callback) {
+  /*
+  Args
+    callback
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error
+    state
+      The state, ie 'IP INITIAL', 'IP STATUS' or 'PDP DEACT'
+  */
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    //  The state comes after the OK
+    self._txrx('AT+CIPSTATUS', 2000, function (err, data) {
+      var state = null;
+      (data || []).forEach(function (line) {
+        if (line.indexOf('STATE: ') === 0) {
+          state = line.slice(7);
+        }
+      });
+      if (!err && !state) {
+        err = new Error('AT+CIPSTATUS failed: ' + data.join(' '));
+      }
+      if (state) {
+        self.ipState = state;
+      }
+      done(err, state);
+    }, [['AT+CIPSTATUS'], [/^STATE: /, 'ERROR']]);
+  });
+};
+
+// Attach to the GPRS network and bring up a data connection, picking up from wherever the module already is
+GPRS.prototype.attach = function (options, callback) {
+  /*
+  Args
+    options
+      apn
+        The access point name from your carrier, ie 'wholesale'
+      user
+        Username for the APN, if it has one
+      password
+        Password for the APN, if it has one
+    callback
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if applicable. The message says which step failed, and `err.command` and `err.reply` have the details.
+    ip
+      Our IP address on the GPRS network
+  */
+
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  options = options || {};
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    var fail = function (err, explanation) {
+      var wrapped = new Error(explanation + ' (' + err.message + ')');
+      wrapped.command = err.command;
+      wrapped.reply = err.reply;
+      wrapped.type = err.type;
+      done(wrapped, null);
+    };
+
+    var steps = {
+      'PDP DEACT': function () {
+        //  The old context has to be shut before there can be a new one
+        self._txrx('AT+CIPSHUT', 65000, function (err, data) {
+          if (!err && data[data.length - 1] !== 'SHUT OK') {
+            err = new Error('AT+CIPSHUT failed: ' + data.join(' '));
+          }
+          if (err) {
+            return fail(err, 'Could not shut down the old GPRS context');
+          }
+          steps['IP INITIAL']();
+        }, [['AT+CIPSHUT'], ['SHUT OK', 'ERROR']]);
+      },
+      'IP INITIAL': function () {
+        self._command('AT+CGATT=1', 10000, function (err) {
+          if (err) {
+            return fail(err, 'Could not attach to the GPRS network. Is the module registered and the SIM able to use data?');
+          }
+          var apn = [options.apn || '', options.user || '', options.password || ''].map(function (field) {
+            return '"' + field + '"';
+          }).join(',');
+          self._command('AT+CSTT=' + apn, 5000, function (err) {
+            if (err) {
+              return fail(err, 'Could not set the APN to "' + (options.apn || '') + '"');
+            }
+            steps['IP START']();
+          });
+        });
+      },
+      'IP START': function () {
+        self._command('AT+CIICR', 85000, function (err) {
+          if (err) {
+            return fail(err, 'Could not bring up the GPRS connection. Check the APN, user and password');
+          }
+          steps['IP GPRSACT']();
+        });
+      },
+      'IP GPRSACT': function () {
+        //  The reply is just the address, without an OK
+        self._txrx('AT+CIFSR', 5000, function (err, data) {
+          var ip = data && data[data.length - 1];
+          if (!err && ip === 'ERROR') {
+            err = new Error('AT+CIFSR failed: ' + data.join(' '));
+          }
+          if (err) {
+            return fail(err, 'Could not get an IP address');
+          }
+          self.ip = ip;
+          self.ipState = 'IP STATUS';
+          self.emit('attached', ip);
+          done(null, ip);
+        }, [['AT+CIFSR'], [/^\d+\.\d+\.\d+\.\d+$/, 'ERROR']]);
+      }
+    };
+
+    self.ipStatus(function (err, state) {
+      if (err) {
+        return fail(err, 'Could not get the IP state');
+      }
+      if (state === 'IP CONFIG') {
+        //  AT+CIICR is still at it
+        return done(new Error('The module is busy bringing up a GPRS connection'), null);
+      }
+      //  Anything else is connected already, or was until a connection closed
+      (steps[state] || steps['IP GPRSACT'])();
+    });
+  });
+};
+
+// Take down the data connection and detach from the GPRS network
+GPRS.prototype.detach = function (callback) {
+  /*
+  Args
+    callback
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if applicable
+  */
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    self._txrx('AT+CIPSHUT', 65000, function (err, data) {
+      if (!err && data[data.length - 1] !== 'SHUT OK') {
+        err = new Error('AT+CIPSHUT failed: ' + data.join(' '));
+      }
+      if (err) {
+        return done(err);
+      }
+      self._command('AT+CGATT=0', 10000, function (err) {
+        self._detached('detached');
+        done(err);
+      });
+    }, [['AT+CIPSHUT'], ['SHUT OK', 'ERROR']]);
+  });
+};
+
+GPRS.prototype._detached = function (reason) {
+  var wasAttached = this.ip !== null;
+  this.ip = null;
+  this.ipState = reason === 'deactivated' ? 'PDP DEACT' : 'IP INITIAL';
+  if (this.socket && reason !== 'deactivated') {
+    //  AT+CIPSHUT closed it along with everything else
+    this.socket.push(null);
+    this.socket._teardown(false);
+  }
+  if (wasAttached || reason === 'deactivated') {
+    this.emit('detached', reason);
+  }
+};
+
+// Open a TCP (or UDP) connection over GPRS. The module must already have a GPRS connection, and only one socket can be open at a time.
+GPRS.prototype.connect = function (options, callback) {
+  /*
+  Args
+    options
+      host
+        Host name or IP address to connect to
+      port
+        Port to connect to
+      protocol
+        'TCP' (default) or 'UDP'
+      timeout
+        Milliseconds to wait for the connection to open, 75000 by default
+    callback
+      Optional. Called once with no arguments when the connection opens, like a 'connect' listener.
+
+  Returns
+    A Socket, a Duplex stream modeled on net.Socket. It emits 'connect', 'data', 'end', 'close' and 'error'.
+  */
+
+  var self = this;
+  options = options || {};
+  var socket = new Socket(self, options);
+  if (callback) {
+    socket.once('connect', callback);
+  }
+
+  var err = null;
+  if (self.socket) {
+    err = new Error('Already connected to ' + self.socket.remoteAddress + ':' + self.socket.remotePort);
+  } else if (!options.host || !options.port) {
+    err = new Error('Did not specify a host and port');
+  }
+  if (err) {
+    setImmediate(function () {
+      socket._fail(err);
+    });
+  } else {
+    self.socket = socket;
+    socket._connect();
+  }
+  return socket;
+};
+
+// Make an HTTP request with the module's HTTP stack. Requests are made one at a time.
+GPRS.prototype.request = function (options, callback) {
+  /*
+  Args
+    options
+      method
+        'GET' (default), 'POST' or 'HEAD'
+      url
+        The URL to request. 'https://' URLs use the module's SSL support.
+      headers
+        Object of request headers
+      body
+        String or Buffer to POST
+      apn
+        Access point name, used to open the bearer if it isn't open already
+      timeout
+        Milliseconds to wait for the response, 120000 by default
+    callback
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if applicable
+    response
+      An object with the `status` code, `headers` (lower case names, where the module reports them) and the `body` as a Buffer
+  */
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    http.request(self, options || {}, done);
+  });
+};
+
+// Turn the module on or off by pressing its power key with the power adapter (on a Tessel, switching G3 electronically). Does nothing without one.
+GPRS.prototype.togglePower = function (callback) {
+  var self = this;
+  return promiseOr(callback, function (done) {
+    if (!self.power) {
+      debug('no power control');
+      return setImmediate(done);
+    }
+    debug('toggling power...');
+    self.power.toggle(function () {
+      self.emit('powerToggled');
+      debug('done toggling power');
+      done();
+    });
+  });
+};
+
+// Turn the module on if it's off, and set it up again
+GPRS.prototype.powerOn = function (callback) {
+  /*
+  Args
+    callback
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if it could not be turned on, ie there is no power adapter
+  */
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    power.on(self, done);
+  });
+};
+
+// Shut the module down gracefully (AT+CPOWD=1) if it's on
+GPRS.prototype.powerOff = function (callback) {
+  /*
+  Args
+    callback
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if it could not be turned off
+  */
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    power.off(self, done);
+  });
+};
+
+// Save power with the slow clock (AT+CSCLK)
+GPRS.prototype.sleep = function (mode, callback) {
+  /*
+  Args
+    mode - Optional
+      1 to sleep while DTR is high (needs the `dtr` option), 2 (the default) to sleep whenever the UART has been idle a while. In mode 2, wake the module before sending it anything.
+    callback
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if the module refused
+  */
+
+  var self = this;
+  if (typeof mode === 'function') {
+    callback = mode;
+    mode = undefined;
+  }
+  return promiseOr(callback, function (done) {
+    power.sleep(self, mode === undefined ? 2 : mode, done);
+  });
+};
+
+// Change the rate the module and the UART talk at
+GPRS.prototype.setBaudRate = function (rate, options, callback) {
+  /*
+  Args
+    rate
+      115200, 57600, 38400, 19200, 9600, 4800, 2400 or 1200, or 0 for the module to go back to autobauding
+    options - Optional
+      persist
+        Save the rate (AT&W), so the module comes back up at it. Defaults to false.
+    callback
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if the rate couldn't be set
+  */
+
+  var self = this;
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  return promiseOr(callback, function (done) {
+    baudrate.set(self, rate, !!(options && options.persist), done);
+  });
+};
+
+// Wake the module from sleep and turn the slow clock off
+GPRS.prototype.wake = function (callback) {
+  /*
+  Args
+    callback
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if it didn't wake
+  */
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    power.wake(self, done);
+  });
+};
+
+GPRS.prototype.disable = function () {
+  watchdog.stop(this);
+  network.stop(this);
+  //  Nothing more goes to the module, and whatever was waiting on it hears so
+  this.postmaster.close();
+  this.transport.close();
+  if (this.recorder) {
+    this.recorder.stop();
+  }
+};
+
+// Connect the GPRS module and establish contact with the SIM900
+function use(hardware, options, callback) {
+  /*
+  Args
+    hardware
+      The Tessel port to use for the main GPRS hardware, or a stream, as for the GPRS constructor
+    options - Optional
+      See the GPRS constructor
+    callback
+      Callback frunction for once the module is set up
+
+    Callback parameters
+      err
+        Error, if any, while connecting. Passes null if successful.
+  */
+
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  var radio = new GPRS(hardware, options);
   radio._establishContact(callback);
   return radio;
 }
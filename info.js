@@ -0,0 +1,134 @@
+/*
+Who the module and its SIM are: manufacturer, model and firmware from ATI,
+AT+CGMI and AT+CGMR, the IMEI from AT+GSN, and the SIM's IMSI, ICCID and
+phone number from AT+CIMI, AT+CCID and AT+CNUM. Anything the module doesn't
+give us, or gives us in a shape that can't be right, comes out as null
+rather than as whatever was on the line.
+*/
+
+var response = require('./response.js');
+
+function empty () {
+  return {
+    manufacturer: null,
+    model: null,
+    firmware: null,
+    imei: null,
+    imsi: null,
+    iccid: null,
+    ownNumber: null
+  };
+}
+
+function luhn (digits) {
+  //  The check digit IMEIs and ICCIDs end with
+  var sum = 0;
+  for (var i = 0; i < digits.length; i++) {
+    var digit = parseInt(digits[digits.length - 1 - i], 10);
+    if (i % 2) {
+      digit *= 2;
+      digit = digit > 9 ? digit - 9 : digit;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+var parsers = {
+  ATI: function (lines, info) {
+    //  'SIM900 R11.0', or 'Manufacturer: ...', 'Model: ...' and 'Revision: ...' on other firmware
+    lines.forEach(function (line) {
+      var match = line.match(/^(Manufacturer|Model|Revision): *(.+)$/);
+      if (match) {
+        info[{Manufacturer: 'manufacturer', Model: 'model', Revision: 'firmware'}[match[1]]] = match[2];
+      } else if ((match = line.match(/^(SIM\w+)(?: |$)/))) {
+        info.model = info.model || match[1];
+      }
+    });
+  },
+  'AT+CGMI': function (lines, info) {
+    if (/^[\w .-]+$/.test(lines[0] || '')) {
+      info.manufacturer = lines[0];
+    }
+  },
+  'AT+CGMR': function (lines, info) {
+    //  'Revision:1137B01SIM900M64_ST'
+    var match = (lines[0] || '').match(/^(?:\+CGMR: *|Revision: *)?(\w[\w.-]*)$/);
+    if (match) {
+      info.firmware = match[1];
+    }
+  },
+  'AT+GSN': function (lines, info) {
+    //  15 digits, the last a Luhn check digit
+    if (/^\d{15}$/.test(lines[0] || '') && luhn(lines[0])) {
+      info.imei = lines[0];
+    }
+  },
+  'AT+CIMI': function (lines, info) {
+    //  Country and network codes, then the subscriber: 15 digits at most
+    if (/^\d{6,15}$/.test(lines[0] || '')) {
+      info.imsi = lines[0];
+    }
+  },
+  'AT+CCID': function (lines, info) {
+    //  19 or 20 digits starting 89, padded with an F on some SIMs, the last a Luhn check digit
+    var iccid = (lines[0] || '').replace(/^\+?CCID: *"?|"$/g, '').replace(/F$/i, '');
+    if (/^89\d{17,18}$/.test(iccid) && luhn(iccid)) {
+      info.iccid = iccid;
+    }
+  },
+  'AT+CNUM': function (lines, info) {
+    //  '+CNUM: "<name>","<number>",<type>,...', or nothing if the SIM doesn't know
+    var entry = response.find(lines, '+CNUM', ['name', 'number', 'type'])[0];
+    if (entry && /^\+?\d+$/.test(entry.number)) {
+      info.ownNumber = entry.type === 145 && entry.number[0] !== '+' ? '+' + entry.number : entry.number;
+    }
+  }
+};
+
+//  The SIM's fields, which go stale when it's changed
+var SIM_FIELDS = ['imsi', 'iccid', 'ownNumber'];
+
+function query (gprs, callback) {
+  /*
+  Ask the module everything, one command after the other
+
+  Callback parameters
+    err
+      Error, if the module stopped answering
+    info
+      {manufacturer, model, firmware, imei, imsi, iccid, ownNumber}
+  */
+
+  var commands = Object.keys(parsers);
+  var info = empty();
+  var next = function (i) {
+    if (i === commands.length) {
+      return callback(null, info);
+    }
+    var command = commands[i];
+    gprs._txrx(command, 2000, function (err, data) {
+      if (err && err.type === 'timeout') {
+        return callback(err, info);
+      }
+      data = data || [];
+      if (data[data.length - 1] === 'OK') {
+        //  Between the echo and the OK
+        parsers[command](data.slice(0, -1).filter(function (line) {
+          return line !== command;
+        }), info);
+      }
+      next(i + 1);
+    }, null, {immediate: i > 0});
+  };
+  next(0);
+}
+
+function forgetSIM (info) {
+  SIM_FIELDS.forEach(function (field) {
+    info[field] = null;
+  });
+}
+
+module.exports.query = query;
+module.exports.forgetSIM = forgetSIM;
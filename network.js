@@ -0,0 +1,161 @@
+/*
+Keeps track of the module's place on the cell network: whether it's
+registered (from +CREG, and +CGREG for GPRS), which cell it's on, and how
+good the signal is (from polling AT+CSQ). The state lives in `gprs.network`
+and changes come out as 'registered', 'unregistered' and 'signal' events.
+*/
+
+function status () {
+  //  What we know before the module has told us anything
+  return {
+    registered: false,
+    gprsRegistered: false,
+    roaming: false,
+    lac: null,
+    cellId: null,
+    rssi: null,
+    ber: null,
+    dbm: null
+  };
+}
+
+function configure (gprs, interval, callback) {
+  /*
+  Turn on registration reports with location, find out where we stand, and start polling the signal
+
+  args
+    gprs
+      The GPRS object
+    interval
+      Milliseconds between AT+CSQ polls. 0 to poll just the once.
+    callback
+      Called once we know where we stand
+  */
+
+  stop(gprs);
+  gprs._settings(['AT+CREG=2', 'AT+CGREG=2'], function () {
+    //  The queries' replies have the same information as reports, after the <n> we just set
+    query(gprs, 'AT+CREG?', function () {
+      query(gprs, 'AT+CGREG?', function () {
+        pollSignal(gprs, function () {
+          poll(gprs, interval);
+          callback();
+        }, {immediate: true});
+      });
+    });
+  });
+}
+
+function query (gprs, command, callback) {
+  gprs._command(command, 2000, function (err, data) {
+    (data || []).forEach(function (line) {
+      handleLine(gprs, line.replace(/^(\+C?G?REG: )\d,/, '$1'));
+    });
+    callback();
+  }, null, {immediate: true});
+}
+
+function poll (gprs, interval) {
+  //  Poll the signal every `interval` ms from now on, or not at all for 0
+  stop(gprs);
+  if (interval) {
+    gprs._signalTimer = setInterval(function () {
+      pollSignal(gprs);
+    }, interval);
+  }
+}
+
+function stop (gprs) {
+  clearInterval(gprs._signalTimer);
+  gprs._signalTimer = null;
+}
+
+function pollSignal (gprs, callback, options) {
+  //  Behind anything more important
+  gprs._command('AT+CSQ', 2000, function (err, data) {
+    (data || []).forEach(function (line) {
+      handleLine(gprs, line);
+    });
+    if (callback) {
+      callback();
+    }
+  }, null, options || {priority: -1});
+}
+
+function handleLine (gprs, line) {
+  /*
+  Update `gprs.network` from a +CREG, +CGREG or +CSQ line: '+CREG: <stat>[,"<lac>","<ci>"]' or '+CSQ: <rssi>,<ber>'
+
+  returns
+    true if the line was about the network
+  */
+
+  if (typeof line !== 'string') {
+    return false;
+  }
+  var network = gprs.network;
+  var match = line.match(/^\+(C|CG)REG: (\d)(?:,"([0-9A-Fa-f]+)","([0-9A-Fa-f]+)")?$/);
+  if (match) {
+    //  1 is home, 5 is roaming. 0, 2, 3 and 4 are not registered, searching, denied and unknown.
+    var stat = parseInt(match[2], 10);
+    var registered = stat === 1 || stat === 5;
+    if (match[3]) {
+      network.lac = parseInt(match[3], 16);
+      network.cellId = parseInt(match[4], 16);
+    }
+    if (match[1] === 'CG') {
+      network.gprsRegistered = registered;
+      return true;
+    }
+    network.roaming = stat === 5;
+    if (registered !== network.registered) {
+      network.registered = registered;
+      gprs.emit(registered ? 'registered' : 'unregistered', network);
+    }
+    return true;
+  }
+  match = line.match(/^\+CSQ: (\d+),(\d+)$/);
+  if (match) {
+    //  99 means the module can't tell
+    var rssi = parseInt(match[1], 10);
+    var ber = parseInt(match[2], 10);
+    rssi = rssi === 99 ? null : rssi;
+    ber = ber === 99 ? null : ber;
+    if (rssi !== network.rssi || ber !== network.ber) {
+      network.rssi = rssi;
+      network.ber = ber;
+      network.dbm = rssi === null ? null : -113 + 2 * rssi;
+      gprs.emit('signal', network);
+    }
+    return true;
+  }
+  return false;
+}
+
+function waitFor (gprs, timeout, callback) {
+  //  Call back once registered, or with an error after `timeout` ms
+  if (gprs.network.registered) {
+    return setImmediate(callback, null, gprs.network);
+  }
+  var timer = null;
+  var onRegistered = function () {
+    clearTimeout(timer);
+    callback(null, gprs.network);
+  };
+  gprs.once('registered', onRegistered);
+  if (timeout) {
+    timer = setTimeout(function () {
+      gprs.removeListener('registered', onRegistered);
+      var err = new Error('Not registered on the network after ' + timeout + ' ms');
+      err.type = 'timeout';
+      callback(err, gprs.network);
+    }, timeout);
+  }
+}
+
+module.exports.status = status;
+module.exports.configure = configure;
+module.exports.poll = poll;
+module.exports.stop = stop;
+module.exports.handleLine = handleLine;
+module.exports.waitFor = waitFor;
@@ -3,61 +3,27 @@ var EventEmitter = require('events').EventEmitter;
 
 ////////////////////////////////////////////////////////////////////////////////
 
-function decode(array) {
-  /*
-  convert the given array/buffer of bytes to its ASCII representation
-
-  args
-    array
-      an array-like object of bytes to be interpreted as text
-  */
-
-  var decoded = '';
-  for (var i = 0; i < array.length; i++)
-  {
-    if (array[i] == 10 || array[i] == 13) {
-      decoded += '\n';    // not technically true
-    } else {
-      decoded += String.fromCharCode(array[i]);
-    }
-  }
-  return decoded;
-}
-
-function checkEnd(message, incoming, ender) {
-  /*
-  check to see if we're done with this packet
-
-  args
-    message
-      the message so far
-    incoming
-      latest byte/character
-    ender
-      the packet termination sequence
-
-  return
-    true/false if the packet should end
-  */
-
-  // the slow way:
-  // return (message + incoming).indexOf(ender) != -1;
-
-  // the fast way:
-  return (message + incoming).slice(message.length - ender.length + 1) === ender;
-}
+//  Line ends
+var CR = 13;
+var LF = 10;
+var COLON = 58;
 
 function Packetizer(uart, ender, blacklist, debug) {
   /*
-  packetize the incoming UART stream
+  packetize the incoming UART stream into lines, and runs of raw bytes
 
   args
     uart
       the uart port being packetized
     ender
-      charaters at the end of each packet. typically \r\n or similar.
+      kept where it was for callers that pass it, ie '\r\n'. lines end as below whatever it is.
     blacklist
       an array of messages you don't care about, ie ['UNDER-VOLTAGE WARNNING']
+
+  Lines end with '\r\n'. A lone '\r' or '\n' ends one too, as in the
+  module's echo of a command. Bytes are only turned into text once a line is
+  complete, as 'binary' (one character per byte), so nothing is lost. The
+  exception is a prompt, which the module doesn't end at all.
   */
 
   this.debug = debug || false;
@@ -68,8 +34,26 @@ function Packetizer(uart, ender, blacklist, debug) {
   this.messages = [];
   this.packetNumber = 0;
   this.maxBufferSize = 10;
-  this.previousCharacter = '';
-  this.latestMessage = '';
+  //  Buffers holding the line so far, which ended with no line end
+  this.pending = [];
+  //  What the module sends, with no line end, when it's waiting for us to
+  //  send something: the text of an SMS, or data for AT+CIPSEND
+  this.prompts = ['> '];
+
+  //  Headers announcing a run of raw bytes. The first group of `pattern` is
+  //  the byte count, and the raw bytes start right after `end`: ':' for
+  //  incoming TCP data ('+IPD,12:...'), the end of the line for replies
+  //  like '+HTTPREAD: 12', which are also emitted as packets.
+  this.rawHeaders = [
+    {pattern: /^\+IPD,(\d+)$/, end: ':'},
+    {pattern: /^\+HTTPREAD: ?(\d+)$/, end: '\n'},
+    {pattern: /^\+HTTPHEAD: ?(\d+)$/, end: '\n'}
+  ];
+  this.rawHeader = null;
+  //  Buffers of the raw bytes so far, and how many more to come
+  this.rawChunks = [];
+  this.rawRemaining = 0;
+  this.skipLineFeed = false;
 
   // Initialize UART
   this.uart = uart;
@@ -138,45 +122,167 @@ Packetizer.prototype.checkBlacklist = function(data) {
   return (this.blacklist.indexOf(data) > -1);
 };
 
-Packetizer.prototype.packetize = function() {
-  var self = this;
-  this.uart.on('data', function(bytes) {
-    for (var i = 0; i < bytes.length; i++)
-    {
-      var thing = decode([bytes[i]]);
-      if (checkEnd(self.latestMessage, thing, self.ender))
-      {
-        if (!/^\s*$/.test(self.latestMessage + thing) &&
-            ! self.checkBlacklist(self.latestMessage))
-        {
-
-          if (self.debug){
-            console.log("Got a packet", self.latestMessage);
-          }
-          //  we don't want "empty" or blacklisted packets
-          self.emit('packet', self.latestMessage);
-          // console.log('--> emitting',  self.latestMessage);
-          self.messages.push(self.latestMessage);
-          self.packetNumber++;
-          if (self.packetNumber > self.maxBufferSize) {
-            self.emit('overflow', self.messages.shift());
-          }
-        }
-        if (self.checkBlacklist(self.latestMessage))
-        {
-          //  sometimes we may want to know
-          self.emit('blacklist', self.latestMessage);
+Packetizer.prototype.checkRawHeader = function(data, end) {
+  /*
+  checks to see if the given text announces raw bytes
+
+  args
+    data
+      string to test
+    end
+      the character that just ended `data`, ':' or '\n'
+
+  return value
+    the number of raw bytes to follow, or -1 if none
+  */
+
+  for (var i = 0; i < this.rawHeaders.length; i++) {
+    var match = this.rawHeaders[i].end === end && data.match(this.rawHeaders[i].pattern);
+    if (match) {
+      return parseInt(match[1], 10);
+    }
+  }
+  return -1;
+};
+
+Packetizer.prototype.startRaw = function(header, length) {
+  //  hand the next `length` bytes over untouched as a 'raw' event
+  this.rawHeader = header;
+  this.rawRemaining = length;
+  this.rawChunks = [];
+  if (length === 0) {
+    this.emit('raw', new Buffer(0), header);
+    this.rawHeader = null;
+  }
+};
+
+Packetizer.prototype.takeLine = function(bytes, end) {
+  //  the pending bytes and the first `end` of `bytes`, as text
+  this.pending.push(bytes.slice(0, end));
+  var line = Buffer.concat(this.pending).toString('binary');
+  this.pending = [];
+  return line;
+};
+
+Packetizer.prototype.emitLine = function(line) {
+  //  emit a complete line, unless it's empty or blacklisted. returns true if it was emitted.
+  if (this.checkBlacklist(line)) {
+    //  sometimes we may want to know
+    this.emit('blacklist', line);
+    return false;
+  }
+  if (/^\s*$/.test(line)) {
+    return false;
+  }
+  if (this.debug) {
+    console.log("Got a packet", line);
+  }
+  this.emit('packet', line);
+  this.messages.push(line);
+  this.packetNumber++;
+  if (this.packetNumber > this.maxBufferSize) {
+    this.emit('overflow', this.messages.shift());
+  }
+  return true;
+};
+
+Packetizer.prototype.receive = function(bytes) {
+  /*
+  take in bytes from the UART
+
+  args
+    bytes
+      a Buffer (or an array of bytes)
+  */
+
+  if (!Buffer.isBuffer(bytes)) {
+    bytes = new Buffer(bytes);
+  }
+  while (bytes.length) {
+    //  A header line ending in \r\n: the \n isn't part of the raw bytes
+    if (this.skipLineFeed) {
+      this.skipLineFeed = false;
+      if (bytes[0] === LF) {
+        bytes = bytes.slice(1);
+        continue;
+      }
+    }
+    //  Raw bytes skip packetizing entirely and come out as a 'raw' event
+    if (this.rawRemaining > 0) {
+      var take = Math.min(this.rawRemaining, bytes.length);
+      this.rawChunks.push(bytes.slice(0, take));
+      this.rawRemaining -= take;
+      bytes = bytes.slice(take);
+      if (this.rawRemaining === 0) {
+        var raw = Buffer.concat(this.rawChunks);
+        var header = this.rawHeader;
+        this.rawChunks = [];
+        this.rawHeader = null;
+        this.emit('raw', raw, header);
+      }
+      continue;
+    }
+    //  Find the end of the line, or a ':' that might end a raw header
+    var i = 0;
+    var rawLength = -1;
+    var line = null;
+    for (; i < bytes.length; i++) {
+      if (bytes[i] === CR || bytes[i] === LF) {
+        break;
+      }
+      if (bytes[i] === COLON) {
+        line = Buffer.concat(this.pending.concat(bytes.slice(0, i))).toString('binary');
+        rawLength = this.checkRawHeader(line, ':');
+        if (rawLength > -1) {
+          break;
         }
-        self.latestMessage = '';
-        self.previousCharacter = '';
       }
-      else
-      {
-        self.latestMessage += thing;
-        self.previousCharacter = thing;
+    }
+    if (rawLength > -1) {
+      this.pending = [];
+      bytes = bytes.slice(i + 1);
+      this.startRaw(line, rawLength);
+      continue;
+    }
+    if (i === bytes.length) {
+      //  no line end yet, and none to come if it's a prompt
+      this.pending.push(bytes);
+      line = Buffer.concat(this.pending).toString('binary');
+      if (this.prompts.indexOf(line) > -1) {
+        this.pending = [];
+        this.emitLine(line);
+      }
+      break;
+    }
+    line = this.takeLine(bytes, i);
+    var atCR = bytes[i] === CR;
+    bytes = bytes.slice(i + 1);
+    if (atCR) {
+      if (bytes.length && bytes[0] === LF) {
+        bytes = bytes.slice(1);
+      } else if (!bytes.length) {
+        this.skipLineFeed = true;
       }
     }
-  });
+    if (this.emitLine(line)) {
+      rawLength = this.checkRawHeader(line, '\n');
+      if (rawLength > -1) {
+        this.startRaw(line, rawLength);
+      }
+    }
+  }
+};
+
+Packetizer.prototype.packetize = function() {
+  this._onData = this._onData || this.receive.bind(this);
+  this.uart.on('data', this._onData);
+};
+
+Packetizer.prototype.reattach = function(uart) {
+  //  Carry on with a reopened UART, keeping whatever we had of a line so far
+  this.uart.removeListener('data', this._onData);
+  this.uart = uart;
+  this.packetize();
 };
 
 module.exports = Packetizer;
@@ -0,0 +1,694 @@
+/*
+Encode and decode SMS PDUs (3GPP TS 23.040), the binary form of a text
+message the SIM900 sends and receives in PDU mode (AT+CMGF=0). Text goes in
+the GSM 7-bit alphabet when it can, extension table included, and in UCS2
+when it can't. Text too long for one message is split into parts that the
+receiving phone joins back together using a user data header.
+*/
+
+//  The GSM 7-bit default alphabet, by septet. 0x1B escapes to the extension table.
+var GSM7 = '@£$¥èéùìòÇ\nØø\rÅå' +
+  'Δ_ΦΓΛΩΠΨΣΘΞ\u001bÆæßÉ' +
+  ' !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§' +
+  '¿abcdefghijklmnopqrstuvwxyzäöñüà';
+
+//  The extension table: septet after the escape -> character
+var GSM7_EXTENSION = {
+  0x0A: '\f',
+  0x14: '^',
+  0x28: '{',
+  0x29: '}',
+  0x2F: '\\',
+  0x3C: '[',
+  0x3D: '~',
+  0x3E: ']',
+  0x40: '|',
+  0x65: '€'
+};
+
+var ESCAPE = 0x1B;
+
+//  Character -> septet(s), built from the tables above
+var GSM7_ENCODE = {};
+(function () {
+  for (var i = 0; i < GSM7.length; i++) {
+    if (i !== ESCAPE) {
+      GSM7_ENCODE[GSM7[i]] = [i];
+    }
+  }
+  Object.keys(GSM7_EXTENSION).forEach(function (septet) {
+    GSM7_ENCODE[GSM7_EXTENSION[septet]] = [ESCAPE, parseInt(septet, 10)];
+  });
+})();
+
+//  Message types, the low two bits of the first octet
+var DELIVER = 0;
+var SUBMIT = 1;
+var STATUS_REPORT = 2;
+
+//  Type of address: international and unknown/national numbering, and alphanumeric senders
+var INTERNATIONAL = 0x91;
+var NATIONAL = 0x81;
+var ALPHANUMERIC = 0xD0;
+
+//  Septets or UCS2 code units in a single message, and in each part of a long one
+var LIMITS = {
+  gsm7: {single: 160, part: 153},
+  ucs2: {single: 70, part: 67}
+};
+
+function isGsm7 (text) {
+  /*
+  Can `text` be sent in the GSM 7-bit alphabet?
+
+  args
+    text
+      String to check
+  */
+
+  for (var i = 0; i < text.length; i++) {
+    if (!GSM7_ENCODE[text[i]]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function split (text, encoding) {
+  /*
+  Break text into the pieces that will each fit in one message
+
+  args
+    text
+      String to split
+    encoding
+      'gsm7' or 'ucs2'
+
+  returns
+    An Array of Strings. Just the one if the text fits in a single message.
+  */
+
+  var limit = LIMITS[encoding];
+  var size = function (character) {
+    return encoding === 'gsm7' ? GSM7_ENCODE[character].length : 1;
+  };
+  var total = 0;
+  for (var i = 0; i < text.length; i++) {
+    total += size(text[i]);
+  }
+  if (total <= limit.single) {
+    return [text];
+  }
+
+  var parts = [];
+  var current = '';
+  var used = 0;
+  for (var j = 0; j < text.length; j++) {
+    var character = text[j];
+    var needed = size(character);
+    //  Keep surrogate pairs (emoji and the like) in one part
+    var pair = encoding === 'ucs2' && /[\ud800-\udbff]/.test(character) && j + 1 < text.length;
+    if (pair) {
+      character += text[++j];
+      needed = 2;
+    }
+    if (used + needed > limit.part) {
+      parts.push(current);
+      current = '';
+      used = 0;
+    }
+    current += character;
+    used += needed;
+  }
+  parts.push(current);
+  return parts;
+}
+
+////////////////////////////////////////////////////////////////////////////////
+//  Encoding
+
+function hex (octets) {
+  return octets.map(function (octet) {
+    return (octet < 16 ? '0' : '') + octet.toString(16).toUpperCase();
+  }).join('');
+}
+
+function toSeptets (text) {
+  var septets = [];
+  for (var i = 0; i < text.length; i++) {
+    septets.push.apply(septets, GSM7_ENCODE[text[i]]);
+  }
+  return septets;
+}
+
+function pack (septets, padding) {
+  //  Pack septets into octets, least significant bit first, after `padding` zero bits
+  var octets = [];
+  var length = Math.ceil((padding + septets.length * 7) / 8);
+  for (var n = 0; n < length; n++) {
+    octets.push(0);
+  }
+  for (var i = 0; i < septets.length; i++) {
+    var position = padding + i * 7;
+    var index = position >> 3;
+    var shift = position & 7;
+    octets[index] |= (septets[i] << shift) & 0xFF;
+    if (shift > 1) {
+      octets[index + 1] |= septets[i] >> (8 - shift);
+    }
+  }
+  return octets;
+}
+
+function semiOctets (digits) {
+  //  Two digits to an octet, swapped, padded with F
+  var octets = [];
+  if (digits.length % 2) {
+    digits += 'F';
+  }
+  for (var i = 0; i < digits.length; i += 2) {
+    octets.push(parseInt(digits[i + 1] + digits[i], 16));
+  }
+  return octets;
+}
+
+function encodeAddress (number) {
+  /*
+  The address fields of a PDU: length in digits, type of address and the digits
+
+  args
+    number
+      Phone number. A leading '+' makes it international.
+  */
+
+  number = String(number).replace(/[\s\-()]/g, '');
+  var type = number[0] === '+' ? INTERNATIONAL : NATIONAL;
+  var digits = number.replace(/^\+/, '');
+  if (!/^[0-9*#]+$/.test(digits)) {
+    throw new Error('Invalid phone number ' + number);
+  }
+  digits = digits.replace(/\*/g, 'A').replace(/#/g, 'B');
+  return [digits.length, type].concat(semiOctets(digits));
+}
+
+function encodeUserData (text, encoding, header) {
+  /*
+  Returns the user data length and user data octets
+
+  args
+    text
+      The text of this message or part
+    encoding
+      'gsm7' or 'ucs2'
+    header
+      Octets of the user data header, length first, or null
+  */
+
+  header = header || [];
+  if (encoding === 'gsm7') {
+    //  Text starts on the first septet boundary after the header
+    var padding = (7 - (header.length * 8) % 7) % 7;
+    var septets = toSeptets(text);
+    return {
+      length: (header.length * 8 + padding) / 7 + septets.length,
+      octets: header.concat(pack(septets, padding))
+    };
+  }
+  var octets = header.slice();
+  for (var i = 0; i < text.length; i++) {
+    var unit = text.charCodeAt(i);
+    octets.push(unit >> 8, unit & 0xFF);
+  }
+  return {length: octets.length, octets: octets};
+}
+
+function concatHeader (concat) {
+  //  Concatenated short message, 8-bit reference
+  return [5, 0x00, 3, concat.reference & 0xFF, concat.total, concat.sequence];
+}
+
+function encodeSubmit (number, text, options) {
+  /*
+  Encode an outgoing message (SMS-SUBMIT), split into parts if need be
+
+  args
+    number
+      The recipient's phone number
+    text
+      The message
+    options
+      reference
+        Reference number (0-255) tying the parts of a long message together. Pick a new one for each message.
+      encoding
+        'gsm7' or 'ucs2' to force one. By default, GSM 7-bit if the text allows.
+      report
+        Ask the SMSC for a status report on delivery (the SRR bit). Defaults to false.
+
+  returns
+    An Array with one entry per part. Each is an object with the `pdu` as a hex String, ready to follow AT+CMGS, and its `length` in octets, which is what AT+CMGS=<length> wants.
+  */
+
+  options = options || {};
+  text = String(text);
+  var encoding = options.encoding || (isGsm7(text) ? 'gsm7' : 'ucs2');
+  if (encoding === 'gsm7' && !isGsm7(text)) {
+    throw new Error('Text cannot be sent in the GSM 7-bit alphabet');
+  }
+  var address = encodeAddress(number);
+  var parts = split(text, encoding);
+  var reference = options.reference === undefined ? Math.floor(Math.random() * 256) : options.reference;
+
+  return parts.map(function (part, i) {
+    var header = parts.length > 1 ? concatHeader({reference: reference, total: parts.length, sequence: i + 1}) : null;
+    var userData = encodeUserData(part, encoding, header);
+    //  SMS-SUBMIT with a relative validity period, a status report request if asked, and a user data header if we have one
+    var firstOctet = SUBMIT | 0x10 | (options.report ? 0x20 : 0) | (header ? 0x40 : 0);
+    var tpdu = [firstOctet, 0x00]
+      .concat(address)
+      .concat([0x00, encoding === 'ucs2' ? 0x08 : 0x00, 0xAA, userData.length])
+      .concat(userData.octets);
+    //  A leading 00 uses the SMSC stored on the SIM
+    return {pdu: '00' + hex(tpdu), length: tpdu.length};
+  });
+}
+
+function encodeTimestamp (date) {
+  //  7 octets of swapped semi-octets in UTC. `date` can be a Date or 'yy/MM/dd,hh:mm:ss+zz'.
+  var fields;
+  var match = typeof date === 'string' && date.match(/^(\d\d)\/(\d\d)\/(\d\d),(\d\d):(\d\d):(\d\d)([+-])(\d\d)$/);
+  if (match) {
+    fields = match.slice(1, 7);
+    var quarters = parseInt(match[8], 10);
+    var zone = semiOctets((quarters < 10 ? '0' : '') + quarters)[0];
+    return semiOctets(fields.join('')).concat([match[7] === '-' ? zone | 0x08 : zone]);
+  }
+  date = date || new Date();
+  fields = [date.getUTCFullYear() % 100, date.getUTCMonth() + 1, date.getUTCDate(),
+    date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()];
+  return semiOctets(fields.map(function (field) {
+    return (field < 10 ? '0' : '') + field;
+  }).join('')).concat([0x00]);
+}
+
+function encodeDeliver (sender, text, options) {
+  /*
+  Encode an incoming message (SMS-DELIVER) as the SMSC would. Mostly good for tests.
+
+  args
+    sender
+      The sender's phone number
+    text
+      The message. Must fit in one message.
+    options
+      timestamp
+        A Date, or a String like '14/07/01,12:00:00+00'. Defaults to now.
+      encoding
+        'gsm7' or 'ucs2', as with encodeSubmit
+      concat
+        {reference, total, sequence} to make this one part of a long message
+
+  returns
+    An object with the `pdu` as a hex String and its `length` in octets, as AT+CMGR reports them
+  */
+
+  options = options || {};
+  text = String(text);
+  var encoding = options.encoding || (isGsm7(text) ? 'gsm7' : 'ucs2');
+  var header = options.concat ? concatHeader(options.concat) : null;
+  var userData = encodeUserData(text, encoding, header);
+  var tpdu = [DELIVER | 0x04 | (header ? 0x40 : 0)]
+    .concat(encodeAddress(sender))
+    .concat([0x00, encoding === 'ucs2' ? 0x08 : 0x00])
+    .concat(encodeTimestamp(options.timestamp))
+    .concat([userData.length])
+    .concat(userData.octets);
+  return {pdu: '00' + hex(tpdu), length: tpdu.length};
+}
+
+function encodeStatusReport (recipient, reference, status, options) {
+  /*
+  Encode a status report (SMS-STATUS-REPORT) on a message we sent, as the SMSC would. Mostly good for tests.
+
+  args
+    recipient
+      Who the message was to
+    reference
+      The message's reference, as +CMGS gave it
+    status
+      The TP-Status: 0 for delivered, 0x20-0x3F while the SMSC is still trying, 0x40 and up when it gave up
+    options
+      timestamp
+        When the SMSC got the message, as for encodeDeliver. Defaults to now.
+      discharged
+        When it was delivered, or given up on. Defaults to now.
+
+  returns
+    An object with the `pdu` as a hex String and its `length` in octets, as +CDS reports them
+  */
+
+  options = options || {};
+  var tpdu = [STATUS_REPORT, reference & 0xFF]
+    .concat(encodeAddress(recipient))
+    .concat(encodeTimestamp(options.timestamp))
+    .concat(encodeTimestamp(options.discharged))
+    .concat([status & 0xFF]);
+  return {pdu: '00' + hex(tpdu), length: tpdu.length};
+}
+
+////////////////////////////////////////////////////////////////////////////////
+//  Decoding
+
+function unpack (octets, padding, count) {
+  var septets = [];
+  for (var i = 0; i < count; i++) {
+    var position = padding + i * 7;
+    var index = position >> 3;
+    var shift = position & 7;
+    var septet = octets[index] >> shift;
+    if (shift > 1) {
+      septet |= octets[index + 1] << (8 - shift);
+    }
+    septets.push(septet & 0x7F);
+  }
+  return septets;
+}
+
+function fromSeptets (septets) {
+  var text = '';
+  for (var i = 0; i < septets.length; i++) {
+    if (septets[i] === ESCAPE && i + 1 < septets.length) {
+      //  Unknown extensions fall back to the default alphabet
+      var septet = septets[++i];
+      text += GSM7_EXTENSION[septet] || GSM7[septet];
+    } else {
+      text += GSM7[septets[i]];
+    }
+  }
+  return text;
+}
+
+function readDigits (octets) {
+  var digits = '';
+  octets.forEach(function (octet) {
+    digits += (octet & 0x0F).toString(16) + (octet >> 4).toString(16);
+  });
+  return digits.toUpperCase().replace(/F$/, '').replace(/A/g, '*').replace(/B/g, '#');
+}
+
+function alphabet (dcs) {
+  //  Which alphabet does the data coding scheme call for?
+  if ((dcs & 0xC0) === 0x00) {
+    return ['gsm7', '8bit', 'ucs2', 'gsm7'][(dcs >> 2) & 0x03];
+  }
+  if ((dcs & 0xF0) === 0xF0) {
+    return dcs & 0x04 ? '8bit' : 'gsm7';
+  }
+  if ((dcs & 0xF0) === 0xE0) {
+    return 'ucs2';
+  }
+  return 'gsm7';
+}
+
+function Reader (pdu) {
+  //  Walks through the octets of a hex PDU
+  this.octets = [];
+  for (var i = 0; i + 1 < pdu.length; i += 2) {
+    this.octets.push(parseInt(pdu.slice(i, i + 2), 16));
+  }
+  this.position = 0;
+}
+
+Reader.prototype.next = function () {
+  if (this.position >= this.octets.length) {
+    throw new Error('PDU is too short');
+  }
+  return this.octets[this.position++];
+};
+
+Reader.prototype.take = function (count) {
+  if (this.position + count > this.octets.length) {
+    throw new Error('PDU is too short');
+  }
+  var octets = this.octets.slice(this.position, this.position + count);
+  this.position += count;
+  return octets;
+};
+
+Reader.prototype.address = function () {
+  //  Length is in digits (semi-octets)
+  var length = this.next();
+  var type = this.next();
+  var octets = this.take(Math.ceil(length / 2));
+  if ((type & 0x70) === 0x50) {
+    return {number: fromSeptets(unpack(octets, 0, Math.floor(length * 4 / 7))), type: type};
+  }
+  var digits = readDigits(octets);
+  return {number: ((type & 0x70) === 0x10 ? '+' : '') + digits, type: type};
+};
+
+Reader.prototype.timestamp = function () {
+  /*
+  Returns
+    date
+      A Date
+    text
+      The same time as the SIM900 shows it in text mode, ie '14/07/01,12:00:00+00'. The zone is in quarter hours.
+  */
+
+  var octets = this.take(7);
+  var fields = readDigits(octets.slice(0, 6)).match(/../g);
+  var zone = octets[6];
+  var quarters = (zone & 0x07) * 10 + (zone >> 4);
+  var text = fields[0] + '/' + fields[1] + '/' + fields[2] + ',' + fields[3] + ':' + fields[4] + ':' + fields[5] +
+    (zone & 0x08 ? '-' : '+') + (quarters < 10 ? '0' : '') + quarters;
+  return {date: parseTimestamp(text), text: text};
+};
+
+function parseTimestamp (text) {
+  /*
+  Turn a timestamp the way the SIM900 shows it in text mode into a Date
+
+  args
+    text
+      ie '14/07/01,12:00:00+08', local time with the zone in quarter hours
+
+  returns
+    A Date, or null if `text` isn't a timestamp
+  */
+
+  var match = String(text).match(/^(\d\d)\/(\d\d)\/(\d\d),(\d\d):(\d\d):(\d\d)([+-])(\d\d)$/);
+  if (!match) {
+    return null;
+  }
+  var fields = match.slice(1, 7).map(function (field) {
+    return parseInt(field, 10);
+  });
+  var local = Date.UTC(2000 + fields[0], fields[1] - 1, fields[2], fields[3], fields[4], fields[5]);
+  var offset = (match[7] === '-' ? -1 : 1) * parseInt(match[8], 10) * 15 * 60 * 1000;
+  return new Date(local - offset);
+}
+
+Reader.prototype.userData = function (dcs, hasHeader) {
+  var length = this.next();
+  var encoding = alphabet(dcs);
+  var octets = this.octets.slice(this.position);
+  var headerLength = hasHeader ? octets[0] + 1 : 0;
+  var concat = null;
+
+  //  Information elements in the header. We only care about concatenation.
+  for (var i = 1; i < headerLength;) {
+    var id = octets[i];
+    var size = octets[i + 1];
+    if (id === 0x00 && size === 3) {
+      concat = {reference: octets[i + 2], total: octets[i + 3], sequence: octets[i + 4]};
+    } else if (id === 0x08 && size === 4) {
+      concat = {reference: (octets[i + 2] << 8) | octets[i + 3], total: octets[i + 4], sequence: octets[i + 5]};
+    }
+    i += 2 + size;
+  }
+
+  var text, data;
+  if (encoding === 'gsm7') {
+    var padding = (7 - (headerLength * 8) % 7) % 7;
+    var skip = (headerLength * 8 + padding) / 7;
+    text = fromSeptets(unpack(octets.slice(headerLength), padding, length - skip));
+  } else {
+    data = octets.slice(headerLength, length);
+    if (encoding === 'ucs2') {
+      text = '';
+      for (var j = 0; j + 1 < data.length; j += 2) {
+        text += String.fromCharCode((data[j] << 8) | data[j + 1]);
+      }
+    } else {
+      text = String.fromCharCode.apply(null, data);
+    }
+  }
+  return {encoding: encoding, text: text, concat: concat, data: data ? new Buffer(data) : null};
+};
+
+function decode (pdu) {
+  /*
+  Decode a PDU as the SIM900 reports it, SMSC first
+
+  args
+    pdu
+      Hex String
+
+  returns
+    An object with
+      type
+        'deliver', 'submit' or 'status-report'
+      smsc
+        Number of the service center, if given
+      sender
+        Who sent it (SMS-DELIVER)
+      recipient
+        Who it's to (SMS-SUBMIT), or who it was to (SMS-STATUS-REPORT)
+      reference
+        The message reference (SMS-SUBMIT), or the reference of the message reported on (SMS-STATUS-REPORT)
+      report
+        Whether a status report is requested (SMS-SUBMIT)
+      numberType
+        Type of address of the sender/recipient: 145 for international numbers, 129 for national or unknown
+      timestamp
+        When the service center got it, as a Date (SMS-DELIVER)
+      scts
+        The same, as text like '14/07/01,12:00:00+00' (SMS-DELIVER)
+      discharged
+        When the message reported on was delivered, or given up on, as a Date (SMS-STATUS-REPORT)
+      status
+        The TP-Status of the message reported on: below 0x20 delivered, below 0x40 still trying, failed otherwise (SMS-STATUS-REPORT)
+      encoding
+        'gsm7', '8bit' or 'ucs2'
+      text
+        The message
+      data
+        The raw bytes of an 8-bit message, as a Buffer
+      concat
+        {reference, total, sequence} if this is part of a long message, or null
+  */
+
+  var reader = new Reader(String(pdu).trim());
+  var smscLength = reader.next();
+  var smsc = null;
+  if (smscLength) {
+    var smscType = reader.next();
+    smsc = ((smscType & 0x70) === 0x10 ? '+' : '') + readDigits(reader.take(smscLength - 1));
+  }
+
+  var firstOctet = reader.next();
+  var hasHeader = !!(firstOctet & 0x40);
+  var message = {smsc: smsc};
+  var address, dcs;
+
+  switch (firstOctet & 0x03) {
+    case DELIVER:
+      message.type = 'deliver';
+      address = reader.address();
+      message.sender = address.number;
+      reader.next();   //  protocol identifier
+      dcs = reader.next();
+      var timestamp = reader.timestamp();
+      message.timestamp = timestamp.date;
+      message.scts = timestamp.text;
+      break;
+    case SUBMIT:
+      message.type = 'submit';
+      message.report = !!(firstOctet & 0x20);
+      message.reference = reader.next();
+      address = reader.address();
+      message.recipient = address.number;
+      reader.next();   //  protocol identifier
+      dcs = reader.next();
+      //  Validity period: none, relative (1 octet), or enhanced/absolute (7)
+      var vpf = (firstOctet >> 3) & 0x03;
+      reader.take(vpf === 0 ? 0 : vpf === 2 ? 1 : 7);
+      break;
+    case STATUS_REPORT:
+      //  No user data worth reading: just which message, and what became of it
+      message.type = 'status-report';
+      message.reference = reader.next();
+      address = reader.address();
+      message.recipient = address.number;
+      message.numberType = address.type;
+      var received = reader.timestamp();
+      message.timestamp = received.date;
+      message.scts = received.text;
+      message.discharged = reader.timestamp().date;
+      message.status = reader.next();
+      return message;
+    default:
+      throw new Error('Unsupported PDU type ' + (firstOctet & 0x03));
+  }
+  message.numberType = address.type;
+
+  var userData = reader.userData(dcs, hasHeader);
+  message.encoding = userData.encoding;
+  message.text = userData.text;
+  message.data = userData.data;
+  message.concat = userData.concat;
+  return message;
+}
+
+function ussdAlphabet (dcs) {
+  //  USSD uses the cell broadcast data coding schemes, which differ from SMS ones
+  if ((dcs & 0xC0) === 0x40) {
+    return ['gsm7', '8bit', 'ucs2', 'gsm7'][(dcs >> 2) & 0x03];
+  }
+  if (dcs === 0x11) {
+    return 'ucs2';
+  }
+  if ((dcs & 0xF0) === 0xF0) {
+    return dcs & 0x04 ? '8bit' : 'gsm7';
+  }
+  return 'gsm7';
+}
+
+function decodeUSSD (text, dcs) {
+  /*
+  Decode the text of a +CUSD reply
+
+  args
+    text
+      The text as the module gives it: plain text, or hex when the reply is in UCS2 (or, on some firmware, packed GSM 7-bit)
+    dcs
+      The cell broadcast data coding scheme that came with it, ie 15 or 72
+
+  returns
+    The decoded text
+  */
+
+  var encoding = ussdAlphabet(dcs || 0);
+  //  Plain text that happens to be hex, like '1234', is left alone: packed GSM 7-bit always has letters in it
+  var isHex = /^(?:[0-9A-Fa-f]{2})+$/.test(text) && (encoding !== 'gsm7' || (/[A-Fa-f]/.test(text) && /\d/.test(text)));
+  if (!isHex) {
+    return text;
+  }
+  var octets = new Reader(text).octets;
+  if (encoding === 'ucs2') {
+    var decoded = '';
+    for (var i = 0; i + 1 < octets.length; i += 2) {
+      decoded += String.fromCharCode((octets[i] << 8) | octets[i + 1]);
+    }
+    return decoded;
+  }
+  if (encoding === '8bit') {
+    return String.fromCharCode.apply(null, octets);
+  }
+  var septets = unpack(octets, 0, Math.floor(octets.length * 8 / 7));
+  //  A carriage return fills the last septet when the text leaves seven bits spare
+  if (octets.length % 7 === 0 && septets[septets.length - 1] === 0x0D) {
+    septets.pop();
+  }
+  return fromSeptets(septets);
+}
+
+module.exports.isGsm7 = isGsm7;
+module.exports.split = split;
+module.exports.encodeSubmit = encodeSubmit;
+module.exports.encodeDeliver = encodeDeliver;
+module.exports.encodeStatusReport = encodeStatusReport;
+module.exports.decode = decode;
+module.exports.parseTimestamp = parseTimestamp;
+module.exports.decodeUSSD = decodeUSSD;
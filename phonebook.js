@@ -0,0 +1,271 @@
+/*
+The phonebook on the SIM, as `gprs.phonebook`. Entries are numbered slots
+holding a number and a name: {index, number, numberType, name}, where
+`numberType` is 145 for international numbers (which start with '+') and
+129 for national ones. Every operation picks the phonebook with AT+CPBS
+first, so nothing else can have switched it to another one in between.
+*/
+
+var promiseOr = require('./promise.js');
+var response = require('./response.js');
+
+//  Number types
+var INTERNATIONAL = 145;
+var NATIONAL = 129;
+//  The fields of '+CPBR: <index>,"<number>",<type>,"<name>"', and the same for +CPBF
+var ENTRY = ['index', 'number', 'numberType', 'name'];
+
+function Phonebook (gprs, memory) {
+  /*
+  Constructor for the phonebook. The GPRS object makes one as `gprs.phonebook`.
+
+  args
+    gprs
+      The GPRS object to talk through
+    memory
+      Which phonebook: 'SM' (the SIM, the default), 'ME' (the module), etc.
+  */
+
+  this.gprs = gprs;
+  this.memory = memory || 'SM';
+}
+
+Phonebook.prototype._command = function (command, patience, callback) {
+  //  Select our phonebook, then send `command` right after. Calls back with an error unless it ends with OK.
+  var self = this;
+  self.gprs._command('AT+CPBS="' + self.memory + '"', 2000, function (err, data) {
+    if (err) {
+      return callback(err, data || []);
+    }
+    self.gprs._command(command, patience, function (err, data) {
+      callback(err, data || []);
+    }, null, {immediate: true});
+  });
+};
+
+Phonebook.prototype.capacity = function (callback) {
+  /*
+  How big the phonebook is, from AT+CPBS? and AT+CPBR=?
+
+  args
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if the module refused
+    capacity
+      {memory, used, total, first, last, numberLength, nameLength}: slots `first` to `last` are usable, and numbers and names can be up to `numberLength` and `nameLength` characters
+  */
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    self._command('AT+CPBS?', 2000, function (err, data) {
+      if (err) {
+        return done(err, null);
+      }
+      var capacity = {memory: self.memory, used: null, total: null, first: null, last: null, numberLength: null, nameLength: null};
+      var selected = response.find(data, '+CPBS', ['memory', 'used', 'total'])[0];
+      if (selected) {
+        capacity.memory = selected.memory;
+        capacity.used = selected.used;
+        capacity.total = selected.total;
+      }
+      self.gprs._command('AT+CPBR=?', 2000, function (err, data) {
+        //  '+CPBR: (<first>-<last>),<number length>,<name length>'
+        var ranges = response.find(data, '+CPBR', ['range', 'numberLength', 'nameLength'])[0];
+        var range = ranges && String(ranges.range).match(/^\((\d+)-(\d+)\)$/);
+        if (range) {
+          capacity.first = parseInt(range[1], 10);
+          capacity.last = parseInt(range[2], 10);
+          capacity.numberLength = ranges.numberLength;
+          capacity.nameLength = ranges.nameLength;
+        } else if (!err) {
+          err = response.error('AT+CPBR=?', data);
+        }
+        done(err, err ? null : capacity);
+      }, null, {immediate: true});
+    });
+  });
+};
+
+Phonebook.prototype.list = function (callback) {
+  /*
+  Every entry in the phonebook
+
+  args
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if the module refused
+    entries
+      Array of {index, number, numberType, name}, in slot order
+  */
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    self.capacity(function (err, capacity) {
+      if (err) {
+        return done(err, []);
+      }
+      //  A full SIM takes a while to read
+      self._command('AT+CPBR=' + capacity.first + ',' + capacity.last, 20000, function (err, data) {
+        done(err, entries(data));
+      });
+    });
+  });
+};
+
+Phonebook.prototype.read = function (index, callback) {
+  /*
+  The entry in one slot
+
+  args
+    index
+      The slot
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if the module refused
+    entry
+      {index, number, numberType, name}, or null if the slot is empty
+  */
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    var err = checkIndex(index);
+    if (err) {
+      return setImmediate(done, err, null);
+    }
+    self._command('AT+CPBR=' + index, 2000, function (err, data) {
+      done(err, entries(data)[0] || null);
+    });
+  });
+};
+
+Phonebook.prototype.find = function (name, callback) {
+  /*
+  Entries whose names start with `name`
+
+  args
+    name
+      The name, or its start. Case doesn't matter to most SIMs.
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if the module refused
+    entries
+      Array of {index, number, numberType, name}, empty if nothing matched
+  */
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    var err = checkName(name);
+    if (err) {
+      return setImmediate(done, err, []);
+    }
+    self._command('AT+CPBF="' + name + '"', 10000, function (err, data) {
+      //  Nothing found is 'not found' (+CME ERROR: 22) rather than an empty list
+      if (err && err.code === 22) {
+        return done(null, []);
+      }
+      done(err, entries(data));
+    });
+  });
+};
+
+Phonebook.prototype.write = function (index, number, name, callback) {
+  /*
+  Store a number and name
+
+  args
+    index
+      The slot to write to, overwriting what's there. null to use the first empty one.
+    number
+      The number. Start it with '+' and the country code to store it as international (145), otherwise it's national (129).
+    name
+      The name to go with it
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if the module refused, ie the phonebook is full or the name is too long
+  */
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    number = String(number === undefined || number === null ? '' : number);
+    var err = (index === null || index === undefined ? null : checkIndex(index)) || checkName(name);
+    if (!err && !/^\+?[0-9*#]+$/.test(number)) {
+      err = new Error('Invalid phone number: ' + number);
+    }
+    if (err) {
+      return setImmediate(done, err);
+    }
+    var numberType = number[0] === '+' ? INTERNATIONAL : NATIONAL;
+    self._command('AT+CPBW=' + (index === null || index === undefined ? '' : index) + ',"' + number + '",' + numberType + ',"' + name + '"', 5000, function (err) {
+      done(err);
+    });
+  });
+};
+
+Phonebook.prototype.delete = function (index, callback) {
+  /*
+  Empty a slot
+
+  args
+    index
+      The slot
+    callback - Optional
+      Callback function. Leave it out to get a Promise instead.
+
+  Callback parameters
+    err
+      Error, if the module refused
+  */
+
+  var self = this;
+  return promiseOr(callback, function (done) {
+    var err = checkIndex(index);
+    if (err) {
+      return setImmediate(done, err);
+    }
+    self._command('AT+CPBW=' + index, 5000, function (err) {
+      done(err);
+    });
+  });
+};
+
+function entries (data) {
+  return response.find(data, '+CPBR', ENTRY).concat(response.find(data, '+CPBF', ENTRY)).map(function (entry) {
+    //  Some firmware leaves the '+' off international numbers
+    if (entry.numberType === INTERNATIONAL && entry.number[0] !== '+') {
+      entry.number = '+' + entry.number;
+    }
+    return entry;
+  });
+}
+
+function checkIndex (index) {
+  if (typeof index !== 'number' || index < 1 || index % 1 !== 0) {
+    return new Error('Invalid phonebook index: ' + index);
+  }
+  return null;
+}
+
+function checkName (name) {
+  //  The quotes around it can't be escaped
+  if (typeof name !== 'string' || /["\r\n]/.test(name)) {
+    return new Error('Invalid phonebook name: ' + name);
+  }
+  return null;
+}
+
+module.exports = Phonebook;
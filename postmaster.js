@@ -41,7 +41,25 @@ Array.prototype.softContains = function(searchStr) {
   return false;
 };
 
-function Postmaster (myPacketizer, enders, overflow, size, debug) {
+// Does `data` end a post? Enders are exact Strings, RegExps to test against, or functions that say.
+function isEnder (enders, data) {
+  for (var i = 0; i < enders.length; i++) {
+    var ender = enders[i];
+    if (typeof ender === 'function' ? ender(data) : ender instanceof RegExp ? ender.test(data) : ender === data) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// The error for a message the Postmaster was closed on
+function disabled (message) {
+  var err = new Error('disabled before message "' + message + '" got a reply');
+  err.type = 'disabled';
+  return err;
+}
+
+function Postmaster (myPacketizer, enders, overflow, size, debug, maxQueue) {
   /*
   Constructor for the postmaster
 
@@ -49,23 +67,42 @@ function Postmaster (myPacketizer, enders, overflow, size, debug) {
     myPacketizer
       A packetizer to listen to
     enders
-      An Array of Strings that constitute the end of a post
+      An Array of Strings that constitute the end of a post. RegExps may be used for replies that vary, ie /^STATE: /
     overflow
       A callback function to call when the message buffer overflows. Callback args are err and data
     size
       Size (in packets) of the buffer
     debug
       Are we in debug mode?
+    maxQueue
+      How many commands may wait their turn before `send` starts turning them away. Defaults to 20.
   */
 
   this.packetizer = myPacketizer;
   this.uart = myPacketizer.uart;
   this.RXQueue = [];
+  //  Commands waiting to be written, highest priority first
+  this.queue = [];
+  this.maxQueue = maxQueue || 20;
+  //  The command on the wire, if any
+  this.current = null;
   this.callback = null;
   this.message = '';
   this.started = false;
   this.alternate = null;
   this.enders = enders || ['OK', 'ERROR'];
+  //  Errors with a code (AT+CMEE=1 or 2). They end a reply whatever its enders, so a refusal doesn't wait out the timeout.
+  this.failures = [/^\+CME ERROR: /, /^\+CMS ERROR: /];
+  //  Unsolicited messages that go on over the next line, ie '+CMT: ,24' and its PDU. Strings or RegExps, like the enders, or functions that test the lines so far. Lines are added until what we have no longer matches, so a RegExp should match only the incomplete message.
+  this.continued = [];
+  //  Unsolicited result codes: Strings a line starts with, or RegExps. A line that matches is unsolicited even in the middle of a reply, unless the message on the wire is waiting for it.
+  this.urcs = [];
+  //  The lines of one of those so far, while we wait for the rest
+  this.continuing = null;
+  //  Whether the module echoes what we send (ATE1, its default). Without an echo, a reply starts with the first line that comes while we wait on one, and the message is put in front of it so that replies look the same either way.
+  this.echo = true;
+  //  Once `close`d, nothing more is written
+  this.closed = false;
   this.debug = debug || false;
   overflow = overflow || function(err, arg) {
     if (err) {
@@ -160,6 +197,9 @@ function Postmaster (myPacketizer, enders, overflow, size, debug) {
         self._debugPrint('---->>>>>>> Condition 1');
         return true;
       }
+      if(!self.echo) {
+        return false;
+      }
       if(!hasStarted() && !useSoftContains && !isDataInStartArrayStrict()) {
         self._debugPrint('---->>>>>>> Condition 2');
         return true;
@@ -174,17 +214,34 @@ function Postmaster (myPacketizer, enders, overflow, size, debug) {
     self._debugPrint('isUnsolicited', isUnsolicited());
     self._debugPrint('---------------');
 
-    if (isUnsolicited()) {
+    if (self.continuing !== null) {
+      //  More of a multi-line unsolicited message. Emit it as one once it's complete.
+      var joined = self.continuing + '\n' + data;
+      if (isEnder(self.continued, joined)) {
+        self.continuing = joined;
+      } else {
+        self.continuing = null;
+        self.emit('unsolicited', joined);
+      }
+    }
+    else if (self._isURC(data, starts, enders) || isUnsolicited()) {
       self._debugPrint('->>>>>>>>>> unsolicited');
       self._debugPrint(data);
-      self.emit('unsolicited', data);
+      if (isEnder(self.continued, data)) {
+        self.continuing = data;
+      } else {
+        self.emit('unsolicited', data);
+      }
     }
     else {
       self._debugPrint('adding', [data], 'to the RXQueue');
+      if (!self.started && !self.echo && data !== self.message) {
+        self.RXQueue.push(self.message);
+      }
       self.started = true;
       self.RXQueue.push(data);
       //  Check to see of we've finished the post
-      if (enders.indexOf(data) > -1) {
+      if (isEnder(enders, data) || isEnder(self.failures, data)) {
         self._debugPrint('\t---> Found '+ data + ' in enders:\n', enders, '\nEmitting a post with:\n', self.RXQueue);
         var temp = self.RXQueue;
         self.RXQueue = [];
@@ -208,88 +265,218 @@ function Postmaster (myPacketizer, enders, overflow, size, debug) {
 
 util.inherits(Postmaster, EventEmitter);
 
-Postmaster.prototype.send = function (message, patience, callback, alternate, debug) {
+Postmaster.prototype.send = function (message, patience, callback, alternate, options) {
   /*
-  Send a message and add call its callback with the data from the reply
+  Queue a message and call its callback with the data from the reply. Messages are written to the UART one at a time, in order of priority and then in the order they were sent.
 
   args
     message
       What to send (String or Buffer)
+    patience
+      Miliseconds to wait for the reply before returning with an error. The clock starts when the message is written to the UART, not when it is queued.
     callback
       The callback function to call with the resulting data
-    patience
-      Miliseconds to wait before returning with an error
     alternate
-      An Array of Arrays of alternate starts and ends of the reply post (Strings). Of the form [[s1, s2 ...], [e1, e2, ...]]. These values are used in place of traditional controls.
+      An Array of Arrays of alternate starts and ends of the reply post (Strings, or RegExps for the ends). Of the form [[s1, s2 ...], [e1, e2, ...]]. These values are used in place of traditional controls.
       If the third element of alternate is truth-y, then the given start values only need exist within the incoming data (good for posts with known headers but unknown bodies).
-    debug
-      Debug flag
+    options
+      priority
+        Messages with a higher priority are written first. Defaults to 0.
+      immediate
+        Write this message before anything else in the queue. Use it from a callback to continue a conversation with the module (ie answering a '> ' prompt) without another command slipping in between.
+      raw
+        Write the message as-is, without the usual '\r\n' after it. For data the module has been told the length of, ie after AT+CIPSEND=<length>.
+      debug
+        Debug flag
+
+  returns
+    A handle with a `cancel` method. Cancelling a queued message removes it from the queue; cancelling the message on the wire stops waiting for its reply. Either way the callback gets an error of type 'cancelled'.
 
   Callback parameters
     err
-      Error, if applicable
+      Error, if applicable. The `type` is 'timeout', 'cancelled', 'cleared', 'full' or 'disabled' where appropriate.
     data
       An array of Strings, usually starting with the original call, usually ending with one of 'OK', '>', or 'ERROR'
   */
 
   var self = this;
+  options = options || {};
 
-  self.debug = debug || false;
+  if (options.debug !== undefined) {
+    self.debug = options.debug;
+  }
+
+  var job = {
+    message: message,
+    patience: patience || 10000,
+    callback: callback || function () {},
+    alternate: alternate || null,
+    priority: options.priority || 0,
+    raw: !!options.raw,
+    timer: null,
+    onPost: null
+  };
+  job.cancel = function () {
+    self._cancel(job);
+  };
+
+  if (self.closed) {
+    job.callback(disabled(message), []);
+    return job;
+  }
+
+  if (self.queue.length >= self.maxQueue) {
+    var err = new Error('Postmaster queue full');
+    err.type = 'full';
+    job.callback(err, []);
+    return job;
+  }
 
-  if (self.callback !== null) {
-    callback(new Error('Postmaster busy'), []);
+  if (options.immediate) {
+    self.queue.unshift(job);
   } else {
-    if (alternate) {
-      self.alternate = alternate;
+    //  Behind everything of the same or higher priority
+    var i = 0;
+    while (i < self.queue.length && self.queue[i].priority >= job.priority) {
+      i++;
     }
-    //  Set things up
-    self.callback = callback;
-    patience = patience || 10000;
+    self.queue.splice(i, 0, job);
+  }
+
+  self._next();
+  return job;
+};
+
+Postmaster.prototype._next = function () {
+  //  Write the next queued message, if we're free
+  if (this.closed || this.current || !this.queue.length) {
+    return;
+  }
+  this._dispatch(this.queue.shift());
+};
+
+Postmaster.prototype._dispatch = function (job) {
+  var self = this;
 
-    self.message = message;
-    self.uart.write(message);
+  self.current = job;
+  self.callback = job.callback;
+  self.alternate = job.alternate;
+  self.message = job.message;
+  self.uart.write(job.message);
+  if (!job.raw) {
     self.uart.write('\r\n');
-    self._debugPrint('sent', [message], 'on uart', [self.uart]);
+  }
+  self._debugPrint('sent', [job.message], 'on uart', [self.uart]);
+
+  //  If we time out
+  job.timer = setTimeout(function() {
+    var err = new Error('no reply after ' + job.patience + ' ms to message "' + job.message + '"');
+    err.type = 'timeout';
+    self._reset();
+    self.emit('timeout', job.message);
+    self._finish(job, err, []);
+  }, job.patience);
+
+  //  If we get something
+  job.onPost = function(err, data) {
+    self._debugPrint("postmaster replying", data);
+    self._finish(job, err, data);
+  };
 
-    var reply = function(err, data) {
-      var temp = self.callback;
-      self.callback = null;
-      if (temp) {
-        temp(err, data);
-      }
-    };
-
-    //  If we time out
-    var panic = setTimeout(function() {
-      self.removeListener('post', onPost);
-      var err = new Error('no reply after ' + patience + ' ms to message "' + message + '"');
-      err.type = 'timeout';
-      reply(err, []);
-      self.forceClear();
-    }, patience);
-
-    //  If we get something
-    var onPost = function(err, data) {
-      clearTimeout(panic);
-      self.removeListener('post', onPost);
-      self._debugPrint("postmaster replying", data);
-      reply(err, data);
-    };
-
-    self.on('post', onPost);
+  self.on('post', job.onPost);
+};
+
+Postmaster.prototype._finish = function (job, err, data) {
+  //  Stop waiting on `job`, hand its reply over and move on to the next message
+  clearTimeout(job.timer);
+  this.removeListener('post', job.onPost);
+  if (this.current === job) {
+    this.current = null;
+    this.callback = null;
   }
+  job.callback(err, data);
+  this._next();
 };
 
-Postmaster.prototype.forceClear = function(typ)
-{
-  //  Reset the postmaster to its default state, emit what you have as unsolicited
+Postmaster.prototype._cancel = function (job) {
+  var i = this.queue.indexOf(job);
+  var err = new Error('cancelled message "' + job.message + '"');
+  err.type = 'cancelled';
+  if (i > -1) {
+    this.queue.splice(i, 1);
+    job.callback(err, []);
+  } else if (this.current === job) {
+    this._reset();
+    this._finish(job, err, []);
+  }
+};
+
+Postmaster.prototype._reset = function (typ) {
+  //  Drop whatever reply we were building, emitting it as unsolicited
   var type = typ || 'unsolicited';
   this.emit(type, this.RXQueue);
   this.RXQueue = [];
-  this.callback = null;
   this.message = '';
   this.started = false;
   this.alternate = null;
+  this.continuing = null;
+};
+
+Postmaster.prototype.forceClear = function(typ)
+{
+  //  Reset the postmaster to its default state, emit what you have as unsolicited. A message on the wire fails with an error of type 'cleared'; queued messages are sent as usual.
+  this._reset(typ);
+  if (this.current) {
+    var err = new Error('cleared while waiting on message "' + this.current.message + '"');
+    err.type = 'cleared';
+    this._finish(this.current, err, []);
+  } else {
+    this.callback = null;
+  }
+};
+
+Postmaster.prototype._isURC = function (data, starts, enders) {
+  //  Is `data` one of the `urcs`, and not something the message on the wire is waiting for: exactly one of its starts or enders, an error, or a line named after its command, ie '+CREG: 0,1' for AT+CREG?. Starts that only need to be contained in a line don't count, or a probe waiting on 'OK' would take 'CONNECT OK'.
+  if (typeof data !== 'string' || !this.urcs.some(function (urc) {
+    return urc instanceof RegExp ? urc.test(data) : data.indexOf(urc) === 0;
+  })) {
+    return false;
+  }
+  if (!this.callback) {
+    return true;
+  }
+  if (starts.indexOf(data) > -1 || isEnder(enders, data) || isEnder(this.failures, data)) {
+    return false;
+  }
+  var name = /^AT([+#$%^*][A-Z]+)/i.exec(this.message);
+  return !(name && data.indexOf(name[1].toUpperCase() + ':') === 0);
+};
+
+Postmaster.prototype.close = function () {
+  //  Stop for good, ie as the transport is closed: the message on the wire and everything queued fail with an error of type 'disabled', as does anything sent later
+  var self = this;
+  var jobs = self.drain();
+  self.closed = true;
+  if (self.current) {
+    self._reset();
+    self._finish(self.current, disabled(self.current.message), []);
+  }
+  jobs.forEach(function (job) {
+    job.callback(disabled(job.message), []);
+  });
+};
+
+Postmaster.prototype.drain = function () {
+  //  Take every queued message out of the queue, to `restore` later. The message on the wire, if any, stays.
+  var jobs = this.queue;
+  this.queue = [];
+  return jobs;
+};
+
+Postmaster.prototype.restore = function (jobs) {
+  //  Put drained messages back, ahead of anything queued since
+  this.queue = jobs.concat(this.queue);
+  this._next();
 };
 
 Postmaster.prototype._debugPrint = function () {
@@ -0,0 +1,203 @@
+/*
+Whether the module is on, and turning it on, off, to sleep and awake. The
+module says 'RDY' once it has booted (at a fixed baud rate) and 'NORMAL POWER
+DOWN' as it shuts down, or the like for a voltage out of range; we keep what
+we last heard as `gprs.powered` and emit each change as a 'power' event. A
+STATUS pin, if we were given one, knows better than either.
+
+Sleep is AT+CSCLK's slow clock. In mode 1 the module sleeps while DTR is
+high, which needs a DTR pin. In mode 2 it sleeps once the UART has been idle
+for a few seconds and wakes on the next byte, which is lost, so `wake` asks
+again until it answers.
+*/
+
+var network = require('./network.js');
+
+//  Lines that mean the module is on or off
+var ON = ['RDY'];
+var OFF = ['NORMAL POWER DOWN', 'UNDER-VOLTAGE POWER DOWN', 'OVER-VOLTAGE POWER DOWN'];
+
+function setPowered (gprs, powered) {
+  if (gprs.powered !== powered) {
+    gprs.powered = powered;
+    if (!powered) {
+      //  Whatever we had set up goes with it
+      gprs.sleepMode = 0;
+      gprs.network.registered = false;
+      gprs.network.gprsRegistered = false;
+      network.stop(gprs);
+    }
+    gprs.emit('power', powered);
+  }
+}
+
+function handleLine (gprs, line) {
+  //  'RDY' and 'NORMAL POWER DOWN', unsolicited. Returns true if the line was about the power.
+  if (ON.indexOf(line) > -1) {
+    setPowered(gprs, true);
+    return true;
+  }
+  if (OFF.indexOf(line) > -1) {
+    setPowered(gprs, false);
+    return true;
+  }
+  return false;
+}
+
+function isOn (gprs) {
+  //  What the STATUS pin says if there is one, otherwise what we last heard: true, false or null for no idea
+  if (gprs._status) {
+    return !!gprs._status.read();
+  }
+  return gprs.powered;
+}
+
+function probe (gprs, tries, callback) {
+  //  Ask the module whether it's there, `tries` times. Calls back with true if it answered.
+  gprs._txrx('AT', 1000, function (err) {
+    if (!err) {
+      setPowered(gprs, true);
+      return callback(true);
+    }
+    if (err.type !== 'timeout' || tries <= 1) {
+      return callback(false);
+    }
+    probe(gprs, tries - 1, callback);
+  }, [['AT', 'OK'], ['OK'], 1], {priority: 1});
+}
+
+function on (gprs, callback) {
+  /*
+  Turn the module on if it isn't already, and set it up as when we first made contact
+
+  Callback parameters
+    err
+      Error, if it could not be turned on
+  */
+
+  if (isOn(gprs) === true && gprs._contactError === null) {
+    return setImmediate(callback, null);
+  }
+  if (!gprs.power) {
+    //  It may be on anyway
+    return probe(gprs, 2, function (answered) {
+      if (!answered) {
+        return callback(new Error('The module is off and there is no power adapter to turn it on with'));
+      }
+      gprs._establishContact(function (err) {
+        callback(err);
+      });
+    });
+  }
+  gprs._establishContact(function (err) {
+    callback(err);
+  });
+}
+
+function off (gprs, callback) {
+  /*
+  Shut the module down with AT+CPOWD=1, which signs off the network first. Does nothing if it's already off.
+
+  Callback parameters
+    err
+      Error, if it could not be turned off
+  */
+
+  if (isOn(gprs) === false) {
+    return setImmediate(callback, null);
+  }
+  gprs._txrx('AT+CPOWD=1', 10000, function (err, data) {
+    if (!err && data.indexOf('NORMAL POWER DOWN') > -1) {
+      setPowered(gprs, false);
+      return callback(null);
+    }
+    //  No goodbye. Either it was off all along, or it's stuck and needs the key pressed.
+    probe(gprs, 1, function (answered) {
+      if (!answered && isOn(gprs) !== true) {
+        setPowered(gprs, false);
+        return callback(null);
+      }
+      if (!gprs.power) {
+        return callback(new Error('The module did not shut down and there is no power adapter to turn it off with'));
+      }
+      gprs.togglePower(function () {
+        setPowered(gprs, false);
+        callback(null);
+      });
+    });
+  }, [['AT+CPOWD=1'], ['NORMAL POWER DOWN']]);
+}
+
+function sleep (gprs, mode, callback) {
+  /*
+  Put the module to sleep with AT+CSCLK
+
+  args
+    mode
+      1 to sleep while DTR is high (needs a DTR pin), 2 to sleep whenever the UART is idle
+
+  Callback parameters
+    err
+      Error, if the module refused
+  */
+
+  if (mode !== 1 && mode !== 2) {
+    return setImmediate(callback, new Error('Invalid sleep mode: ' + mode + ', must be 1 or 2'));
+  }
+  if (mode === 1 && !gprs._dtr) {
+    return setImmediate(callback, new Error('Sleep mode 1 needs a DTR pin'));
+  }
+  gprs._command('AT+CSCLK=' + mode, 2000, function (err) {
+    if (!err) {
+      //  A poll would wake it in mode 2, and go unanswered in mode 1
+      network.stop(gprs);
+      gprs.sleepMode = mode;
+      if (mode === 1) {
+        gprs._dtr.high();
+      }
+    }
+    callback(err);
+  });
+}
+
+function wake (gprs, callback) {
+  /*
+  Wake the module and turn the slow clock off (AT+CSCLK=0). Does nothing if it isn't asleep.
+
+  Callback parameters
+    err
+      Error, if it didn't wake
+  */
+
+  var mode = gprs.sleepMode;
+  if (!mode) {
+    return setImmediate(callback, null);
+  }
+  if (mode === 1) {
+    gprs._dtr.low();
+  }
+  //  The serial port takes a moment to come back, and in mode 2 the byte that woke it is lost
+  setTimeout(function () {
+    probe(gprs, 3, function (answered) {
+      if (!answered) {
+        return callback(new Error('The module did not wake up'));
+      }
+      gprs._command('AT+CSCLK=0', 2000, function (err) {
+        if (!err) {
+          gprs.sleepMode = 0;
+          network.poll(gprs, gprs.signalInterval);
+        }
+        callback(err);
+      }, null, {immediate: true});
+    });
+  }, mode === 1 ? 50 : 0);
+}
+
+module.exports.setPowered = setPowered;
+module.exports.handleLine = handleLine;
+module.exports.isOn = isOn;
+module.exports.probe = probe;
+module.exports.on = on;
+module.exports.off = off;
+module.exports.sleep = sleep;
+module.exports.wake = wake;
@@ -0,0 +1,107 @@
+/*
+An initialization profile: the commands an app wants sent every time the
+module is set up, when we first make contact and again after it has been
+power cycled or recovered. Each step is a command and the replies it should
+get. A step that doesn't get them is reported, and the rest run anyway.
+*/
+
+var response = require('./response.js');
+
+function step (given) {
+  /*
+  Make a step of what we were given
+
+  args
+    given
+      A command, which should get 'OK', or
+        command
+          The command, ie 'AT+CLTS=1'
+        expect - Optional
+          What the reply should have, a String to equal one of its lines or a RegExp to match one, or an Array of them that it should have all of. Defaults to 'OK'.
+        patience - Optional
+          Milliseconds to wait for the reply. Defaults to 2000.
+
+  returns
+    {command, expect, patience}
+  */
+
+  if (typeof given === 'string') {
+    given = {command: given};
+  }
+  if (!given || typeof given.command !== 'string' || !given.command.length) {
+    throw new Error('Not an init step: give a command, or an object with one');
+  }
+  var expect = given.expect === undefined ? ['OK'] : given.expect;
+  return {
+    command: given.command,
+    expect: Array.isArray(expect) ? expect : [expect],
+    patience: given.patience || 2000
+  };
+}
+
+function steps (given) {
+  //  The profile's steps, checked up front so that a typo shows at startup rather than in the 'ready' report
+  return (given || []).map(step);
+}
+
+function has (reply, expected) {
+  //  Whether a line of the reply, after the echo, is what we expected
+  return reply.slice(1).some(function (line) {
+    return expected instanceof RegExp ? expected.test(line) : line === expected;
+  });
+}
+
+function run (gprs, profile, callback) {
+  /*
+  Send each step's command in turn, behind nothing else that's queued
+
+  args
+    gprs
+      The GPRS object
+    profile
+      The steps, as from `steps`
+
+  Callback parameters
+    results
+      An Array with {command, ok, reply, err} for each step. `err` says what went wrong, if anything: the module's error, a timeout, or one of type 'unexpected' if the reply didn't have what it should.
+  */
+
+  var results = [];
+  var next = function (i) {
+    if (i === profile.length) {
+      return callback(results);
+    }
+    var item = profile[i];
+    gprs._txrx(item.command, item.patience, function (err, data) {
+      var missing = err ? [] : item.expect.filter(function (expected) {
+        return !has(data, expected);
+      });
+      if (!err && missing.length) {
+        if (/^(ERROR|\+CM[ES] ERROR: .*)$/.test(data[data.length - 1])) {
+          err = response.error(item.command, data);
+        } else {
+          err = new Error(item.command + ' did not get ' + missing.join(', ') + ': ' + data.join(' '));
+          err.type = 'unexpected';
+        }
+      }
+      results.push({command: item.command, ok: !err, reply: data, err: err || null});
+      next(i + 1);
+    }, null, {immediate: i > 0});
+  };
+  next(0);
+}
+
+function report (results) {
+  //  What 'ready' says about a run: every step's result, and the ones that failed
+  return {
+    init: results,
+    failures: results.filter(function (result) {
+      return !result.ok;
+    })
+  };
+}
+
+module.exports.step = step;
+module.exports.steps = steps;
+module.exports.run = run;
+module.exports.report = report;
@@ -0,0 +1,23 @@
+/*
+Methods here take a Node-style callback, and return a Promise when they're
+called without one.
+*/
+
+// Run `task` with a Node-style callback. Hand it `callback` if there is one, otherwise return a Promise that settles the same way.
+function promiseOr (callback, task) {
+  if (callback) {
+    task(callback);
+    return;
+  }
+  return new Promise(function (resolve, reject) {
+    task(function (err, data) {
+      if (err) {
+        reject(err);
+      } else {
+        resolve(data);
+      }
+    });
+  });
+}
+
+module.exports = promiseOr;
@@ -0,0 +1,254 @@
+/*
+Recording what goes over the UART, and playing it back. `record` logs every
+write to the module (tx) and every chunk from it (rx) as a line of JSON:
+
+  {"time":1413712345678,"dir":"tx","data":"AT+CSQ\r\n"}
+  {"time":1413712345702,"dir":"rx","data":"AT+CSQ\r\r\n+CSQ: 20,0\r\n\r\nOK\r\n"}
+
+`data` holds one character per byte, so binary payloads survive the trip.
+PINs and PUKs are blanked out of the commands that carry them, and their
+echoes, as they are in errors.
+A Replay looks like the UART to the driver: it plays the module's side of a
+recording back, waiting at each tx for the driver to write, so that a field
+failure can be run again through the Packetizer and Postmaster as a test.
+*/
+
+var fs = require('fs');
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var sim = require('./sim.js');
+
+function toBuffer (data) {
+  return Buffer.isBuffer(data) ? data : new Buffer(String(data), 'binary');
+}
+
+function Recorder (uart, destination) {
+  /*
+  Constructor for a recorder. Use `record` to make one.
+
+  args
+    uart
+      The UART to listen in on: anything with `write` that emits 'data'
+    destination
+      A file name to append to, or a writable stream
+  */
+
+  var self = this;
+  //  Only close what we opened
+  self._ownStream = typeof destination === 'string';
+  self.stream = self._ownStream ? fs.createWriteStream(destination, {flags: 'a'}) : destination;
+  self._onData = function (data) {
+    self.log('rx', data);
+  };
+  self._attach(uart);
+}
+
+Recorder.prototype._attach = function (uart) {
+  var self = this;
+  var write = self._write = uart.write;
+  self.uart = uart;
+  uart.write = function (data) {
+    self.log('tx', data);
+    return write.apply(uart, arguments);
+  };
+  //  Ahead of the Packetizer, so a reply is logged before anything it sets off
+  if (uart.prependListener) {
+    uart.prependListener('data', self._onData);
+  } else {
+    uart.on('data', self._onData);
+  }
+};
+
+Recorder.prototype._detach = function () {
+  this.uart.write = this._write;
+  this.uart.removeListener('data', this._onData);
+};
+
+Recorder.prototype.log = function (dir, data) {
+  this.stream.write(JSON.stringify({time: Date.now(), dir: dir, data: sim.conceal(toBuffer(data).toString('binary'))}) + '\n');
+};
+
+Recorder.prototype.move = function (uart) {
+  //  Carry on recording a reopened UART
+  if (this.uart.write !== this._write) {
+    this._detach();
+    this._attach(uart);
+  }
+};
+
+Recorder.prototype.stop = function () {
+  //  Stop listening in, and close the file if we opened it
+  if (this.uart.write !== this._write) {
+    this._detach();
+    if (this._ownStream) {
+      this.stream.end();
+    }
+  }
+};
+
+function record (uart, destination) {
+  /*
+  Log a UART's traffic
+
+  args
+    uart
+      The UART
+    destination
+      A file name to append to, or a writable stream
+
+  returns
+    A Recorder. Call its `stop` to stop.
+  */
+
+  return new Recorder(uart, destination);
+}
+
+function parse (text) {
+  /*
+  Read a recording
+
+  args
+    text
+      The JSON lines
+
+  returns
+    An Array of {time, dir, data}, `data` as a Buffer
+  */
+
+  return String(text).split('\n').filter(function (line) {
+    return line.trim().length;
+  }).map(function (line) {
+    var entry = JSON.parse(line);
+    return {time: entry.time, dir: entry.dir, data: toBuffer(entry.data)};
+  });
+}
+
+function load (file) {
+  //  Read a recording from a file, as for parse
+  return parse(fs.readFileSync(file, 'binary'));
+}
+
+function Pin () {
+  //  Stands in for the power pin, which a recording has nothing to say about
+}
+
+Pin.prototype.high = Pin.prototype.low = Pin.prototype.output = function () {
+  return this;
+};
+
+function Replay (session, options) {
+  /*
+  Constructor for a replay
+
+  args
+    session
+      The recording, as from `load` or `parse`
+    options - Optional
+      fast
+        Play the module's side back as fast as possible rather than with the gaps it had. Defaults to false.
+
+  The Replay emits 'data' as the module did, and 'end' once the recording has
+  run out. What the driver writes is kept in `written`, and any write that
+  differs from the recording is emitted as 'mismatch' with {expected, actual}
+  and kept in `mismatches`. `port` can stand in for the Tessel port in `use`.
+  */
+
+  var self = this;
+  EventEmitter.call(self);
+  options = options || {};
+  self.entries = session;
+  self.fast = !!options.fast;
+  self.position = 0;
+  self.written = [];
+  self.mismatches = [];
+  self.disabled = false;
+  self.ended = false;
+  //  Written bytes not yet matched against the recording
+  self._unmatched = new Buffer(0);
+  self._timer = null;
+  self._time = session.length ? session[0].time : 0;
+  self.port = {
+    UART: function () {
+      return self;
+    },
+    digital: [new Pin(), new Pin(), new Pin()]
+  };
+  setImmediate(function () {
+    self._next();
+  });
+}
+
+util.inherits(Replay, EventEmitter);
+
+Replay.prototype.write = function (data) {
+  if (this.disabled) {
+    return;
+  }
+  var bytes = toBuffer(data);
+  this.written.push(bytes);
+  this._unmatched = Buffer.concat([this._unmatched, bytes]);
+  this._match();
+};
+
+Replay.prototype.disable = function () {
+  this.disabled = true;
+  clearTimeout(this._timer);
+};
+
+Replay.prototype._match = function () {
+  //  Line up what the driver wrote with the tx entries we're waiting at
+  var entry = this.entries[this.position];
+  var waiting = false;
+  while (entry && entry.dir === 'tx' && this._unmatched.length >= entry.data.length) {
+    var actual = this._unmatched.slice(0, entry.data.length);
+    if (actual.toString('binary') !== entry.data.toString('binary')) {
+      var mismatch = {expected: entry.data, actual: actual};
+      this.mismatches.push(mismatch);
+      this.emit('mismatch', mismatch);
+    }
+    this._unmatched = this._unmatched.slice(entry.data.length);
+    this._time = entry.time;
+    this.position++;
+    entry = this.entries[this.position];
+    waiting = true;
+  }
+  if (waiting && !this._timer) {
+    this._next();
+  }
+};
+
+Replay.prototype._next = function () {
+  //  Play rx entries until the next tx, which waits on a write
+  var self = this;
+  if (self.disabled || self._timer) {
+    return;
+  }
+  var entry = self.entries[self.position];
+  if (!entry) {
+    if (!self.ended) {
+      self.ended = true;
+      self.emit('end');
+    }
+    return;
+  }
+  if (entry.dir === 'tx') {
+    return self._match();
+  }
+  var play = function () {
+    self._timer = null;
+    if (self.disabled) {
+      return;
+    }
+    self._time = entry.time;
+    self.position++;
+    self.emit('data', entry.data);
+    self._next();
+  };
+  self._timer = setTimeout(play, self.fast ? 0 : Math.max(0, entry.time - self._time));
+};
+
+module.exports.Recorder = Recorder;
+module.exports.record = record;
+module.exports.parse = parse;
+module.exports.load = load;
+module.exports.Replay = Replay;
@@ -0,0 +1,237 @@
+/*
+Making sense of the module's replies. Information comes back on lines like
+'+CPMS: "SM",3,30', which `parse` and `find` turn into values. Failures end
+in '+CME ERROR: <code>' (equipment and network) or '+CMS ERROR: <code>'
+(SMS) once AT+CMEE is on, which `error` turns into a CMEError or CMSError
+with the `code`, its `name` and the `command` that failed.
+*/
+
+var util = require('util');
+
+//  3GPP TS 27.007 section 9.2, and the GPRS ones the SIM900 gives
+var CME_ERRORS = {
+  0: 'phone failure',
+  1: 'no connection to phone',
+  2: 'phone-adaptor link reserved',
+  3: 'operation not allowed',
+  4: 'operation not supported',
+  5: 'PH-SIM PIN required',
+  6: 'PH-FSIM PIN required',
+  7: 'PH-FSIM PUK required',
+  10: 'SIM not inserted',
+  11: 'SIM PIN required',
+  12: 'SIM PUK required',
+  13: 'SIM failure',
+  14: 'SIM busy',
+  15: 'SIM wrong',
+  16: 'incorrect password',
+  17: 'SIM PIN2 required',
+  18: 'SIM PUK2 required',
+  20: 'memory full',
+  21: 'invalid index',
+  22: 'not found',
+  23: 'memory failure',
+  24: 'text string too long',
+  25: 'invalid characters in text string',
+  26: 'dial string too long',
+  27: 'invalid characters in dial string',
+  30: 'no network service',
+  31: 'network timeout',
+  32: 'network not allowed - emergency calls only',
+  40: 'network personalization PIN required',
+  100: 'unknown',
+  132: 'service option not supported',
+  133: 'requested service option not subscribed',
+  134: 'service option temporarily out of order',
+  148: 'unspecified GPRS error',
+  149: 'PDP authentication failure'
+};
+
+//  3GPP TS 27.005 section 3.2.5. Codes below 300 are the network's own causes.
+var CMS_ERRORS = {
+  300: 'ME failure',
+  301: 'SMS service of ME reserved',
+  302: 'operation not allowed',
+  303: 'operation not supported',
+  304: 'invalid PDU mode parameter',
+  305: 'invalid text mode parameter',
+  310: 'SIM not inserted',
+  311: 'SIM PIN required',
+  312: 'PH-SIM PIN required',
+  313: 'SIM failure',
+  314: 'SIM busy',
+  315: 'SIM wrong',
+  316: 'SIM PUK required',
+  317: 'SIM PIN2 required',
+  318: 'SIM PUK2 required',
+  320: 'memory failure',
+  321: 'invalid memory index',
+  322: 'memory full',
+  330: 'SMSC address unknown',
+  331: 'no network service',
+  332: 'network timeout',
+  340: 'no +CNMA acknowledgement expected',
+  500: 'unknown error'
+};
+
+function describe (table, kind, detail) {
+  //  `detail` is a code (AT+CMEE=1) or the text for one (AT+CMEE=2)
+  if (/^\d+$/.test(detail)) {
+    var code = parseInt(detail, 10);
+    return {code: code, name: table[code] || kind + ' ' + code};
+  }
+  for (var key in table) {
+    if (table[key].toLowerCase() === detail.toLowerCase()) {
+      return {code: parseInt(key, 10), name: table[key]};
+    }
+  }
+  return {code: null, name: detail};
+}
+
+function CMEError (detail, command) {
+  /*
+  A '+CME ERROR: <code>' reply
+
+  args
+    detail
+      What came after '+CME ERROR: ', a code or its text
+    command
+      The command that failed
+  */
+
+  var described = describe(CME_ERRORS, 'CME ERROR', detail);
+  Error.call(this);
+  Error.captureStackTrace(this, CMEError);
+  this.type = 'cme';
+  this.code = described.code;
+  this.name = described.name;
+  this.command = command;
+  this.message = command + ' failed: +CME ERROR: ' + detail + (described.name === detail ? '' : ' (' + described.name + ')');
+}
+
+util.inherits(CMEError, Error);
+
+function CMSError (detail, command) {
+  //  A '+CMS ERROR: <code>' reply, as for CMEError
+  var described = describe(CMS_ERRORS, 'CMS ERROR', detail);
+  Error.call(this);
+  Error.captureStackTrace(this, CMSError);
+  this.type = 'cms';
+  this.code = described.code;
+  this.name = described.name;
+  this.command = command;
+  this.message = command + ' failed: +CMS ERROR: ' + detail + (described.name === detail ? '' : ' (' + described.name + ')');
+}
+
+util.inherits(CMSError, Error);
+
+function error (command, reply) {
+  /*
+  The error for a reply that didn't end in OK
+
+  args
+    command
+      The command, for the message
+    reply
+      The reply's lines
+
+  returns
+    A CMEError or CMSError if the reply ends with one, otherwise an Error with the whole reply in its message
+  */
+
+  reply = reply || [];
+  var last = String(reply[reply.length - 1] || '');
+  var match = last.match(/^\+(CME|CMS) ERROR: (.+)$/);
+  if (match) {
+    return match[1] === 'CME' ? new CMEError(match[2], command) : new CMSError(match[2], command);
+  }
+  return new Error(command + ' failed: ' + reply.join(' '));
+}
+
+function split (text) {
+  /*
+  Split comma separated values, minding quotes and parentheses: '"SM",3,(1-250),' -> ['SM', 3, '(1-250)', null]
+
+  returns
+    An Array in which quoted values are Strings without their quotes, unquoted whole numbers are Numbers, anything else unquoted is a String, and empty values are null
+  */
+
+  var values = [];
+  var value = '';
+  var quoted = false;
+  var wasQuoted = false;
+  var depth = 0;
+  var push = function () {
+    if (wasQuoted) {
+      values.push(value);
+    } else {
+      value = value.trim();
+      values.push(value === '' ? null : /^-?\d+$/.test(value) ? parseInt(value, 10) : value);
+    }
+    value = '';
+    wasQuoted = false;
+  };
+  for (var i = 0; i < text.length; i++) {
+    var c = text[i];
+    if (c === '"') {
+      quoted = !quoted;
+      wasQuoted = true;
+    } else if (quoted) {
+      value += c;
+    } else if (c === ',' && !depth) {
+      push();
+    } else {
+      depth += c === '(' ? 1 : c === ')' ? -1 : 0;
+      value += c;
+    }
+  }
+  push();
+  return values;
+}
+
+function parse (line, names) {
+  /*
+  Parse an information line: '+CSQ: 20,0' -> [20, 0], or {rssi: 20, ber: 0} given ['rssi', 'ber']
+
+  returns
+    The values as from `split`, as an object if `names` are given, or null if `line` isn't a '+NAME: ...' line
+  */
+
+  var match = typeof line === 'string' && line.match(/^\+[A-Z]+: ?([\s\S]*)$/);
+  if (!match) {
+    return null;
+  }
+  var values = split(match[1]);
+  if (!names) {
+    return values;
+  }
+  var fields = {};
+  names.forEach(function (name, i) {
+    fields[name] = values[i] === undefined ? null : values[i];
+  });
+  return fields;
+}
+
+function find (reply, prefix, names) {
+  /*
+  Parse the lines of a reply that start with `prefix`, ie '+CMGS'
+
+  returns
+    An Array with one entry per line, as from `parse`
+  */
+
+  var found = [];
+  (reply || []).forEach(function (line) {
+    if (typeof line === 'string' && line.indexOf(prefix + ':') === 0) {
+      found.push(parse(line, names));
+    }
+  });
+  return found;
+}
+
+module.exports.CMEError = CMEError;
+module.exports.CMSError = CMSError;
+module.exports.error = error;
+module.exports.split = split;
+module.exports.parse = parse;
+module.exports.find = find;
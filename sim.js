@@ -0,0 +1,163 @@
+/*
+The SIM card's lock state, from AT+CPIN? and the +CPIN reports the module
+sends when it changes: 'READY', 'SIM PIN', 'SIM PUK', 'NOT INSERTED', and
+the odd other one like 'NOT READY' while a card is pulled out. The state is
+kept as `gprs.simState` and each change is emitted as a 'sim' event.
+
+Errors here never repeat the PIN or PUK, so they're safe to log.
+*/
+
+var response = require('./response.js');
+
+function setState (gprs, state) {
+  if (state && state !== gprs.simState) {
+    var previous = gprs.simState;
+    gprs.simState = state;
+    gprs.emit('sim', state, previous);
+  }
+}
+
+function handleLine (gprs, line) {
+  //  '+CPIN: READY' and friends, unsolicited. Returns true if the line was about the SIM.
+  var match = typeof line === 'string' && line.match(/^\+CPIN: (.+)$/);
+  if (match) {
+    setState(gprs, match[1]);
+    return true;
+  }
+  return false;
+}
+
+function check (gprs, callback, immediate) {
+  /*
+  Ask the module for the SIM state
+
+  args
+    immediate
+      Send it ahead of anything queued, to follow on from the command before
+
+  Callback parameters
+    err
+      Error, if the module couldn't say
+    state
+      The state, ie 'READY'
+  */
+
+  gprs._txrx('AT+CPIN?', 5000, function (err, data) {
+    var state = null;
+    data = data || [];
+    data.forEach(function (line) {
+      var match = line.match(/^\+CPIN: (.+)$/);
+      if (match) {
+        state = match[1];
+      } else if (line === 'ERROR' || response.error('AT+CPIN?', [line]).code === 10) {
+        //  Before AT+CMEE is on, a missing SIM is a bare ERROR
+        state = 'NOT INSERTED';
+      }
+    });
+    if (!err && !state) {
+      err = response.error('AT+CPIN?', data);
+    }
+    setState(gprs, state);
+    callback(err, state);
+  }, null, {immediate: !!immediate});
+}
+
+function redact (line) {
+  return String(line).replace(/"\d+"/g, '"****"');
+}
+
+function conceal (text) {
+  //  Blank the codes out of any PIN or PUK command in `text`, ie a recording of one or of its echo. One '*' per digit, so it keeps its length.
+  return String(text).replace(/AT\+(CPIN|CPWD|CLCK)=[^\r\n]*/gi, function (command) {
+    return command.replace(/"\d+"/g, function (code) {
+      return code.replace(/\d/g, '*');
+    });
+  });
+}
+
+function scrub (err) {
+  //  Blank the codes out of an error about a command with them in it, wherever it came from: the module, or the Postmaster timing out on it or cancelling it
+  err.message = redact(err.message);
+  if (err.stack) {
+    err.stack = redact(err.stack);
+  }
+  if (err.command) {
+    err.command = redact(err.command);
+  }
+  return err;
+}
+
+function secure (gprs, command, callback, immediate) {
+  /*
+  Send a command with a PIN or PUK in it, then check the SIM state, which a wrong PIN can change
+
+  args
+    command
+      The AT command
+    immediate
+      As for check
+  */
+
+  gprs._txrx(command, 10000, function (err, data) {
+    data = data || [];
+    if (!err && data[data.length - 1] !== 'OK') {
+      //  A CMEError, ie code 16 for a wrong PIN
+      err = response.error(command, data);
+    }
+    if (err) {
+      err = scrub(err);
+    }
+    check(gprs, function (checkErr, state) {
+      callback(err, state);
+    }, true);
+  }, null, {immediate: !!immediate});
+}
+
+function validate (code, name, min, max) {
+  //  PINs are 4 to 8 digits, PUKs 8
+  code = String(code === undefined || code === null ? '' : code);
+  if (!/^\d+$/.test(code) || code.length < min || code.length > max) {
+    return new Error('Invalid ' + name + ': must be ' + (min === max ? min : min + ' to ' + max) + ' digits');
+  }
+  return null;
+}
+
+function unlock (gprs, pin, callback, immediate) {
+  var err = validate(pin, 'PIN', 4, 8);
+  if (err) {
+    return setImmediate(callback, err, gprs.simState);
+  }
+  secure(gprs, 'AT+CPIN="' + pin + '"', callback, immediate);
+}
+
+function unlockWithPuk (gprs, puk, newPin, callback) {
+  var err = validate(puk, 'PUK', 8, 8) || validate(newPin, 'PIN', 4, 8);
+  if (err) {
+    return setImmediate(callback, err, gprs.simState);
+  }
+  secure(gprs, 'AT+CPIN="' + puk + '","' + newPin + '"', callback);
+}
+
+function changePin (gprs, oldPin, newPin, callback) {
+  var err = validate(oldPin, 'PIN', 4, 8) || validate(newPin, 'PIN', 4, 8);
+  if (err) {
+    return setImmediate(callback, err, gprs.simState);
+  }
+  secure(gprs, 'AT+CPWD="SC","' + oldPin + '","' + newPin + '"', callback);
+}
+
+function setPinLock (gprs, enabled, pin, callback) {
+  var err = validate(pin, 'PIN', 4, 8);
+  if (err) {
+    return setImmediate(callback, err, gprs.simState);
+  }
+  secure(gprs, 'AT+CLCK="SC",' + (enabled ? 1 : 0) + ',"' + pin + '"', callback);
+}
+
+module.exports.conceal = conceal;
+module.exports.handleLine = handleLine;
+module.exports.check = check;
+module.exports.unlock = unlock;
+module.exports.unlockWithPuk = unlockWithPuk;
+module.exports.changePin = changePin;
+module.exports.setPinLock = setPinLock;
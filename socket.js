@@ -0,0 +1,231 @@
+/*
+A TCP (or UDP) connection made by the SIM900 over GPRS, with an interface
+modeled on net.Socket. Writes go out through AT+CIPSEND, and incoming data
+arrives as '+IPD,<length>:<data>', which the Packetizer hands over as raw
+bytes rather than as packets for the Postmaster.
+
+The SIM900 keeps a single connection open at a time (AT+CIPMUX=0, its
+default), so a GPRS object has at most one Socket.
+*/
+
+var util = require('util');
+var Duplex = require('stream').Duplex;
+
+//  The most we hand the SIM900 in one AT+CIPSEND
+var MAX_SEND = 1024;
+
+function Socket (gprs, options) {
+  /*
+  Constructor for the socket. Use `gprs.connect` rather than calling this directly.
+
+  args
+    gprs
+      The GPRS object to talk through
+    options
+      host
+        Host name or IP address to connect to
+      port
+        Port to connect to
+      protocol
+        'TCP' (default) or 'UDP'
+      timeout
+        Milliseconds to wait for the connection to open. Defaults to 75000, about as long as the SIM900 itself will try.
+  */
+
+  Duplex.call(this, {emitClose: false});
+
+  var self = this;
+
+  self.gprs = gprs;
+  self.remoteAddress = options.host;
+  self.remotePort = options.port;
+  self.protocol = String(options.protocol || 'TCP').toUpperCase();
+  self.connectTimeout = options.timeout || 75000;
+  self.connecting = false;
+  self.connected = false;
+  self.closed = false;
+  self.bytesRead = 0;
+  self.bytesWritten = 0;
+  self._connectTimer = null;
+
+  self._onUnsolicited = function (data) {
+    self._handleLine(data);
+  };
+  self._onRaw = function (data, header) {
+    if (header.indexOf('+IPD') === 0 && self.connected) {
+      self.bytesRead += data.length;
+      self.push(data);
+    }
+  };
+
+  //  Once everything written has gone out, close our end
+  self.once('finish', function () {
+    self._close();
+  });
+}
+
+util.inherits(Socket, Duplex);
+
+Socket.prototype._connect = function () {
+  var self = this;
+  var gprs = self.gprs;
+  var start = 'AT+CIPSTART="' + self.protocol + '","' + self.remoteAddress + '","' + self.remotePort + '"';
+
+  self.connecting = true;
+  gprs.postmaster.on('unsolicited', self._onUnsolicited);
+  gprs.packetizer.on('raw', self._onRaw);
+
+  //  Without headers on incoming data, there's no telling where it ends
+  gprs._txrx('AT+CIPHEAD=1', 2000, function (err, data) {
+    if (err || data[data.length - 1] !== 'OK') {
+      return self._fail(err || new Error('Could not configure the connection: ' + data.join(' ')));
+    }
+    gprs._txrx(start, 10000, function (err, data) {
+      if (err || data[data.length - 1] !== 'OK') {
+        return self._fail(err || new Error('Could not connect to ' + self.remoteAddress + ':' + self.remotePort + ': ' + data.join(' ')));
+      }
+      //  The outcome comes later, as 'CONNECT OK' or 'CONNECT FAIL'
+      if (self.connecting) {
+        self._connectTimer = setTimeout(function () {
+          var err = new Error('Timed out connecting to ' + self.remoteAddress + ':' + self.remotePort);
+          err.type = 'timeout';
+          self._fail(err);
+        }, self.connectTimeout);
+      }
+    });
+  });
+};
+
+Socket.prototype._handleLine = function (data) {
+  //  The Postmaster emits whole posts as arrays when it gives up on them
+  if (typeof data !== 'string') {
+    return;
+  }
+  if (data === 'CONNECT OK' && this.connecting) {
+    clearTimeout(this._connectTimer);
+    this.connecting = false;
+    this.connected = true;
+    this.emit('connect');
+  } else if ((data === 'CONNECT FAIL' || data === 'ALREADY CONNECT') && this.connecting) {
+    this._fail(new Error('Could not connect to ' + this.remoteAddress + ':' + this.remotePort + ': ' + data));
+  } else if (data === 'CLOSED' && this.connected) {
+    //  The other end hung up
+    this.push(null);
+    this._teardown(false);
+  } else if (data === '+PDP: DEACT' && (this.connected || this.connecting)) {
+    var err = new Error('GPRS context deactivated');
+    err.type = 'deactivated';
+    this.push(null);
+    this._fail(err);
+  }
+};
+
+Socket.prototype._read = function () {
+  //  Data is pushed as it arrives, there's nothing to go and get
+};
+
+Socket.prototype._write = function (chunk, encoding, callback) {
+  var self = this;
+  if (self.closed) {
+    return callback(new Error('Socket is closed'));
+  }
+  if (!self.connected) {
+    //  Hold on to it until the connection opens
+    var onConnect = function () {
+      self.removeListener('close', onClose);
+      self._write(chunk, encoding, callback);
+    };
+    var onClose = function () {
+      self.removeListener('connect', onConnect);
+      callback(new Error('Socket closed before it connected'));
+    };
+    self.once('connect', onConnect);
+    self.once('close', onClose);
+    return;
+  }
+  if (!Buffer.isBuffer(chunk)) {
+    chunk = new Buffer(chunk, encoding);
+  }
+
+  //  Send it in pieces the module can swallow
+  (function next (offset) {
+    if (offset >= chunk.length) {
+      return callback();
+    }
+    var piece = chunk.slice(offset, offset + MAX_SEND);
+    self._send(piece, function (err) {
+      if (err) {
+        return callback(err);
+      }
+      next(offset + piece.length);
+    });
+  })(0);
+};
+
+Socket.prototype._send = function (piece, callback) {
+  var self = this;
+  var gprs = self.gprs;
+  var command = 'AT+CIPSEND=' + piece.length;
+  var results = ['SEND OK', 'SEND FAIL', 'ERROR'];
+
+  gprs._txrx(command, 5000, function (err, data) {
+    if (err || data[data.length - 1] !== '> ') {
+      return callback(err || new Error('Module would not send: ' + data.join(' ')));
+    }
+    //  The module knows how many bytes to expect, so no line ending
+    gprs._txrx(piece, 20000, function (err, data) {
+      if (!err && data[data.length - 1] !== 'SEND OK') {
+        err = new Error('Send failed: ' + data.join(' '));
+      }
+      if (!err) {
+        self.bytesWritten += piece.length;
+      }
+      callback(err);
+    }, [results, results, 1], {immediate: true, raw: true});
+  }, [[command], ['> ', 'ERROR']]);
+};
+
+Socket.prototype._close = function () {
+  var self = this;
+  if (self.closed) {
+    return;
+  }
+  if (!self.connected && !self.connecting) {
+    return self._teardown(false);
+  }
+  clearTimeout(self._connectTimer);
+  self.gprs._txrx('AT+CIPCLOSE', 5000, function () {
+    self._teardown(false);
+  }, [['AT+CIPCLOSE'], ['CLOSE OK', 'ERROR']]);
+};
+
+Socket.prototype._destroy = function (err, callback) {
+  this._close();
+  callback(err);
+};
+
+Socket.prototype._fail = function (err) {
+  if (this.closed) {
+    return;
+  }
+  this.emit('error', err);
+  this._teardown(true);
+};
+
+Socket.prototype._teardown = function (hadError) {
+  if (this.closed) {
+    return;
+  }
+  clearTimeout(this._connectTimer);
+  this.closed = true;
+  this.connecting = false;
+  this.connected = false;
+  this.gprs.postmaster.removeListener('unsolicited', this._onUnsolicited);
+  this.gprs.packetizer.removeListener('raw', this._onRaw);
+  if (this.gprs.socket === this) {
+    this.gprs.socket = null;
+  }
+  this.emit('close', hadError);
+};
+
+module.exports = Socket;
@@ -0,0 +1,123 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+
+var sim = new FakeSIM900();
+var gprs;
+
+test('setup', function (t) {
+  gprs = gprslib.use(sim.port, function (err) {
+    t.equal(err, null, 'ready');
+    t.end();
+  });
+});
+
+test('ipStatus reports the IP state', function (t) {
+  gprs.ipStatus(function (err, state) {
+    t.equal(err, null, 'no error');
+    t.equal(state, 'IP INITIAL', 'state');
+    t.equal(gprs.ipState, 'IP INITIAL', 'kept on the GPRS object');
+    t.equal(gprs.ip, null, 'no IP yet');
+    t.end();
+  });
+});
+
+test('a wrong APN is reported clearly', function (t) {
+  sim.requiredApn = 'wholesale';
+  gprs.attach({apn: 'internet'}, function (err, ip) {
+    t.ok(err instanceof Error, 'got an error');
+    t.ok(/APN/.test(err.message), 'which mentions the APN: ' + err.message);
+    t.ok(!/Chain broke/.test(err.message), 'not a broken chain');
+    t.equal(err.command, 'AT+CIICR', 'names the command');
+    t.equal(ip, null, 'no IP');
+    t.end();
+  });
+});
+
+test('attach picks up where the module left off', function (t) {
+  var attached = null;
+  gprs.once('attached', function (ip) {
+    attached = ip;
+  });
+  var sent = sim.commands.length;
+  //  Still in IP START from the last attempt
+  sim.apn.name = 'wholesale';
+  gprs.attach({apn: 'wholesale'}).then(function (ip) {
+    t.equal(ip, '10.0.0.2', 'got an IP');
+    t.equal(gprs.ip, '10.0.0.2', 'kept on the GPRS object');
+    t.equal(attached, '10.0.0.2', 'emitted attached');
+    t.deepEqual(sim.commands.slice(sent), ['AT+CIPSTATUS', 'AT+CIICR', 'AT+CIFSR'], 'skipped the steps already done');
+    t.end();
+  });
+});
+
+test('detach shuts the connection down', function (t) {
+  var detached = null;
+  gprs.once('detached', function (reason) {
+    detached = reason;
+  });
+  gprs.detach(function (err) {
+    t.equal(err, null, 'no error');
+    t.equal(gprs.ip, null, 'no IP');
+    t.equal(detached, 'detached', 'emitted detached');
+    t.ok(!sim.gprsAttached, 'module detached');
+    t.end();
+  });
+});
+
+test('attach goes through every step', function (t) {
+  var sent = sim.commands.length;
+  gprs.attach({apn: 'wholesale', user: 'me', password: 'secret'}, function (err, ip) {
+    t.equal(err, null, 'no error');
+    t.equal(ip, '10.0.0.2', 'got an IP');
+    t.deepEqual(sim.commands.slice(sent), [
+      'AT+CIPSTATUS',
+      'AT+CGATT=1',
+      'AT+CSTT="wholesale","me","secret"',
+      'AT+CIICR',
+      'AT+CIFSR'
+    ], 'all the commands');
+    t.deepEqual(sim.apn, {name: 'wholesale', user: 'me', password: 'secret'}, 'with the credentials');
+    t.end();
+  });
+});
+
+test('a spontaneous deactivation is reported', function (t) {
+  gprs.once('detached', function (reason) {
+    t.equal(reason, 'deactivated', 'emitted detached');
+    t.equal(gprs.ip, null, 'no IP');
+    t.equal(gprs.ipState, 'PDP DEACT', 'state');
+    t.end();
+  });
+  sim.deactivate();
+});
+
+test('attach recovers from a deactivated context', function (t) {
+  gprs.attach({apn: 'wholesale'}, function (err, ip) {
+    t.equal(err, null, 'no error');
+    t.equal(ip, '10.0.0.2', 'got an IP');
+    t.ok(sim.commands.indexOf('AT+CIPSHUT') > -1, 'shut the old context first');
+    t.end();
+  });
+});
+
+test('attach fails clearly when not registered', function (t) {
+  gprs.detach(function () {
+    sim.registration = 0;
+    gprs.attach({apn: 'wholesale'}, function (err) {
+      t.ok(err instanceof Error, 'got an error');
+      t.equal(err.command, 'AT+CGATT=1', 'names the command');
+      t.ok(/registered/.test(err.message), 'says why: ' + err.message);
+      sim.registration = 1;
+      t.end();
+    });
+  });
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.end();
+});
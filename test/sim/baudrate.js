@@ -0,0 +1,131 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var EventEmitter = require('events').EventEmitter;
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+
+// A port whose UART has no setBaudRate, so a new rate means opening it again
+function reopening (sim) {
+  var port = {
+    opened: 0,
+    digital: sim.port.digital,
+    UART: function (options) {
+      var inner = sim.port.UART(options);
+      var uart = new EventEmitter();
+      var relay = function (data) {
+        uart.emit('data', data);
+      };
+      port.opened++;
+      inner.on('data', relay);
+      uart.write = function (data) {
+        if (!uart.disabled) {
+          inner.write(data);
+        }
+      };
+      uart.disable = function () {
+        uart.disabled = true;
+        inner.removeListener('data', relay);
+      };
+      return uart;
+    }
+  };
+  return port;
+}
+
+test('a Tessel UART opens at 115200', function (t) {
+  var sim = new FakeSIM900();
+  var gprs = gprslib.use(sim.port, {signalInterval: 0}, function (err) {
+    t.equal(err, null, 'ready');
+    t.equal(sim.uart.options.baudrate, 115200, 'UART');
+    t.equal(gprs.baudrate, 115200, 'baudrate');
+    gprs.disable();
+    t.end();
+  });
+});
+
+test('the baudrate option picks another', function (t) {
+  var sim = new FakeSIM900({baudrate: 19200});
+  var gprs = gprslib.use(sim.port, {signalInterval: 0, baudrate: 19200}, function (err) {
+    t.equal(err, null, 'ready');
+    t.equal(sim.uart.options.baudrate, 19200, 'UART');
+    t.equal(gprs.baudrate, 19200, 'baudrate');
+    gprs.disable();
+    t.end();
+  });
+});
+
+test('a module fixed at another rate is found', function (t) {
+  var sim = new FakeSIM900({baudrate: 9600});
+  var gprs = gprslib.use(sim.port, {signalInterval: 0}, function (err) {
+    t.equal(err, null, 'ready');
+    t.equal(gprs.baudrate, 9600, 'baudrate');
+    t.equal(sim.uart.options.baudrate, 9600, 'UART moved over');
+    t.equal(sim.cmee, 1, 'and set up');
+    gprs.disable();
+    t.end();
+  });
+});
+
+test('setBaudRate moves the module and the UART', function (t) {
+  var sim = new FakeSIM900();
+  var gprs = gprslib.use(sim.port, {signalInterval: 0}, function (err) {
+    t.equal(err, null, 'ready');
+    gprs.setBaudRate(57600, {persist: true}, function (err) {
+      t.equal(err, null, 'no error');
+      t.equal(sim.baudrate, 57600, 'module');
+      t.equal(sim.savedBaudrate, 57600, 'saved');
+      t.equal(sim.uart.options.baudrate, 57600, 'UART');
+      t.equal(gprs.baudrate, 57600, 'baudrate');
+    });
+    gprs._txrx('AT+CSQ', 2000, function (err, data) {
+      t.deepEqual(data, ['AT+CSQ', '+CSQ: 20,0', 'OK'], 'what was queued behind it went out at the new rate');
+      t.equal(sim.commands[sim.commands.length - 2], 'AT&W', 'after saving');
+      gprs.setBaudRate(0).then(function () {
+        t.equal(sim.baudrate, 0, 'autobauding again');
+        t.equal(gprs.baudrate, 57600, 'UART left where it was');
+        return gprs.setBaudRate(12345);
+      }).catch(function (err) {
+        t.ok(/Unsupported baud rate/.test(err.message), 'only the rates AT+IPR takes');
+        gprs.disable();
+        t.end();
+      });
+    });
+  });
+});
+
+test('a UART that has to be reopened', function (t) {
+  var sim = new FakeSIM900();
+  var port = reopening(sim);
+  var gprs = gprslib.use(port, {signalInterval: 0}, function (err) {
+    t.equal(err, null, 'ready');
+    var first = gprs.uart;
+    gprs.setBaudRate(38400).then(function () {
+      t.equal(port.opened, 2, 'opened again');
+      t.ok(gprs.uart !== first, 'a new UART');
+      t.equal(first.disabled, true, 'the old one closed');
+      t.equal(gprs.packetizer.uart, gprs.uart, 'the Packetizer listens to it');
+      t.equal(gprs.postmaster.uart, gprs.uart, 'the Postmaster writes to it');
+      return gprs._txrx('AT+CSQ', 2000);
+    }).then(function (data) {
+      t.deepEqual(data, ['AT+CSQ', '+CSQ: 20,0', 'OK'], 'and carries on');
+      gprs.disable();
+      t.end();
+    });
+  });
+});
+
+test('a stream that can\'t change its rate', function (t) {
+  var sim = new FakeSIM900();
+  var gprs = gprslib.use(sim.stream(), {signalInterval: 0, baudrate: 115200}, function (err) {
+    t.equal(err, null, 'ready');
+    t.equal(gprs.baudrate, 115200, 'the rate it was opened at');
+    gprs.setBaudRate(9600, function (err) {
+      t.ok(/can't be changed/.test(err.message), 'says so');
+      t.equal(sim.commands.indexOf('AT+IPR=9600'), -1, 'before asking the module');
+      gprs.disable();
+      t.end();
+    });
+  });
+});
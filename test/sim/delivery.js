@@ -0,0 +1,120 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+var pdu = require('../../pdu.js');
+
+var sim = new FakeSIM900();
+var gprs;
+
+test('setup', function (t) {
+  gprs = gprslib.use(sim.port, {signalInterval: 0}, function (err) {
+    t.equal(err, null, 'ready');
+    t.equal(sim.statusReports, 1, 'asked for +CDS status reports');
+    t.end();
+  });
+});
+
+test('status report PDUs', function (t) {
+  var submit = pdu.decode(pdu.encodeSubmit('+15555550100', 'hi', {report: true})[0].pdu);
+  t.equal(submit.report, true, 'SRR bit set');
+  t.equal(pdu.decode(pdu.encodeSubmit('+15555550100', 'hi')[0].pdu).report, false, 'and not by default');
+  var report = pdu.decode(pdu.encodeStatusReport('+15555550100', 42, 0x45, {
+    timestamp: '14/07/01,12:00:00+00',
+    discharged: '14/07/01,12:30:00+00'
+  }).pdu);
+  t.equal(report.type, 'status-report', 'type');
+  t.equal(report.reference, 42, 'reference');
+  t.equal(report.recipient, '+15555550100', 'recipient');
+  t.equal(report.status, 0x45, 'status');
+  t.equal(report.timestamp.toISOString(), '2014-07-01T12:00:00.000Z', 'when the SMSC got it');
+  t.equal(report.discharged.toISOString(), '2014-07-01T12:30:00.000Z', 'when it gave up');
+  t.end();
+});
+
+test('texts do not ask for reports unless told to', function (t) {
+  gprs.sendSMS('+15555550100', 'No report', function (err) {
+    t.equal(err, null, 'sent');
+    t.equal(sim.outbox[sim.outbox.length - 1].report, false, 'SRR bit clear');
+    t.end();
+  });
+});
+
+test('report: true emits delivered with the sendSMS reference', function (t) {
+  gprs.sendSMS('+15555550100', 'Are you there?', {report: true}, function (err, ids) {
+    t.equal(err, null, 'sent');
+    t.equal(sim.outbox[sim.outbox.length - 1].report, true, 'SRR bit set');
+    gprs.once('delivered', function (report) {
+      t.equal(report.reference, ids[0], 'matches the reference');
+      t.equal(report.recipient, '+15555550100', 'recipient');
+      t.equal(report.state, 'delivered', 'state');
+      t.ok(report.timestamp instanceof Date, 'SMSC timestamp');
+      t.ok(report.discharged instanceof Date, 'delivery time');
+      t.end();
+    });
+    sim.reportDelivery(ids[0], 0);
+  });
+});
+
+test('waitForDelivery resolves with a report for each part', function (t) {
+  sim.deliveryStatus = 0;
+  var text = new Array(201).join('x');
+  gprs.sendSMS('+15555550100', text, {waitForDelivery: true}).then(function (reports) {
+    t.equal(reports.length, 2, 'two parts');
+    t.deepEqual(reports.map(function (report) {
+      return report.state;
+    }), ['delivered', 'delivered'], 'both delivered');
+    t.deepEqual(reports.map(function (report) {
+      return report.reference;
+    }), sim.outbox.slice(-2).map(function (sent) {
+      return sent.reference;
+    }), 'in order');
+    t.end();
+  });
+});
+
+test('waitForDelivery rejects when the SMSC gives up', function (t) {
+  sim.deliveryStatus = 0x41;
+  var failed = false;
+  gprs.once('failed', function (report) {
+    failed = report.status === 0x41;
+  });
+  gprs.sendSMS('+15555550100', 'Nobody home', {waitForDelivery: true}, function (err, reports) {
+    t.equal(err.type, 'failed', 'error type');
+    t.equal(reports[0].state, 'failed', 'report');
+    t.ok(failed, 'emitted failed');
+    t.end();
+  });
+});
+
+test('reports still being retried are not the end of it', function (t) {
+  sim.deliveryStatus = 0x21;
+  gprs.sendSMS('+15555550100', 'Eventually', {waitForDelivery: true, deliveryTimeout: 100}, function (err, reports) {
+    t.equal(err.type, 'timeout', 'timed out waiting');
+    t.deepEqual(reports, [null], 'no final report');
+    t.end();
+  });
+});
+
+test('stored reports (+CDSI) are read and deleted', function (t) {
+  sim.deliveryStatus = null;
+  sim.statusReports = 2;
+  gprs.sendSMS('+15555550100', 'Stored', {report: true}, function (err, ids) {
+    t.equal(err, null, 'sent');
+    gprs.once('delivered', function (report) {
+      t.equal(report.reference, ids[0], 'matches the reference');
+      setImmediate(function () {
+        t.equal(sim._findMessage(index), null, 'deleted from the SIM');
+        t.end();
+      });
+    });
+    var index = sim.reportDelivery(ids[0], 0);
+  });
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.end();
+});
@@ -0,0 +1,60 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+
+var sim = new FakeSIM900();
+var gprs;
+
+test('setup', function (t) {
+  gprs = gprslib.use(sim.port, function (err) {
+    t.equal(err, null, 'ready');
+    gprs.emitMe(['RING', '+CMTI']);
+    t.end();
+  });
+});
+
+test('emitMe emits matching unsolicited lines', function (t) {
+  gprs.once('RING', function (data) {
+    t.equal(data, 'RING', 'got RING');
+    t.end();
+  });
+  sim.inject('RING');
+});
+
+test('emitMe emits new message notices', function (t) {
+  gprs.once('+CMTI', function (data) {
+    t.equal(data, '+CMTI: "SM",1', 'got the storage index');
+    t.end();
+  });
+  sim.receiveSMS('+15555551234', 'hi');
+});
+
+test('other lines are emitted as unsolicited', function (t) {
+  gprs.once('unsolicited', function (data) {
+    t.equal(data, 'UNEXPECTED', 'got the line');
+    t.end();
+  });
+  sim.inject('UNEXPECTED');
+});
+
+test('unsolicited lines ahead of a reply are not mistaken for it', function (t) {
+  var rang = false;
+  gprs.once('RING', function () {
+    rang = true;
+  });
+  sim.inject('RING');
+  gprs._txrx('AT+CSQ', 1000, function (err, data) {
+    t.equal(err, null, 'no error');
+    t.deepEqual(data, ['AT+CSQ', '+CSQ: 20,0', 'OK'], 'reply intact');
+    t.ok(rang, 'RING was emitted');
+    t.end();
+  });
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.end();
+});
@@ -0,0 +1,149 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+
+var sim = new FakeSIM900();
+var gprs;
+
+test('setup', function (t) {
+  gprs = gprslib.use(sim.port, function (err) {
+    t.equal(err, null, 'ready');
+    t.end();
+  });
+});
+
+test('GET opens the bearer and reads the response', function (t) {
+  sim.httpHandler = function (request) {
+    return {status: 200, headers: {'Content-Type': 'text/plain', 'X-Count': '3'}, body: 'hello world'};
+  };
+  gprs.request({url: 'http://example.com/status', apn: 'internet'}, function (err, response) {
+    t.equal(err, null, 'no error');
+    t.equal(response.status, 200, 'status');
+    t.ok(Buffer.isBuffer(response.body), 'body is a Buffer');
+    t.equal(response.body.toString(), 'hello world', 'body');
+    t.equal(response.headers['content-type'], 'text/plain', 'content type header');
+    t.equal(response.headers['x-count'], '3', 'other header');
+    t.ok(sim.bearer.open, 'bearer opened');
+    t.equal(sim.bearer.params.APN, 'internet', 'with the APN');
+    t.equal(sim.requests[0].method, 'GET', 'made a GET');
+    t.equal(sim.requests[0].url, 'http://example.com/status', 'to the URL');
+    t.equal(sim.http, null, 'session terminated');
+    t.end();
+  });
+});
+
+test('POST uploads the body and sends headers', function (t) {
+  var sent = sim.commands.length;
+  sim.httpHandler = function (request) {
+    return {status: 201, body: request.body};
+  };
+  gprs.request({
+    method: 'POST',
+    url: 'http://example.com/readings',
+    headers: {'Content-Type': 'application/json', 'X-Device': 'unit-7', 'Authorization': 'Bearer abc'},
+    body: '{"temp":21.5}'
+  }).then(function (response) {
+    var request = sim.requests[sim.requests.length - 1];
+    t.equal(response.status, 201, 'status');
+    t.equal(response.body.toString(), '{"temp":21.5}', 'body echoed back');
+    t.equal(request.method, 'POST', 'made a POST');
+    t.equal(request.headers['Content-Type'], 'application/json', 'content type');
+    t.equal(request.headers['X-Device'], 'unit-7', 'custom header');
+    t.equal(request.headers.Authorization, 'Bearer abc', 'second custom header');
+    t.ok(sim.commands.slice(sent).indexOf('AT+SAPBR=1,1') === -1, 'bearer left as it was');
+    t.end();
+  });
+});
+
+test('long and binary bodies are read in pieces', function (t) {
+  var body = new Buffer(1300);
+  for (var i = 0; i < body.length; i++) {
+    body[i] = i % 256;
+  }
+  sim.httpHandler = function () {
+    return {status: 200, body: body};
+  };
+  var sent = sim.commands.length;
+  gprs.request({url: 'http://example.com/firmware.bin'}, function (err, response) {
+    t.equal(err, null, 'no error');
+    t.equal(response.body.length, body.length, 'all of it');
+    t.ok(response.body.equals(body), 'byte for byte');
+    t.equal(sim.commands.slice(sent).filter(function (command) {
+      return /^AT\+HTTPREAD=/.test(command);
+    }).length, 3, 'in three reads');
+    t.end();
+  });
+});
+
+test('HTTPS turns on SSL', function (t) {
+  sim.httpHandler = function () {
+    return {status: 204};
+  };
+  gprs.request({method: 'HEAD', url: 'https://example.com/'}, function (err, response) {
+    t.equal(err, null, 'no error');
+    t.equal(response.status, 204, 'status');
+    t.equal(response.body.length, 0, 'no body');
+    t.ok(sim.requests[sim.requests.length - 1].ssl, 'with SSL');
+    t.end();
+  });
+});
+
+test('module failures come back as errors', function (t) {
+  sim.httpHandler = function () {
+    return {status: 603};
+  };
+  gprs.request({url: 'http://no.such.host/'}, function (err) {
+    t.ok(err instanceof Error, 'got an error');
+    t.equal(err.status, 603, 'with the module status');
+    t.equal(sim.http, null, 'session terminated');
+    t.end();
+  });
+});
+
+test('requests wait their turn', function (t) {
+  var n = 0;
+  sim.httpHandler = function (request) {
+    return {status: 200, body: request.url.slice(-1)};
+  };
+  var bodies = [];
+  ['http://example.com/1', 'http://example.com/2'].forEach(function (url) {
+    gprs.request({url: url}, function (err, response) {
+      t.equal(err, null, 'no error');
+      bodies.push(response.body.toString());
+      if (++n === 2) {
+        t.deepEqual(bodies, ['1', '2'], 'both answered in order');
+        t.end();
+      }
+    });
+  });
+});
+
+test('a stale session is cleared', function (t) {
+  sim.http = {params: {}, ssl: false, body: null, response: null};
+  sim.httpHandler = function () {
+    return {status: 200, body: 'fresh'};
+  };
+  gprs.request({url: 'http://example.com/'}, function (err, response) {
+    t.equal(err, null, 'no error');
+    t.equal(response.body.toString(), 'fresh', 'got the response');
+    t.end();
+  });
+});
+
+test('bad requests are refused', function (t) {
+  gprs.request({url: 'http://example.com/"quoted"'}, function (err) {
+    t.ok(err instanceof Error, 'quotes are refused');
+    gprs.request({method: 'PUT', url: 'http://example.com/'}, function (err) {
+      t.ok(err instanceof Error, 'unsupported methods are refused');
+      t.end();
+    });
+  });
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.end();
+});
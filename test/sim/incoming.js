@@ -0,0 +1,112 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+
+var sim = new FakeSIM900();
+var gprs;
+
+test('setup', function (t) {
+  gprs = gprslib.use(sim.port, function (err) {
+    t.equal(err, null, 'ready');
+    t.end();
+  });
+});
+
+test('new texts are stored and announced with +CMTI', function (t) {
+  //  Configured ahead of anything sent once ready
+  gprs._txrx('AT', 1000, function () {
+    t.ok(sim.commands.indexOf('AT+CNMI=2,1,0,1,0') > -1, 'configured AT+CNMI');
+    t.end();
+  });
+});
+
+test('a stored text is read and emitted as an sms event', function (t) {
+  gprs.once('sms', function (message) {
+    t.equal(message.index, 1, 'index');
+    t.equal(message.sender, '+15555551234', 'sender');
+    t.equal(message.text, 'hello there', 'text');
+    t.ok(message.timestamp instanceof Date, 'timestamp');
+    t.equal(sim.inbox[0].status, 'REC READ', 'marked read');
+    t.equal(sim.inbox.length, 1, 'kept on the SIM');
+    t.end();
+  });
+  sim.receiveSMS('+15555551234', 'hello there');
+});
+
+test('texts are left alone when nobody is listening', function (t) {
+  sim.receiveSMS('+15555551234', 'for later');
+  gprs._txrx('AT', 1000, function () {
+    t.equal(sim.inbox[1].status, 'REC UNREAD', 'still unread');
+    t.end();
+  });
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.end();
+});
+
+var direct = new FakeSIM900();
+var other;
+
+test('setup with direct delivery and removal', function (t) {
+  other = gprslib.use(direct.port, {sms: {direct: true, remove: true}}, function (err) {
+    t.equal(err, null, 'ready');
+    other._txrx('AT', 1000, function () {
+      t.ok(direct.commands.indexOf('AT+CNMI=2,2,0,1,0') > -1, 'asked for +CMT');
+      t.end();
+    });
+  });
+});
+
+test('a directly delivered text is decoded from its two lines', function (t) {
+  var emitted = null;
+  other.emitMe(['+CMT']);
+  other.once('+CMT', function (data) {
+    emitted = data;
+  });
+  other.once('sms', function (message) {
+    t.equal(message.index, null, 'not stored');
+    t.equal(message.sender, '+15555550000', 'sender');
+    t.equal(message.text, 'Grüße', 'text');
+    t.equal(message.timestamp.getTime(), Date.UTC(2014, 6, 1, 12, 0, 0), 'timestamp');
+    t.equal(direct.inbox.length, 0, 'nothing on the SIM');
+    setImmediate(function () {
+      t.equal(emitted.split('\n').length, 2, 'emitMe got header and body together');
+      t.end();
+    });
+  });
+  direct.receiveSMS('+15555550000', 'Grüße');
+});
+
+test('a directly delivered text in text mode', function (t) {
+  direct.textMode = true;
+  other.once('sms', function (message) {
+    t.equal(message.sender, '+15555550000', 'sender');
+    t.equal(message.text, 'plain', 'text');
+    t.equal(message.timestamp.getTime(), Date.UTC(2014, 6, 1, 10, 0, 0), 'timestamp');
+    direct.textMode = false;
+    t.end();
+  });
+  direct.receiveSMS('+15555550000', 'plain', '14/07/01,12:00:00+08');
+});
+
+test('stored texts are removed once emitted', function (t) {
+  direct.newMessages = 1;
+  other.once('sms', function (message) {
+    t.equal(message.text, 'delete me', 'text');
+    other._txrx('AT', 1000, function () {
+      t.equal(direct.inbox.length, 0, 'deleted');
+      t.end();
+    });
+  });
+  direct.receiveSMS('+15555550000', 'delete me');
+});
+
+test('teardown', function (t) {
+  other.disable();
+  t.end();
+});
@@ -0,0 +1,81 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+
+var sim = new FakeSIM900();
+var gprs;
+
+test('setup', function (t) {
+  gprs = gprslib.use(sim.port, {signalInterval: 0}, function (err) {
+    t.equal(err, null, 'ready');
+    t.end();
+  });
+});
+
+test('getInfo is answered from what was found out while connecting', function (t) {
+  var before = sim.commands.length;
+  gprs.getInfo(function (err, info) {
+    t.equal(err, null, 'no error');
+    t.deepEqual(info, {
+      manufacturer: 'SIMCOM_Ltd',
+      model: 'SIM900',
+      firmware: '1137B01SIM900M64_ST',
+      imei: '490154203237518',
+      imsi: '310150123456789',
+      iccid: '89014103211118510720',
+      ownNumber: '+15555550100'
+    }, 'everything');
+    t.equal(sim.commands.length, before, 'without asking again');
+    t.end();
+  });
+});
+
+test('fields that fail validation are null', function (t) {
+  sim.identity.imei = '490154203237519';
+  sim.identity.iccid = '8901410321111851072F';
+  sim.identity.imsi = '3101501234567890';
+  sim.identity.ownNumber = null;
+  gprs.getInfo({refresh: true}).then(function (info) {
+    t.equal(info.imei, null, 'IMEI with a bad check digit');
+    t.equal(info.iccid, '8901410321111851072', 'ICCID without its padding');
+    t.equal(info.imsi, null, 'IMSI too long');
+    t.equal(info.ownNumber, null, 'no number on the SIM');
+    t.equal(info.model, 'SIM900', 'the rest as before');
+    t.end();
+  });
+});
+
+test('a SIM change is picked up', function (t) {
+  sim.identity.imsi = '234150999999999';
+  sim.identity.iccid = '89441000303403893454';
+  sim.identity.ownNumber = '447700900123';
+  gprs.once('sim', function (state) {
+    t.equal(state, 'NOT READY', 'pulled out');
+    t.equal(gprs.info.imsi, null, 'forgets the old IMSI');
+    t.equal(gprs.info.iccid, null, 'and ICCID');
+    gprs.once('sim', function (state) {
+      t.equal(state, 'READY', 'put back');
+      //  The refresh is already under way, so this waits on it
+      gprs.getInfo({refresh: true}, function (err, info) {
+        t.equal(err, null, 'no error');
+        t.equal(info.imsi, '234150999999999', 'new IMSI');
+        t.equal(info.iccid, '89441000303403893454', 'new ICCID');
+        t.equal(info.ownNumber, '447700900123', 'new number');
+        t.equal(sim.commands.filter(function (command) {
+          return command === 'AT+CIMI';
+        }).length, 3, 'asked once for the new SIM');
+        t.end();
+      });
+    });
+    sim.insertSIM();
+  });
+  sim.removeSIM();
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.end();
+});
@@ -0,0 +1,87 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+
+var sim = new FakeSIM900();
+sim.registration = 2;
+var gprs;
+
+test('setup', function (t) {
+  gprs = gprslib.use(sim.port, {signalInterval: 50}, function (err) {
+    t.equal(err, null, 'ready');
+    t.end();
+  });
+});
+
+test('registration reports are turned on and the signal is read before ready', function (t) {
+  var network = gprs.network;
+  t.equal(sim.creg, 2, 'AT+CREG=2');
+  t.equal(sim.cgreg, 2, 'AT+CGREG=2');
+  t.equal(network.rssi, 20, 'rssi');
+  t.equal(network.ber, 0, 'ber');
+  t.equal(network.dbm, -73, 'in dBm');
+  t.equal(network.registered, false, 'still searching');
+  t.end();
+});
+
+test('waitForNetwork resolves on registration', function (t) {
+  var registered = false;
+  gprs.once('registered', function (network) {
+    registered = true;
+    t.equal(network.lac, 0x1A2B, 'location area');
+    t.equal(network.cellId, 0xC3, 'cell');
+    t.equal(network.roaming, false, 'at home');
+  });
+  gprs.waitForNetwork(1000).then(function (network) {
+    t.ok(registered, 'emitted registered');
+    t.equal(network.registered, true, 'registered');
+    t.equal(gprs.network.gprsRegistered, true, 'on GPRS too');
+    t.end();
+  });
+  sim.register(1);
+});
+
+test('waitForNetwork resolves right away when registered', function (t) {
+  gprs.waitForNetwork(function (err, network) {
+    t.equal(err, null, 'no error');
+    t.equal(network.registered, true, 'registered');
+    t.end();
+  });
+});
+
+test('signal is polled', function (t) {
+  sim.signal = {rssi: 99, ber: 99};
+  gprs.once('signal', function (network) {
+    t.equal(network.rssi, null, 'unknown rssi');
+    t.equal(network.dbm, null, 'unknown dBm');
+    t.end();
+  });
+});
+
+test('losing the network emits unregistered', function (t) {
+  gprs.once('unregistered', function (network) {
+    t.equal(network.registered, false, 'not registered');
+    gprs.waitForNetwork(50, function (err) {
+      t.equal(err.type, 'timeout', 'waitForNetwork times out');
+      t.end();
+    });
+  });
+  sim.register(2);
+});
+
+test('roaming counts as registered', function (t) {
+  gprs.once('registered', function (network) {
+    t.equal(network.roaming, true, 'roaming');
+    t.equal(network.cellId, 0x1F, 'on the new cell');
+    t.end();
+  });
+  sim.register(5, '1A2B', '001F');
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.end();
+});
@@ -0,0 +1,146 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var EventEmitter = require('events').EventEmitter;
+var Packetizer = require('../../packetizer.js');
+
+// A Packetizer on a UART we feed by hand, and everything it emits in order
+function setup () {
+  var uart = new EventEmitter();
+  var packetizer = new Packetizer(uart);
+  var out = [];
+  packetizer.packetize();
+  packetizer.on('packet', function (line) {
+    out.push(line);
+  });
+  packetizer.on('raw', function (bytes, header) {
+    out.push({raw: bytes, header: header});
+  });
+  return {
+    out: out,
+    packetizer: packetizer,
+    feed: function () {
+      for (var i = 0; i < arguments.length; i++) {
+        uart.emit('data', Buffer.isBuffer(arguments[i]) ? arguments[i] : new Buffer(arguments[i], 'binary'));
+      }
+    }
+  };
+}
+
+test('lines end with \\r\\n, or a lone \\r or \\n', function (t) {
+  var p = setup();
+  p.feed('AT\r\r\nOK\r\n', 'first\nsecond\r\n\r\n');
+  t.deepEqual(p.out, ['AT', 'OK', 'first', 'second'], 'one packet per line, none for empty ones');
+  t.end();
+});
+
+test('lines split across chunks', function (t) {
+  var p = setup();
+  p.feed('+CS', 'Q: 20', ',0\r', '\nO', 'K\r', '\n');
+  t.deepEqual(p.out, ['+CSQ: 20,0', 'OK'], 'put back together');
+  t.end();
+});
+
+test('a prompt comes out without a line end', function (t) {
+  var p = setup();
+  p.feed('AT+CMGS=18\r\r\n> ');
+  t.deepEqual(p.out, ['AT+CMGS=18', '> '], 'right away');
+  p.feed('hi\x1a\r\n+CMGS: 5\r\n\r\nOK\r\n');
+  t.deepEqual(p.out.slice(2), ['hi\x1a', '+CMGS: 5', 'OK'], 'and what follows is on its own');
+  p.feed('\r\n>', ' ');
+  t.equal(p.out[p.out.length - 1], '> ', 'in pieces too');
+  p.feed('> quoted\r\n');
+  t.equal(p.out[p.out.length - 1], '> quoted', 'but a line that starts like one is a line');
+  t.end();
+});
+
+test('bytes outside ASCII come through', function (t) {
+  var p = setup();
+  p.feed(new Buffer([0x41, 0xe9, 0xff, 0x0d, 0x0a]));
+  t.equal(p.out[0], 'Aéÿ', 'one character per byte');
+  t.end();
+});
+
+test('+IPD data is handed over untouched', function (t) {
+  var p = setup();
+  var payload = new Buffer([0x00, 0x0d, 0x0a, 0xff, 0x3a, 0x0d]);
+  p.feed('\r\n+IPD,6:', payload.slice(0, 2), Buffer.concat([payload.slice(2), new Buffer('\r\nCLOSED\r\n')]));
+  t.equal(p.out.length, 2, 'the data and the line after it');
+  t.deepEqual(p.out[0].raw, payload, 'exactly 6 bytes, line ends and all');
+  t.equal(p.out[0].header, '+IPD,6', 'with its header');
+  t.equal(p.out[1], 'CLOSED', 'then lines again');
+  t.end();
+});
+
+test('colons elsewhere do not start raw data', function (t) {
+  var p = setup();
+  p.feed('+CCLK: "14/07/01,12:00:00+00"\r\n');
+  t.deepEqual(p.out, ['+CCLK: "14/07/01,12:00:00+00"'], 'just a line');
+  t.end();
+});
+
+test('+HTTPREAD data follows its header line', function (t) {
+  var p = setup();
+  //  The \r\n ending the header is split between chunks
+  p.feed('+HTTPREAD: 4\r', '\n\r\n\r\n', 'OK\r\n');
+  t.equal(p.out[0], '+HTTPREAD: 4', 'the header is a packet');
+  t.deepEqual(p.out[1].raw, new Buffer('\r\n\r\n'), 'the data, all line ends');
+  t.equal(p.out[2], 'OK', 'then the OK');
+  t.equal(p.out.length, 3, 'and nothing else');
+  t.end();
+});
+
+test('empty raw data', function (t) {
+  var p = setup();
+  p.feed('+HTTPREAD: 0\r\nOK\r\n');
+  t.equal(p.out[1].raw.length, 0, 'no bytes');
+  t.equal(p.out[2], 'OK', 'then the OK');
+  t.end();
+});
+
+test('big payloads', function (t) {
+  var p = setup();
+  var payload = new Buffer(65536);
+  for (var i = 0; i < payload.length; i++) {
+    payload[i] = i % 256;
+  }
+  var started = Date.now();
+  p.feed('+IPD,65536:');
+  for (i = 0; i < payload.length; i += 64) {
+    p.feed(payload.slice(i, i + 64));
+  }
+  t.deepEqual(p.out[0].raw, payload, 'intact');
+  t.ok(Date.now() - started < 1000, 'quickly');
+  t.end();
+});
+
+test('blacklisted lines are not packets', function (t) {
+  var p = setup();
+  var blacklisted = [];
+  p.packetizer.on('blacklist', function (line) {
+    blacklisted.push(line);
+  });
+  p.feed('UNDER-VOLTAGE WARNNING\r\nOK\r\n');
+  t.deepEqual(p.out, ['OK'], 'skipped');
+  t.deepEqual(blacklisted, ['UNDER-VOLTAGE WARNNING'], 'but emitted as blacklist');
+  t.end();
+});
+
+test('the ender argument is still in its place', function (t) {
+  var uart = new EventEmitter();
+  var packetizer = new Packetizer(uart, '\r\n', ['NOISE'], true);
+  var out = [];
+  packetizer.packetize();
+  packetizer.on('packet', function (line) {
+    out.push(line);
+  });
+  t.deepEqual(packetizer.blacklist, ['NOISE'], 'blacklist');
+  t.equal(packetizer.debug, true, 'debug');
+  var log = console.log;
+  console.log = function () {};
+  uart.emit('data', new Buffer('NOISE\r\nOK\r\n'));
+  console.log = log;
+  t.deepEqual(out, ['OK'], 'framed as usual');
+  t.end();
+});
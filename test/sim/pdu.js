@@ -0,0 +1,76 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var pdu = require('../../pdu.js');
+
+test('encodeSubmit packs GSM 7-bit text', function (t) {
+  var parts = pdu.encodeSubmit('+15555551234', 'hello', {reference: 0});
+  t.equal(parts.length, 1, 'one part');
+  t.equal(parts[0].pdu, '0011000B915155551532F40000AA05E8329BFD06', 'known PDU');
+  t.equal(parts[0].length, 19, 'length leaves out the SMSC');
+  t.end();
+});
+
+test('extension characters count as two septets', function (t) {
+  t.equal(pdu.split(new Array(81).join('['), 'gsm7').length, 1, '80 escaped characters fit in one message');
+  t.equal(pdu.split(new Array(82).join('['), 'gsm7').length, 2, '81 do not');
+  var parts = pdu.split(new Array(81).join('[') + 'a', 'gsm7');
+  t.equal(parts.length, 2, 'two parts');
+  t.ok(parts.every(function (part) {
+    return part.length <= 76;
+  }), 'escape sequences are never split');
+  t.end();
+});
+
+test('UCS2 parts keep surrogate pairs together', function (t) {
+  var text = new Array(70).join('😀');
+  var parts = pdu.split(text, 'ucs2');
+  t.ok(parts.length > 1, 'split');
+  t.ok(parts.every(function (part) {
+    return !/[\ud800-\udbff]$/.test(part);
+  }), 'no part ends half way through a character');
+  t.equal(parts.join(''), text, 'nothing lost');
+  t.end();
+});
+
+test('decode reads an SMS-DELIVER with its SMSC', function (t) {
+  var sms = pdu.decode('07911326040000F0040B911346610089F60000208062917314080CC8F71D14969741F977FD07');
+  t.equal(sms.type, 'deliver', 'incoming message');
+  t.equal(sms.smsc, '+31624000000', 'service center');
+  t.equal(sms.sender, '+31641600986', 'sender');
+  t.equal(sms.numberType, 145, 'international number');
+  t.equal(sms.text, 'How are you?', 'text');
+  t.equal(sms.scts, '02/08/26,19:37:41-00', 'timestamp as text');
+  t.equal(sms.timestamp.getTime(), Date.UTC(2002, 7, 26, 19, 37, 41), 'timestamp as a Date');
+  t.end();
+});
+
+test('decode reads back what encodeDeliver wrote', function (t) {
+  var encoded = pdu.encodeDeliver('5551234', 'naïve 日本', {
+    timestamp: '14/07/01,12:00:00-20',
+    concat: {reference: 200, total: 3, sequence: 2}
+  });
+  var sms = pdu.decode(encoded.pdu);
+  t.equal(sms.sender, '5551234', 'national number');
+  t.equal(sms.numberType, 129, 'of unknown type');
+  t.equal(sms.encoding, 'ucs2', 'UCS2');
+  t.equal(sms.text, 'naïve 日本', 'text');
+  t.deepEqual(sms.concat, {reference: 200, total: 3, sequence: 2}, 'concatenation header');
+  t.equal(sms.timestamp.getTime(), Date.UTC(2014, 6, 1, 17, 0, 0), 'zone applied');
+  t.end();
+});
+
+test('decode reads alphanumeric senders', function (t) {
+  var sms = pdu.decode('0004' + '0ED0' + 'C6F75B18968382' + '0000' + '41701012000000' + '02' + 'E834');
+  t.equal(sms.sender, 'FooBar A', 'sender name');
+  t.equal(sms.text, 'hi', 'text');
+  t.end();
+});
+
+test('encodeSubmit rejects bad numbers', function (t) {
+  t.throws(function () {
+    pdu.encodeSubmit('call me', 'hi');
+  }, /Invalid phone number/, 'throws');
+  t.end();
+});
@@ -0,0 +1,97 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+
+var sim = new FakeSIM900();
+var gprs;
+
+test('setup', function (t) {
+  gprs = gprslib.use(sim.port, {signalInterval: 0}, function (err) {
+    t.equal(err, null, 'ready');
+    t.end();
+  });
+});
+
+test('write stores numbers with their type', function (t) {
+  gprs.phonebook.write(1, '+15555550100', 'On call').then(function () {
+    t.deepEqual(sim.phonebook[1], {number: '15555550100', type: 145, name: 'On call'}, 'international');
+    t.equal(sim.commands[sim.commands.length - 2], 'AT+CPBS="SM"', 'picked the SIM phonebook first');
+    return gprs.phonebook.write(null, '0201234567', 'Office');
+  }).then(function () {
+    t.deepEqual(sim.phonebook[2], {number: '0201234567', type: 129, name: 'Office'}, 'national, in the first empty slot');
+    t.end();
+  });
+});
+
+test('list reads every entry', function (t) {
+  sim.phonebook[7] = {number: '447700900123', type: 145, name: 'Backup'};
+  gprs.phonebook.list(function (err, entries) {
+    t.equal(err, null, 'no error');
+    t.deepEqual(entries, [
+      {index: 1, number: '+15555550100', numberType: 145, name: 'On call'},
+      {index: 2, number: '0201234567', numberType: 129, name: 'Office'},
+      {index: 7, number: '+447700900123', numberType: 145, name: 'Backup'}
+    ], 'entries, with the + put back on international numbers');
+    t.ok(sim.commands.indexOf('AT+CPBR=1,250') > -1, 'read the whole range');
+    t.end();
+  });
+});
+
+test('capacity', function (t) {
+  gprs.phonebook.capacity().then(function (capacity) {
+    t.deepEqual(capacity, {memory: 'SM', used: 3, total: 250, first: 1, last: 250, numberLength: 40, nameLength: 14}, 'capacity');
+    t.end();
+  });
+});
+
+test('find and read', function (t) {
+  gprs.phonebook.find('on', function (err, entries) {
+    t.equal(err, null, 'no error');
+    t.deepEqual(entries, [{index: 1, number: '+15555550100', numberType: 145, name: 'On call'}], 'found by name');
+    gprs.phonebook.find('Nobody', function (err, entries) {
+      t.equal(err, null, 'nothing found is not an error');
+      t.deepEqual(entries, [], 'empty');
+      gprs.phonebook.read(2).then(function (entry) {
+        t.equal(entry.name, 'Office', 'read one slot');
+        return gprs.phonebook.read(3);
+      }).then(function (entry) {
+        t.equal(entry, null, 'an empty slot');
+        t.end();
+      });
+    });
+  });
+});
+
+test('delete empties a slot', function (t) {
+  gprs.phonebook.delete(7, function (err) {
+    t.equal(err, null, 'no error');
+    t.equal(sim.phonebook[7], undefined, 'gone');
+    t.end();
+  });
+});
+
+test('bad arguments and refusals are errors', function (t) {
+  gprs.phonebook.write(1, '555-0100', 'Dashes').catch(function (err) {
+    t.ok(/Invalid phone number/.test(err.message), 'number');
+    return gprs.phonebook.write(1, '5550100', 'Say "hi"');
+  }).catch(function (err) {
+    t.ok(/Invalid phonebook name/.test(err.message), 'name with quotes');
+    return gprs.phonebook.delete(0);
+  }).catch(function (err) {
+    t.ok(/Invalid phonebook index/.test(err.message), 'index');
+    return gprs.phonebook.write(1, '5550100', 'A name that is far too long');
+  }).catch(function (err) {
+    t.equal(err.code, 24, 'the module refused a long name');
+    t.equal(err.name, 'text string too long', 'with the name for its code');
+    t.equal(sim.phonebook[1].name, 'On call', 'left as it was');
+    t.end();
+  });
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.end();
+});
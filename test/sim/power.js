@@ -0,0 +1,194 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+
+var sim = new FakeSIM900({powerKeyMs: 10, sleepDelay: 1500});
+var presses = 0;
+var gprs;
+
+// Presses the fake's power key, quicker than a Tessel pin would
+function press (callback) {
+  presses++;
+  sim.powerKey.low();
+  setTimeout(function () {
+    sim.powerKey.high();
+    callback();
+  }, 20);
+}
+
+test('setup', function (t) {
+  gprs = gprslib.use(sim.stream(), {signalInterval: 0, power: press, dtr: sim.dtr}, function (err) {
+    t.equal(err, null, 'ready');
+    t.equal(gprs.powered, true, 'powered once in contact');
+    t.equal(presses, 0, 'no need to press the key');
+    t.end();
+  });
+});
+
+test('powerOff shuts down with AT+CPOWD=1', function (t) {
+  var events = [];
+  gprs.on('power', function (powered) {
+    events.push(powered);
+  });
+  gprs.powerOff().then(function () {
+    t.equal(sim.commands[sim.commands.length - 1], 'AT+CPOWD=1', 'graceful');
+    t.equal(sim.powered, false, 'module is off');
+    t.equal(gprs.powered, false, 'powered');
+    t.deepEqual(events, [false], 'emitted power');
+    var before = sim.commands.length;
+    return gprs.powerOff().then(function () {
+      t.equal(sim.commands.length, before, 'already off: nothing sent');
+      gprs.removeAllListeners('power');
+      t.end();
+    });
+  });
+});
+
+test('powerOn turns it back on and sets it up again', function (t) {
+  gprs.powerOn(function (err) {
+    t.equal(err, null, 'no error');
+    t.equal(presses, 1, 'pressed the key once');
+    t.ok(sim.powered, 'module is on');
+    t.equal(gprs.powered, true, 'powered');
+    t.equal(sim.cmee, 1, 'set up again');
+    var before = sim.commands.length;
+    gprs.powerOn(function (err) {
+      t.equal(err, null, 'no error');
+      t.equal(presses, 1, 'already on: not pressed again');
+      t.equal(sim.commands.length, before, 'nothing sent');
+      t.end();
+    });
+  });
+});
+
+test('RDY and NORMAL POWER DOWN keep powered up to date', function (t) {
+  sim.inject('NORMAL POWER DOWN');
+  gprs.once('power', function (powered) {
+    t.equal(powered, false, 'off');
+    gprs.once('power', function (powered) {
+      t.equal(powered, true, 'on');
+      t.equal(gprs.powered, true, 'powered');
+      t.end();
+    });
+    sim.inject('RDY');
+  });
+});
+
+test('sleep mode 2 and wake', function (t) {
+  gprs.sleep(function (err) {
+    t.equal(err, null, 'no error');
+    t.equal(sim.commands[sim.commands.length - 1], 'AT+CSCLK=2', 'slow clock');
+    t.equal(gprs.sleepMode, 2, 'sleepMode');
+    setTimeout(function () {
+      t.ok(sim.asleep, 'the module nodded off');
+      gprs.wake().then(function () {
+        t.equal(sim.commands[sim.commands.length - 1], 'AT+CSCLK=0', 'slow clock off');
+        t.equal(sim.asleep, false, 'awake');
+        t.equal(gprs.sleepMode, 0, 'sleepMode');
+        t.end();
+      });
+    }, 1600);
+  });
+});
+
+test('sleep mode 1 follows DTR', function (t) {
+  gprs.sleep(1).then(function () {
+    t.ok(sim.asleep, 'asleep with DTR high');
+    return gprs.wake();
+  }).then(function () {
+    t.equal(sim.dtr.read(), 0, 'DTR low');
+    t.equal(sim.sleepMode, 0, 'slow clock off');
+    t.equal(sim.asleep, false, 'awake');
+    return gprs.sleep(3);
+  }).catch(function (err) {
+    t.ok(/Invalid sleep mode/.test(err.message), 'only modes 1 and 2');
+    t.end();
+  });
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.end();
+});
+
+test('the signal isn\'t polled while asleep', function (t) {
+  var polling = new FakeSIM900({sleepDelay: 1500});
+  var radio = gprslib.use(polling.stream(), {signalInterval: 100}, function (err) {
+    t.equal(err, null, 'ready');
+    var polls = 0;
+    var write = radio.uart.write;
+    radio.uart.write = function (data) {
+      if (String(data) === 'AT+CSQ') {
+        polls++;
+      }
+      return write.apply(this, arguments);
+    };
+    radio.sleep(function (err) {
+      t.equal(err, null, 'asleep');
+      polls = 0;
+      setTimeout(function () {
+        t.equal(polls, 0, 'no AT+CSQ');
+        t.ok(polling.asleep, 'so it stayed asleep');
+        radio.wake(function (err) {
+          t.equal(err, null, 'awake');
+          setTimeout(function () {
+            t.ok(polls > 0, 'polling again');
+            radio.disable();
+            t.end();
+          }, 250);
+        });
+      }, 1600);
+    });
+  });
+});
+
+test('a module that is slow to answer is not turned off', function (t) {
+  var slow = new FakeSIM900({powerKeyMs: 10});
+  var pressed = 0;
+  slow.script('AT', [], 1);
+  var radio = gprslib.use(slow.port, {signalInterval: 0, power: function (callback) {
+    pressed++;
+    callback();
+  }}, function (err) {
+    t.equal(err, null, 'ready');
+    t.equal(pressed, 0, 'asked again rather than pressing the key');
+    t.ok(slow.powered, 'still on');
+    radio.disable();
+    t.end();
+  });
+});
+
+test('nor is one whose STATUS pin says it is on', function (t) {
+  var slow = new FakeSIM900();
+  var pressed = 0;
+  slow.script('AT', [], 2);
+  var radio = gprslib.use(slow.port, {signalInterval: 0, status: {read: function () {
+    return 1;
+  }}, power: function (callback) {
+    pressed++;
+    callback();
+  }}, function (err) {
+    t.equal(err, null, 'ready');
+    t.equal(pressed, 0, 'never pressed');
+    radio.disable();
+    t.end();
+  });
+});
+
+test('powerOn needs a power adapter to turn the module on', function (t) {
+  var off = new FakeSIM900();
+  var radio = gprslib.use(off.stream(), {signalInterval: 0}, function (err) {
+    t.equal(err, null, 'ready');
+    radio.powerOff().then(function () {
+      t.equal(off.powered, false, 'off');
+      return radio.powerOn();
+    }).catch(function (err) {
+      t.ok(/no power adapter/.test(err.message), 'says why');
+      radio.disable();
+      t.end();
+    });
+  });
+});
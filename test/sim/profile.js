@@ -0,0 +1,106 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+
+var sim = new FakeSIM900({powerKeyMs: 10});
+var gprs;
+var report;
+
+// Presses the fake's power key
+function press (callback) {
+  sim.powerKey.low();
+  setTimeout(function () {
+    sim.powerKey.high();
+    callback();
+  }, 20);
+}
+
+test('setup runs the profile', function (t) {
+  gprs = gprslib.use(sim.port, {
+    signalInterval: 0,
+    power: press,
+    init: [
+      'ATE0',
+      'AT+CLTS=1',
+      {command: 'AT+CSQ', expect: /^\+CSQ: /},
+      {command: 'AT+CGMI', expect: ['Nokia', 'OK']},
+      {command: 'AT+CLTS=7', patience: 500}
+    ]
+  });
+  gprs.once('ready', function (data, payload) {
+    t.equal(data[data.length - 1], 'OK', 'the AT reply first, as before');
+    report = payload;
+    t.end();
+  });
+});
+
+test('each step is reported in the ready event', function (t) {
+  t.deepEqual(report.init.map(function (result) {
+    return result.command + ' ' + result.ok;
+  }), ['ATE0 true', 'AT+CLTS=1 true', 'AT+CSQ true', 'AT+CGMI false', 'AT+CLTS=7 false'], 'in order');
+  t.equal(report.failures.length, 2, 'failures');
+  t.equal(report.failures[0].err.type, 'unexpected', 'a reply without what it should have');
+  t.ok(/did not get Nokia/.test(report.failures[0].err.message), 'says what was missing');
+  t.ok(/AT\+CLTS=7 failed: AT\+CLTS=7 ERROR/.test(report.failures[1].err.message), 'the module\'s error');
+  t.equal(sim.clts, 1, 'the commands went through');
+  t.equal(gprs.initResults, report.init, 'kept');
+  t.end();
+});
+
+test('replies look the same with the echo off', function (t) {
+  t.equal(sim.echo, false, 'the module stopped echoing');
+  t.equal(gprs.postmaster.echo, false, 'and the Postmaster knows');
+  gprs._txrx('AT+CSQ', 2000, function (err, data) {
+    t.deepEqual(data, ['AT+CSQ', '+CSQ: 20,0', 'OK'], 'the command first');
+    gprs.sendSMS('+15555550100', 'Echo?', function (err) {
+      t.equal(err, null, 'prompts work too');
+      t.equal(sim.outbox[sim.outbox.length - 1].text, 'Echo?', 'sent');
+      t.end();
+    });
+  });
+});
+
+test('and the profile runs again after a power cycle', function (t) {
+  gprs.powerOff().then(function () {
+    gprs.once('ready', function (data, payload) {
+      t.equal(payload.init.length, 5, 'the profile ran');
+      t.equal(sim.commands.filter(function (command) {
+        return command === 'ATE0';
+      }).length, 2, 'turning the echo off again');
+      t.equal(sim.echo, false, 'echo off');
+      t.end();
+    });
+    return gprs.powerOn();
+  });
+});
+
+test('and again when the module restarts on its own', function (t) {
+  var readies = 0;
+  var onReady = function () {
+    readies++;
+  };
+  gprs.on('ready', onReady);
+  gprs.once('ready', function (data, payload) {
+    t.deepEqual(data, ['RDY'], 'with what set it off');
+    t.equal(payload.init.length, 5, 'the profile ran');
+    t.equal(sim.cmee, 1, 'the driver\'s own settings are back');
+    t.equal(sim.echo, false, 'and the profile\'s');
+    setTimeout(function () {
+      t.equal(readies, 1, 'once');
+      gprs.removeListener('ready', onReady);
+      t.end();
+    }, 50);
+  });
+  sim.restart();
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.throws(function () {
+    gprslib.use(new FakeSIM900().port, {init: [{expect: 'OK'}]});
+  }, /Not an init step/, 'a step needs a command');
+  t.end();
+});
@@ -0,0 +1,143 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+
+var sim = new FakeSIM900();
+var gprs;
+
+test('ready() resolves once contact is made', function (t) {
+  gprs = gprslib.use(sim.port);
+  gprs.ready().then(function (radio) {
+    t.equal(radio, gprs, 'resolves to the GPRS object');
+    return gprs.ready();
+  }).then(function (radio) {
+    t.equal(radio, gprs, 'resolves again when already ready');
+    t.end();
+  });
+});
+
+test('ready() takes a callback too', function (t) {
+  gprs.ready(function (err, radio) {
+    t.equal(err, null, 'no error');
+    t.equal(radio, gprs, 'gets the GPRS object');
+    t.end();
+  });
+});
+
+test('ready() rejects when contact fails', function (t) {
+  var radio = new gprslib.GPRS(new FakeSIM900().port);
+  //  Fail outright rather than time out, so there are no power toggles
+  radio._txrx = function (message, patience, callback) {
+    setImmediate(callback, new Error('garbled'), []);
+  };
+  radio.on('error', function () {});
+  radio._establishContact();
+  radio.ready().then(function () {
+    t.fail('should not resolve');
+    t.end();
+  }, function (err) {
+    t.ok(err instanceof Error, 'rejects with an error');
+    radio.disable();
+    t.end();
+  });
+});
+
+test('_txrx returns a Promise for the reply', function (t) {
+  gprs._txrx('AT+CSQ', 1000).then(function (data) {
+    t.deepEqual(data, ['AT+CSQ', '+CSQ: 20,0', 'OK'], 'got the reply');
+    t.end();
+  });
+});
+
+test('_txrx rejects on timeout', function (t) {
+  sim.script('AT+CSQ', [], 1);
+  gprs._txrx('AT+CSQ', 100).catch(function (err) {
+    t.equal(err.type, 'timeout', 'timed out');
+    t.end();
+  });
+});
+
+test('_txrx Promises can be cancelled', function (t) {
+  gprs._txrx('AT');
+  var pending = gprs._txrx('AT+CSQ', 1000);
+  pending.cancel();
+  pending.catch(function (err) {
+    t.equal(err.type, 'cancelled', 'rejects as cancelled');
+    t.end();
+  });
+});
+
+test('sendSMS resolves to the message IDs', function (t) {
+  gprs.sendSMS('15555551234', 'promised').then(function (ids) {
+    t.deepEqual(ids, [1], 'got the ID');
+    t.end();
+  });
+});
+
+test('sendSMS rejects when the module refuses the message', function (t) {
+  sim.script(/\x1a$/, ['ERROR'], 1);
+  gprs.sendSMS('15555551234', 'refused').catch(function (err) {
+    t.ok(err instanceof Error, 'rejects with an error');
+    t.end();
+  });
+});
+
+test('sendSMS rejects without a number', function (t) {
+  gprs.sendSMS('', 'nobody').catch(function (err) {
+    t.ok(err instanceof Error, 'rejects with an error');
+    t.end();
+  });
+});
+
+test('readSMS resolves to the message', function (t) {
+  sim.receiveSMS('+15555551234', 'read me');
+  gprs.readSMS(1).then(function (message) {
+    t.equal(message.index, 1, 'got the message');
+    t.equal(message.text, 'read me', 'got the text');
+    t.equal(sim.inbox[0].status, 'REC READ', 'message is now read');
+    t.end();
+  });
+});
+
+test('readSMS can delete the message after reading it', function (t) {
+  gprs.readSMS(1, 1, 1, function (err, message) {
+    t.equal(err, null, 'no error');
+    t.equal(message.text, 'read me', 'got the text');
+    t.equal(sim.inbox.length, 0, 'message deleted');
+    t.end();
+  });
+});
+
+test('dial, answerCall and hangUp return Promises', function (t) {
+  var onCall = function (call) {
+    if (call.state === 'alerting') {
+      gprs.removeListener('call', onCall);
+      sim.answer();
+    }
+  };
+  gprs.on('call', onCall);
+  gprs.dial('15555551234').then(function (call) {
+    t.equal(call.state, 'active', 'dialed and answered');
+    return gprs.hangUp();
+  }).then(function (data) {
+    t.deepEqual(data, ['ATH', 'OK'], 'hung up');
+    sim.ringing = true;
+    return gprs.answerCall();
+  }).then(function (data) {
+    t.deepEqual(data, ['ATA', 'OK'], 'answered');
+    return gprs.hangUp();
+  }).then(function () {
+    return gprs.dial('').catch(function (err) {
+      t.ok(err instanceof Error, 'dial rejects without a number');
+      t.end();
+    });
+  });
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.end();
+});
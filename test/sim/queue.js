@@ -0,0 +1,141 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+var pdu = require('../../pdu.js');
+
+var sim = new FakeSIM900({latency: 20});
+var gprs;
+
+test('setup', function (t) {
+  gprs = gprslib.use(sim.port, function (err) {
+    t.equal(err, null, 'ready');
+    t.end();
+  });
+});
+
+test('commands sent while one is in flight are queued in order', function (t) {
+  var replies = [];
+  var done = function () {
+    if (replies.length === 3) {
+      t.deepEqual(replies, ['AT+CSQ', 'AT+CREG?', 'AT'], 'replies in order');
+      t.end();
+    }
+  };
+  ['AT+CSQ', 'AT+CREG?', 'AT'].forEach(function (command) {
+    gprs._txrx(command, 1000, function (err, data) {
+      t.equal(err, null, 'no error for ' + command);
+      replies.push(data[0]);
+      done();
+    });
+  });
+});
+
+test('higher priority commands go first', function (t) {
+  var order = [];
+  var record = function (err, data) {
+    order.push(data[0]);
+    if (order.length === 3) {
+      t.deepEqual(order, ['AT', 'AT+CSQ', 'AT+CREG?'], 'priority command jumped the queue');
+      t.end();
+    }
+  };
+  gprs._txrx('AT', 1000, record);
+  gprs._txrx('AT+CREG?', 1000, record);
+  gprs._txrx('AT+CSQ', 1000, record, null, {priority: 1});
+});
+
+test('patience starts when the command is written', function (t) {
+  var first = null;
+  gprs._txrx('AT+CSQ', 1000, function (err) {
+    first = err;
+  });
+  //  Far less patience than the wait in the queue behind three commands
+  sim.latency = 60;
+  gprs._txrx('AT', 1000);
+  gprs._txrx('AT', 1000);
+  gprs._txrx('AT+CREG?', 100, function (err, data) {
+    t.equal(first, null, 'first command answered');
+    t.equal(err, null, 'no timeout while queued');
+    t.ok(/^\+CREG: \d,1/.test(data[1]), 'got the reply');
+    sim.latency = 20;
+    t.end();
+  });
+});
+
+test('a command that is not answered times out and the queue moves on', function (t) {
+  sim.script('AT+CSQ', [], 1);
+  gprs._txrx('AT+CSQ', 200, function (err, data) {
+    t.ok(err instanceof Error, 'got an error');
+    t.equal(err.type, 'timeout', 'timed out');
+    t.deepEqual(data, [], 'no data');
+  });
+  gprs._txrx('AT', 1000, function (err, data) {
+    t.equal(err, null, 'next command went through');
+    t.deepEqual(data, ['AT', 'OK'], 'with its reply');
+    t.end();
+  });
+});
+
+test('a queued command can be cancelled', function (t) {
+  var sent = sim.commands.length;
+  gprs._txrx('AT', 1000, function () {
+    t.deepEqual(sim.commands.slice(sent), ['AT'], 'cancelled command never written');
+    t.end();
+  });
+  var handle = gprs._txrx('AT+CSQ', 1000, function (err) {
+    t.equal(err.type, 'cancelled', 'callback gets a cancelled error');
+  });
+  handle.cancel();
+});
+
+test('the command in flight can be cancelled', function (t) {
+  var handle = gprs._txrx('AT+CSQ', 1000, function (err, data) {
+    t.equal(err.type, 'cancelled', 'callback gets a cancelled error');
+    t.deepEqual(data, [], 'no data');
+  });
+  gprs._txrx('AT', 1000, function (err, data) {
+    t.equal(err, null, 'next command went through');
+    t.end();
+  });
+  handle.cancel();
+});
+
+test('the queue has a maximum length', function (t) {
+  var max = gprs.postmaster.maxQueue;
+  var full = null;
+  var answered = 0;
+  for (var i = 0; i <= max + 1; i++) {
+    gprs._txrx('AT', 1000, function (err) {
+      if (err && err.type === 'full') {
+        full = err;
+      } else {
+        answered++;
+      }
+      if (answered === max + 1) {
+        t.ok(full instanceof Error, 'one command was turned away');
+        t.end();
+      }
+    });
+  }
+});
+
+test('the steps of an SMS are not interleaved with other commands', function (t) {
+  var sent = sim.commands.length;
+  gprs.sendSMS('15555551234', 'queued', function (err, data) {
+    t.deepEqual(data, [1], 'sent');
+  });
+  gprs._txrx('AT+CSQ', 1000, function (err) {
+    t.equal(err, null, 'no error');
+    var part = pdu.encodeSubmit('15555551234', 'queued')[0];
+    t.deepEqual(sim.commands.slice(sent), ['AT+CMGF=0', 'AT+CMGS=' + part.length, part.pdu + '\x1a', 'AT+CSQ'], 'SMS went out in full first');
+    t.end();
+  });
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.end();
+});
@@ -0,0 +1,177 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var stream = require('stream');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+var recorder = require('../../recorder.js');
+
+var sim = new FakeSIM900();
+var gprs;
+var log = '';
+var session;
+
+// Collects what the recorder writes
+var sink = new stream.Writable({
+  write: function (chunk, encoding, callback) {
+    log += chunk;
+    callback();
+  }
+});
+
+test('setup records the session', function (t) {
+  gprs = gprslib.use(sim.port, {signalInterval: 0, record: sink}, function (err) {
+    t.equal(err, null, 'ready');
+    gprs._txrx('AT+CSQ', 2000, function (err, data) {
+      t.deepEqual(data, ['AT+CSQ', '+CSQ: 20,0', 'OK'], 'a command of our own');
+      gprs.disable();
+      t.end();
+    });
+  });
+});
+
+test('the recording is JSON lines of tx and rx', function (t) {
+  session = recorder.parse(log);
+  t.ok(session.length > 10, 'one line per write and per chunk');
+  t.equal(session[0].dir, 'tx', 'starts with what we sent');
+  t.equal(session[0].data.toString(), 'AT', 'contact');
+  t.ok(session.every(function (entry) {
+    return typeof entry.time === 'number' && Buffer.isBuffer(entry.data);
+  }), 'timestamped');
+  var replies = session.filter(function (entry) {
+    return entry.dir === 'rx' && /\+CSQ: 20,0/.test(entry.data.toString());
+  });
+  t.ok(replies.length > 0, 'with what the module said');
+  t.end();
+});
+
+test('PINs are kept out of the recording', function (t) {
+  var text = '';
+  var locked = new FakeSIM900({pin: '4321'});
+  var radio = gprslib.use(locked.port, {signalInterval: 0, pin: 4321, record: {write: function (line) {
+    text += line;
+  }}}, function (err) {
+    t.equal(err, null, 'ready');
+    t.equal(radio.simState, 'READY', 'unlocked');
+    radio.changePin('4321', '87654321', function (err) {
+      t.equal(err, null, 'changed');
+      radio.disable();
+      t.ok(/AT\+CPIN=\\"\*\*\*\*\\"/.test(text), 'the command is there');
+      t.ok(/AT\+CPWD=\\"SC\\",\\"\*\*\*\*\\",\\"\*{8}\\"/.test(text), 'blanked out, digit for digit');
+      t.equal(text.indexOf('4321'), -1, 'no PIN');
+      t.equal(text.indexOf('87654321'), -1, 'no new PIN either');
+      t.end();
+    });
+  });
+});
+
+test('binary data survives the trip', function (t) {
+  var bytes = new Buffer([0x00, 0x0d, 0x0a, 0x22, 0x5c, 0x80, 0xff]);
+  var text = '';
+  var uart = new (require('events').EventEmitter)();
+  uart.write = function () {};
+  var recording = recorder.record(uart, {write: function (line) {
+    text += line;
+  }});
+  uart.emit('data', bytes);
+  uart.write(bytes);
+  recording.stop();
+  uart.emit('data', bytes);
+  var entries = recorder.parse(text);
+  t.equal(entries.length, 2, 'nothing after stop');
+  t.deepEqual(entries[0].data, bytes, 'rx');
+  t.deepEqual(entries[1].data, bytes, 'tx');
+  t.end();
+});
+
+test('a recorder follows a reopened UART', function (t) {
+  var EventEmitter = require('events').EventEmitter;
+  var text = '';
+  var first = new EventEmitter();
+  var second = new EventEmitter();
+  first.write = second.write = function () {};
+  var recording = recorder.record(first, {write: function (line) {
+    text += line;
+  }});
+  recording.move(second);
+  first.emit('data', 'old');
+  second.emit('data', 'new');
+  second.write('AT');
+  recording.stop();
+  t.deepEqual(recorder.parse(text).map(function (entry) {
+    return entry.dir + ' ' + entry.data.toString();
+  }), ['rx new', 'tx AT'], 'only the new one');
+  t.end();
+});
+
+test('a replay runs the session again', function (t) {
+  var replay = new recorder.Replay(session, {fast: true});
+  var ended = false;
+  replay.on('end', function () {
+    ended = true;
+  });
+  var again = gprslib.use(replay.port, {signalInterval: 0}, function (err) {
+    t.equal(err, null, 'ready');
+    again._txrx('AT+CSQ', 2000, function (err, data) {
+      t.deepEqual(data, ['AT+CSQ', '+CSQ: 20,0', 'OK'], 'the same reply');
+      setImmediate(function () {
+        t.ok(ended, 'to the end');
+        t.deepEqual(replay.mismatches, [], 'the driver wrote what it did the first time');
+        again.disable();
+        t.end();
+      });
+    });
+  });
+});
+
+test('replays keep the timing unless told not to', function (t) {
+  var entries = recorder.parse([
+    '{"time":1000,"dir":"tx","data":"AT\\r\\n"}',
+    '{"time":1100,"dir":"rx","data":"AT\\r\\r\\nOK\\r\\n"}'
+  ].join('\n'));
+  var replay = new recorder.Replay(entries);
+  var started;
+  replay.on('data', function (data) {
+    t.equal(data.toString(), 'AT\r\r\nOK\r\n', 'the reply');
+    t.ok(Date.now() - started >= 90, 'after the gap it had');
+    t.end();
+  });
+  setTimeout(function () {
+    started = Date.now();
+    replay.write('AT');
+    replay.write('\r\n');
+  }, 20);
+});
+
+test('writes that differ from the recording are mismatches', function (t) {
+  var entries = recorder.parse('{"time":0,"dir":"tx","data":"AT+CSQ\\r\\n"}\n{"time":0,"dir":"rx","data":"OK\\r\\n"}\n');
+  var replay = new recorder.Replay(entries, {fast: true});
+  replay.on('mismatch', function (mismatch) {
+    t.equal(mismatch.expected.toString(), 'AT+CSQ\r\n', 'expected');
+    t.equal(mismatch.actual.toString(), 'AT+CREG?', 'actual, as many bytes as expected');
+    replay.on('data', function (data) {
+      t.equal(data.toString(), 'OK\r\n', 'and carries on');
+      t.end();
+    });
+  });
+  replay.write('AT+CREG?');
+});
+
+test('recording to a file', function (t) {
+  var file = path.join(os.tmpdir(), 'gprs-sim900-recording-' + process.pid + '.jsonl');
+  var other = new FakeSIM900();
+  var radio = gprslib.use(other.port, {signalInterval: 0, record: file}, function (err) {
+    t.equal(err, null, 'ready');
+    radio.disable();
+    radio.recorder.stream.on('finish', function () {
+      var entries = recorder.load(file);
+      fs.unlinkSync(file);
+      t.equal(entries[0].data.toString(), 'AT', 'read back');
+      t.end();
+    });
+  });
+});
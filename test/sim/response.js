@@ -0,0 +1,108 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+var response = require('../../response.js');
+
+var sim = new FakeSIM900();
+var gprs;
+
+test('parse splits information lines into values', function (t) {
+  t.deepEqual(response.parse('+CSQ: 20,0'), [20, 0], 'numbers');
+  t.deepEqual(response.parse('+CPMS: "SM",3,30,"SM",3,30'), ['SM', 3, 30, 'SM', 3, 30], 'quoted strings lose their quotes');
+  t.deepEqual(response.parse('+CPBR: 1,"+15555550100",145,"Smith, J"'), [1, '+15555550100', 145, 'Smith, J'], 'commas in quotes');
+  t.deepEqual(response.parse('+CPBR: (1-250),40,14'), ['(1-250)', 40, 14], 'ranges');
+  t.deepEqual(response.parse('+CNUM: "","15555550100",129'), ['', '15555550100', 129], 'numbers in quotes stay Strings');
+  t.deepEqual(response.parse('+CMT: ,24'), [null, 24], 'empty values are null');
+  t.deepEqual(response.parse('+CREG: 2,1,"1A2B","00C3"', ['n', 'stat', 'lac', 'ci']), {n: 2, stat: 1, lac: '1A2B', ci: '00C3'}, 'named');
+  t.deepEqual(response.parse('+CSQ: 20', ['rssi', 'ber']), {rssi: 20, ber: null}, 'missing names are null');
+  t.equal(response.parse('OK'), null, 'not an information line');
+  t.end();
+});
+
+test('find picks lines out of a reply', function (t) {
+  var reply = ['AT+CPBR=1,3', '+CPBR: 1,"5550100",129,"A"', '+CPBR: 3,"5550103",129,"C"', 'OK'];
+  t.deepEqual(response.find(reply, '+CPBR', ['index', 'number']), [{index: 1, number: '5550100'}, {index: 3, number: '5550103'}], 'each line');
+  t.deepEqual(response.find(reply, '+CMGS'), [], 'nothing');
+  t.deepEqual(response.find(null, '+CMGS'), [], 'no reply');
+  t.end();
+});
+
+test('error types +CME and +CMS errors', function (t) {
+  var err = response.error('AT+CPBR=300', ['AT+CPBR=300', '+CME ERROR: 21']);
+  t.ok(err instanceof response.CMEError, 'CMEError');
+  t.ok(err instanceof Error, 'an Error');
+  t.equal(err.code, 21, 'code');
+  t.equal(err.name, 'invalid index', 'name');
+  t.equal(err.command, 'AT+CPBR=300', 'command');
+  t.equal(err.message, 'AT+CPBR=300 failed: +CME ERROR: 21 (invalid index)', 'message');
+
+  err = response.error('AT+CMGR=99', ['+CMS ERROR: 321']);
+  t.ok(err instanceof response.CMSError, 'CMSError');
+  t.equal(err.code, 321, 'code');
+  t.equal(err.name, 'invalid memory index', 'name');
+
+  err = response.error('AT+CPIN?', ['+CME ERROR: SIM not inserted']);
+  t.equal(err.code, 10, 'verbose errors get their code back');
+  t.equal(response.error('AT', ['+CME ERROR: 999']).name, 'CME ERROR 999', 'unknown codes');
+
+  err = response.error('AT+FOO', ['AT+FOO', 'ERROR']);
+  t.equal(err instanceof response.CMEError, false, 'a bare ERROR is a plain Error');
+  t.equal(err.message, 'AT+FOO failed: AT+FOO ERROR', 'with the reply');
+  t.end();
+});
+
+test('setup turns on numeric errors', function (t) {
+  gprs = gprslib.use(sim.port, {signalInterval: 0}, function (err) {
+    t.equal(err, null, 'ready');
+    t.equal(sim.cmee, 1, 'AT+CMEE=1');
+    t.end();
+  });
+});
+
+test('+CME ERROR ends a reply that wants something else', function (t) {
+  sim.script('AT+CIPSTATUS', ['+CME ERROR: 3'], 1);
+  var started = Date.now();
+  gprs._txrx('AT+CIPSTATUS', 5000, function (err, data) {
+    t.equal(err, null, 'no timeout');
+    t.deepEqual(data, ['AT+CIPSTATUS', '+CME ERROR: 3'], 'the reply');
+    t.ok(Date.now() - started < 1000, 'right away');
+    t.end();
+  }, [['AT+CIPSTATUS'], [/^STATE: /]]);
+});
+
+test('commands fail with typed errors', function (t) {
+  gprs.phonebook.read(251, function (err) {
+    t.ok(err instanceof response.CMEError, 'CMEError');
+    t.equal(err.code, 21, 'code');
+    t.equal(err.command, 'AT+CPBR=251', 'command');
+    t.end();
+  });
+});
+
+test('texts fail with +CMS ERROR codes', function (t) {
+  sim.script(/\x1a$/, ['+CMS ERROR: 500'], 1);
+  gprs.sendSMS('+15555550100', 'Nope', function (err) {
+    t.ok(err instanceof response.CMSError, 'CMSError');
+    t.equal(err.code, 500, 'code');
+    t.equal(err.name, 'unknown error', 'name');
+    t.end();
+  });
+});
+
+test('verbose errors', function (t) {
+  sim.cmee = 2;
+  gprs.phonebook.read(251, function (err) {
+    t.equal(err.code, 21, 'code from the text');
+    t.ok(/\+CME ERROR: invalid index/.test(err.message), 'message');
+    sim.cmee = 1;
+    t.end();
+  });
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.end();
+});
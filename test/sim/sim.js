@@ -0,0 +1,127 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+
+//  One module that boots unattended with its PIN, one that waits for us
+var unattended = new FakeSIM900({pin: '4321'});
+var locked = new FakeSIM900({pin: '4321'});
+var gprs;
+
+test('the PIN passed to use() unlocks the SIM before anything else is set up', function (t) {
+  var states = [];
+  gprs = gprslib.use(unattended.port, {pin: 4321, signalInterval: 0}, function (err) {
+    t.equal(err, null, 'ready');
+    t.deepEqual(states, ['SIM PIN', 'READY'], 'emitted sim events');
+    t.equal(gprs.simState, 'READY', 'simState');
+    var unlock = unattended.commands.indexOf('AT+CPIN="4321"');
+    t.ok(unlock > unattended.commands.indexOf('AT+CPIN?'), 'checked, then unlocked');
+    t.ok(unattended.commands.indexOf('AT+CMGF=0') > unlock, 'set up texts after');
+    gprs.disable();
+    t.end();
+  });
+  gprs.on('sim', function (state) {
+    states.push(state);
+  });
+});
+
+test('a locked SIM is reported, and setup carries on without it', function (t) {
+  gprs = gprslib.use(locked.port, {signalInterval: 0});
+  gprs.once('sim', function (state, previous) {
+    t.equal(state, 'SIM PIN', 'asks for the PIN');
+    t.equal(previous, null, 'nothing before');
+  });
+  gprs.on('ready', function () {
+    t.equal(gprs.simState, 'SIM PIN', 'still locked');
+    t.end();
+  });
+});
+
+test('bad PINs are refused without being repeated', function (t) {
+  gprs.unlock('12', function (err, state) {
+    t.ok(/Invalid PIN/.test(err.message), 'too short');
+    t.equal(state, 'SIM PIN', 'unchanged');
+    gprs.unlock('0000').catch(function (err) {
+      t.equal(err.code, 16, '+CME ERROR code');
+      t.ok(/incorrect password/.test(err.message), 'says why');
+      t.equal(err.message.indexOf('0000'), -1, 'keeps the PIN out of the message');
+      t.equal(locked.pinAttempts, 2, 'cost an attempt');
+      t.end();
+    });
+  });
+});
+
+test('nor when the module doesn\'t answer', function (t) {
+  locked.script('AT+CPIN="9876"', [], 1);
+  gprs.unlock('9876', function (err, state) {
+    t.equal(err.type, 'timeout', 'timed out');
+    t.ok(/no reply after 10000 ms to message "AT\+CPIN="\*\*\*\*""/.test(err.message), 'says to what');
+    t.equal(err.message.indexOf('9876'), -1, 'keeps the PIN out of the message');
+    t.equal(err.stack.indexOf('9876'), -1, 'and the stack');
+    t.equal(state, 'SIM PIN', 'still locked');
+    t.end();
+  });
+});
+
+test('unlock readies the SIM and sets up what needed it', function (t) {
+  var before = locked.commands.length;
+  gprs.unlock('4321').then(function (state) {
+    t.equal(state, 'READY', 'resolves with the state');
+    t.equal(gprs.simState, 'READY', 'simState');
+    t.ok(locked.commands.slice(before).indexOf('AT+CNMI=2,1,0,1,0') > -1, 'texts set up again');
+    t.end();
+  });
+});
+
+test('changePin and setPinLock', function (t) {
+  gprs.changePin('4321', '5678', function (err) {
+    t.equal(err, null, 'changed');
+    t.equal(locked.pin, '5678', 'new PIN');
+    gprs.setPinLock(false, '5678').then(function () {
+      t.equal(locked.pinLock, false, 'PIN lock off');
+      return gprs.setPinLock(true, '9999');
+    }).catch(function (err) {
+      t.equal(err.code, 16, 'wrong PIN');
+      t.equal(locked.pinLock, false, 'still off');
+      t.end();
+    });
+  });
+});
+
+test('too many wrong PINs need the PUK', function (t) {
+  locked.pinLock = true;
+  locked.insertSIM();
+  gprs.unlock('0000', function () {
+    gprs.unlock('0000', function () {
+      gprs.unlock('0000', function (err, state) {
+        t.equal(state, 'SIM PUK', 'blocked');
+        t.equal(gprs.simState, 'SIM PUK', 'simState');
+        gprs.unlockWithPuk('12345678', '2468', function (err, state) {
+          t.equal(err, null, 'unblocked');
+          t.equal(state, 'READY', 'ready');
+          t.equal(locked.pin, '2468', 'with the new PIN');
+          t.end();
+        });
+      });
+    });
+  });
+});
+
+test('pulling the SIM out is reported', function (t) {
+  gprs.once('sim', function (state) {
+    t.equal(state, 'NOT READY', 'unsolicited +CPIN');
+    gprs.unlock('2468', function (err, state) {
+      t.ok(err, 'nothing to unlock');
+      t.equal(state, 'NOT INSERTED', 'checked again');
+      t.end();
+    });
+  });
+  locked.removeSIM();
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.end();
+});
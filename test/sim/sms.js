@@ -0,0 +1,181 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+
+var sim = new FakeSIM900();
+var gprs;
+
+test('setup', function (t) {
+  gprs = gprslib.use(sim.port, function (err) {
+    t.equal(err, null, 'ready');
+    t.end();
+  });
+});
+
+test('sendSMS sends the text and returns its reference', function (t) {
+  gprs.sendSMS('15555551234', 'hello there', function (err, data) {
+    t.equal(err, null, 'no error');
+    t.deepEqual(data, [1], 'reference from +CMGS');
+    t.equal(sim.outbox.length, 1, 'one message sent');
+    t.equal(sim.outbox[0].number, '15555551234', 'to the right number');
+    t.equal(sim.outbox[0].text, 'hello there', 'with the right text');
+    t.ok(sim.commands.indexOf('AT+CMGF=0') > -1, 'in PDU mode');
+    t.end();
+  });
+});
+
+test('sendSMS sends text outside the GSM alphabet as Unicode', function (t) {
+  gprs.sendSMS('+15555551234', 'Привет, мир', function (err, data) {
+    t.equal(err, null, 'no error');
+    t.equal(data.length, 1, 'one part');
+    var sent = sim.outbox[sim.outbox.length - 1];
+    t.equal(sent.number, '+15555551234', 'to the international number');
+    t.equal(sent.encoding, 'ucs2', 'as UCS2');
+    t.equal(sent.text, 'Привет, мир', 'with the right text');
+    t.end();
+  });
+});
+
+test('sendSMS splits long text and returns every reference', function (t) {
+  var text = new Array(51).join('0123456789') + ' {the end}';
+  var before = sim.outbox.length;
+  gprs.sendSMS('15555551234', text, function (err, data) {
+    t.equal(err, null, 'no error');
+    var sent = sim.outbox.slice(before);
+    t.equal(sent.length, 4, 'sent in four parts');
+    t.deepEqual(data, sent.map(function (part) {
+      return part.reference;
+    }), 'one reference per part');
+    t.ok(sent.every(function (part, i) {
+      return part.concat.total === 4 && part.concat.sequence === i + 1 && part.concat.reference === sent[0].concat.reference;
+    }), 'parts are numbered under one reference');
+    t.equal(sent.map(function (part) {
+      return part.text;
+    }).join(''), text, 'parts join back into the text');
+    t.end();
+  });
+});
+
+test('readSMS decodes a message read in PDU mode', function (t) {
+  var index = sim.receiveSMS('+15551234567', 'ça coûte 5€ [ok]', '14/07/01,12:00:00+08');
+  gprs.readSMS(index, 1, function (err, message) {
+    t.equal(err, null, 'no error');
+    t.equal(message.index, index, 'index');
+    t.equal(message.status, 'REC UNREAD', 'left unread');
+    t.equal(message.sender, '+15551234567', 'sender');
+    t.equal(message.timestamp.getTime(), Date.UTC(2014, 6, 1, 10, 0, 0), 'timestamp as a Date');
+    t.equal(message.text, 'ça coûte 5€ [ok]', 'text decoded');
+    t.end();
+  });
+});
+
+test('readSMS gives null for an empty slot', function (t) {
+  gprs.readSMS(20, function (err, message) {
+    t.equal(err, null, 'no error');
+    t.equal(message, null, 'no message');
+    t.end();
+  });
+});
+
+test('listSMS lists messages matching the filter', function (t) {
+  sim.inbox = [];
+  sim.receiveSMS('+15550000001', 'first');
+  sim.receiveSMS('+15550000002', 'second');
+  sim.inbox[0].status = 'REC READ';
+  gprs.listSMS('REC UNREAD', function (err, messages) {
+    t.equal(err, null, 'no error');
+    t.equal(messages.length, 1, 'only the unread one');
+    t.equal(messages[0].index, 2, 'with its index');
+    t.equal(messages[0].text, 'second', 'and text');
+    t.equal(sim.inbox[1].status, 'REC READ', 'now marked read');
+    gprs.listSMS(function (err, messages) {
+      t.equal(err, null, 'no error');
+      t.deepEqual(messages.map(function (message) {
+        return [message.index, message.status, message.sender];
+      }), [[1, 'REC READ', '+15550000001'], [2, 'REC READ', '+15550000002']], 'lists all by default');
+      t.end();
+    });
+  });
+});
+
+test('listSMS rejects unknown filters', function (t) {
+  gprs.listSMS('UNREAD').catch(function (err) {
+    t.ok(/Unknown SMS filter/.test(err.message), 'got an error');
+    t.end();
+  });
+});
+
+test('listSMS handles more messages than a reply usually holds', function (t) {
+  sim.inbox = [];
+  for (var i = 0; i < 30; i++) {
+    sim.receiveSMS('+15550000001', 'message ' + i);
+  }
+  gprs.listSMS('ALL', 1, function (err, messages) {
+    t.equal(err, null, 'no error');
+    t.equal(messages.length, 30, 'got them all');
+    t.equal(messages[29].text, 'message 29', 'in order');
+    t.end();
+  });
+});
+
+test('smsStorage reports how full the SIM is', function (t) {
+  gprs.smsStorage(function (err, storage) {
+    t.equal(err, null, 'no error');
+    t.deepEqual(storage, {memory: 'SM', used: 30, total: 30}, 'SIM is full');
+    t.end();
+  });
+});
+
+test('deleteSMS and deleteAllSMS clear messages', function (t) {
+  gprs.deleteSMS(1).then(function () {
+    t.equal(sim.inbox.length, 29, 'deleted one');
+    t.equal(sim.inbox[0].index, 2, 'the right one');
+    sim.inbox[0].status = 'REC READ';
+    return gprs.deleteAllSMS('READ');
+  }).then(function () {
+    t.equal(sim.inbox.length, 28, 'deleted the read one');
+    t.ok(sim.commands.indexOf('AT+CMGDA=1') > -1, 'with AT+CMGDA');
+    return gprs.deleteAllSMS();
+  }).then(function () {
+    t.equal(sim.inbox.length, 0, 'deleted the rest');
+    t.end();
+  });
+});
+
+test('deleteAllSMS falls back on AT+CMGD flags', function (t) {
+  sim.receiveSMS('+15550000001', 'old');
+  sim.script(/^AT\+CMGDA=/, ['ERROR'], 1);
+  gprs.deleteAllSMS('ALL', function (err) {
+    t.equal(err, null, 'no error');
+    t.equal(sim.commands[sim.commands.length - 1], 'AT+CMGD=1,4', 'deleted with a flag');
+    t.equal(sim.inbox.length, 0, 'all gone');
+    t.end();
+  });
+});
+
+test('sendSMS reports a failed submission', function (t) {
+  var before = sim.outbox.length;
+  sim.script(/\x1a$/, ['ERROR'], 1);
+  gprs.sendSMS('15555551234', 'will not go', function (err, data) {
+    t.ok(err instanceof Error, 'got an error');
+    t.deepEqual(data, [-1], 'no reference');
+    t.equal(sim.outbox.length, before, 'nothing more was sent');
+    t.end();
+  });
+});
+
+test('sendSMS requires a number', function (t) {
+  gprs.sendSMS('', 'nobody', function (err, data) {
+    t.ok(err instanceof Error, 'got an error');
+    t.equal(data, null, 'no data');
+    t.end();
+  });
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.end();
+});
@@ -0,0 +1,181 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+
+var sim = new FakeSIM900();
+var gprs;
+
+test('setup', function (t) {
+  gprs = gprslib.use(sim.port, function (err) {
+    t.equal(err, null, 'ready');
+    t.end();
+  });
+});
+
+test('connect opens a TCP connection', function (t) {
+  var socket = gprs.connect({host: 'example.com', port: 80}, function () {
+    t.ok(socket.connected, 'connected');
+    t.equal(gprs.socket, socket, 'GPRS object holds the socket');
+    t.equal(sim.connection.host, 'example.com', 'to the right host');
+    t.equal(sim.connection.port, 80, 'on the right port');
+    t.ok(sim.commands.indexOf('AT+CIPHEAD=1') > -1, 'with headers on incoming data');
+    t.end();
+  });
+});
+
+test('a second connection is refused', function (t) {
+  var second = gprs.connect({host: 'example.org', port: 80});
+  second.on('error', function (err) {
+    t.ok(err instanceof Error, 'got an error');
+    t.end();
+  });
+});
+
+test('writes go out with AT+CIPSEND', function (t) {
+  gprs.socket.write('GET / HTTP/1.0\r\n\r\n', function (err) {
+    t.ok(!err, 'no error');
+    t.equal(Buffer.concat(sim.connection.received).toString(), 'GET / HTTP/1.0\r\n\r\n', 'server got the bytes');
+    t.ok(sim.commands.indexOf('AT+CIPSEND=18') > -1, 'announced the length');
+    t.equal(gprs.socket.bytesWritten, 18, 'counted the bytes');
+    t.end();
+  });
+});
+
+test('large writes are split up', function (t) {
+  var big = new Buffer(2500);
+  big.fill(0x61);
+  sim.connection.received = [];
+  gprs.socket.write(big, function (err) {
+    t.ok(!err, 'no error');
+    t.equal(sim.connection.received.length, 3, 'in three pieces');
+    t.equal(Buffer.concat(sim.connection.received).length, 2500, 'all of it');
+    t.end();
+  });
+});
+
+test('incoming data is emitted byte for byte', function (t) {
+  var payload = new Buffer([0x48, 0x0d, 0x0a, 0x4f, 0x4b, 0x0d, 0x0a, 0xff, 0x00]);
+  var unsolicited = [];
+  var onUnsolicited = function (data) {
+    unsolicited.push(data);
+  };
+  gprs.postmaster.on('unsolicited', onUnsolicited);
+  gprs.socket.once('data', function (data) {
+    t.deepEqual(Array.prototype.slice.call(data), Array.prototype.slice.call(payload), 'exact bytes, line endings and all');
+    t.equal(gprs.socket.bytesRead, payload.length, 'counted the bytes');
+    //  Let anything trailing shake out
+    setImmediate(function () {
+      gprs.postmaster.removeListener('unsolicited', onUnsolicited);
+      t.deepEqual(unsolicited, [], 'none of it reached the Postmaster');
+      t.end();
+    });
+  });
+  sim.serverSend(payload);
+});
+
+test('incoming data does not disturb a command in flight', function (t) {
+  sim.script('AT+CSQ', function (command, match, s) {
+    s.serverSend('OK\r\n');
+    return ['+CSQ: 20,0', 'OK'];
+  }, 1);
+  var got = null;
+  gprs.socket.once('data', function (data) {
+    got = data.toString();
+  });
+  gprs._txrx('AT+CSQ', 1000, function (err, data) {
+    t.equal(err, null, 'no error');
+    t.deepEqual(data, ['AT+CSQ', '+CSQ: 20,0', 'OK'], 'reply intact');
+    t.equal(got, 'OK\r\n', 'data went to the socket');
+    t.end();
+  });
+});
+
+test('a remote close ends the socket', function (t) {
+  var socket = gprs.socket;
+  var ended = false;
+  socket.on('end', function () {
+    ended = true;
+  });
+  socket.on('close', function (hadError) {
+    t.ok(!hadError, 'closed cleanly');
+    t.equal(gprs.socket, null, 'GPRS object let go of the socket');
+    setImmediate(function () {
+      t.ok(ended, 'emitted end');
+      t.end();
+    });
+  });
+  socket.resume();
+  sim.serverClose();
+});
+
+test('a remote close in the middle of a command still ends the socket', function (t) {
+  var closed = false;
+  var socket = gprs.connect({host: 'example.com', port: 80}, function () {
+    sim.script('AT+CSQ', function (command, match, s) {
+      s.connection = null;
+      return ['+CSQ: 20,0', 'CLOSED', 'OK'];
+    }, 1);
+    gprs._txrx('AT+CSQ', 1000, function (err, data) {
+      t.deepEqual(data, ['AT+CSQ', '+CSQ: 20,0', 'OK'], 'reply intact');
+      setImmediate(function () {
+        t.ok(closed, 'closed');
+        t.equal(gprs.socket, null, 'GPRS object let go of the socket');
+        t.end();
+      });
+    });
+  });
+  socket.on('close', function (hadError) {
+    t.ok(!hadError, 'closed cleanly');
+    closed = true;
+  });
+  socket.resume();
+});
+
+test('end() closes the connection with AT+CIPCLOSE', function (t) {
+  var socket = gprs.connect({host: '10.0.0.1', port: 7000});
+  socket.on('connect', function () {
+    socket.end('bye');
+  });
+  socket.on('close', function (hadError) {
+    t.ok(!hadError, 'closed cleanly');
+    t.equal(sim.connection, null, 'module closed the connection');
+    t.ok(sim.commands.indexOf('AT+CIPCLOSE') > -1, 'with AT+CIPCLOSE');
+    t.end();
+  });
+});
+
+test('a failed connection emits an error and closes', function (t) {
+  sim.connectResult = 'CONNECT FAIL';
+  var socket = gprs.connect({host: 'unreachable', port: 1});
+  var failed = null;
+  socket.on('error', function (err) {
+    failed = err;
+  });
+  socket.on('close', function (hadError) {
+    t.ok(failed instanceof Error, 'got an error');
+    t.ok(hadError, 'closed with an error');
+    sim.connectResult = 'CONNECT OK';
+    t.end();
+  });
+});
+
+test('losing the GPRS context tears the socket down', function (t) {
+  var socket = gprs.connect({host: 'example.com', port: 80}, function () {
+    sim.inject('+PDP: DEACT');
+  });
+  socket.on('error', function (err) {
+    t.equal(err.type, 'deactivated', 'got a deactivated error');
+  });
+  socket.on('close', function (hadError) {
+    t.ok(hadError, 'closed with an error');
+    t.end();
+  });
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.end();
+});
@@ -0,0 +1,108 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+var transport = require('../../transport.js');
+
+test('use() takes a stream in place of a Tessel port', function (t) {
+  var sim = new FakeSIM900();
+  var duplex = sim.stream();
+  var gprs = gprslib.use(duplex, {signalInterval: 0}, function (err) {
+    t.equal(err, null, 'ready');
+    t.equal(gprs.uart, duplex, 'talks over the stream');
+    t.equal(gprs.power, null, 'no power control');
+    gprs._txrx('AT+CSQ', 2000, function (err, data) {
+      t.deepEqual(data, ['AT+CSQ', '+CSQ: 20,0', 'OK'], 'replies come back');
+      duplex.on('finish', function () {
+        t.ok(sim.uart.disabled, 'disable ends the stream');
+        t.end();
+      });
+      gprs.disable();
+    });
+  });
+});
+
+test('disable fails what was waiting, and anything sent after', function (t) {
+  var sim = new FakeSIM900();
+  var gprs = gprslib.use(sim.stream(), {signalInterval: 0}, function (err) {
+    t.equal(err, null, 'ready');
+    var errors = [];
+    var collect = function (err, data) {
+      errors.push(err.type);
+      t.deepEqual(data, [], 'no reply');
+    };
+    gprs._txrx('AT+CSQ', 2000, collect);
+    gprs._txrx('AT+CREG?', 2000, collect);
+    gprs._txrx('AT+CGMI', 2000, collect);
+    var written = sim.commands.length;
+    gprs.disable();
+    t.deepEqual(errors, ['disabled', 'disabled', 'disabled'], 'on the wire and queued');
+    gprs._txrx('AT', 2000, function (err) {
+      t.equal(err.type, 'disabled', 'later too');
+      setTimeout(function () {
+        t.equal(sim.commands.length, written, 'nothing more was written');
+        t.end();
+      }, 20);
+    });
+  });
+});
+
+test('a power hook turns the module on', function (t) {
+  var sim = new FakeSIM900({powered: false, powerKeyMs: 10});
+  var presses = 0;
+  var gprs = gprslib.use(sim.stream(), {
+    signalInterval: 0,
+    power: function (callback) {
+      presses++;
+      sim.powerKey.low();
+      setTimeout(function () {
+        sim.powerKey.high();
+        callback();
+      }, 20);
+    }
+  }, function (err) {
+    t.equal(err, null, 'ready');
+    t.equal(presses, 1, 'pressed once');
+    t.ok(sim.powered, 'module is on');
+    gprs.disable();
+    t.end();
+  });
+});
+
+test('togglePower does nothing without a way to press the key', function (t) {
+  var sim = new FakeSIM900();
+  var gprs = gprslib.use(sim.port, {signalInterval: 0, power: null}, function (err) {
+    t.equal(err, null, 'ready');
+    var toggled = false;
+    gprs.on('powerToggled', function () {
+      toggled = true;
+    });
+    gprs.togglePower().then(function () {
+      t.equal(toggled, false, 'no powerToggled');
+      t.equal(sim.powerKey.read(), null, 'the Tessel pin was left alone');
+      t.ok(sim.powered, 'still on');
+      gprs.disable();
+      t.end();
+    });
+  });
+});
+
+test('power adapters', function (t) {
+  var hook = function () {};
+  t.equal(transport.power(null), null, 'none');
+  t.equal(transport.power(hook).toggle, hook, 'a function is the toggle');
+  var adapter = {toggle: hook};
+  t.equal(transport.power(adapter), adapter, 'an adapter as it is');
+  var pin = new FakeSIM900().powerKey;
+  t.ok(transport.power(pin) instanceof transport.PinPower, 'a pin gets pulsed');
+  t.equal(pin.read(), 1, 'and starts high');
+  t.throws(function () {
+    transport.power({});
+  }, /Not a power adapter/, 'anything else');
+  t.throws(function () {
+    gprslib.use({});
+  }, /Not a Tessel port or a stream/, 'hardware has to be one or the other');
+  t.end();
+});
@@ -0,0 +1,201 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+
+var sim = new FakeSIM900();
+var gprs;
+
+test('setup', function (t) {
+  gprs = gprslib.use(sim.port, {signalInterval: 0}, function (err) {
+    t.equal(err, null, 'ready');
+    t.end();
+  });
+});
+
+test('+CMTI is parsed', function (t) {
+  gprs.onURC('+CMTI', function (stored, line) {
+    t.deepEqual(stored, {memory: 'SM', index: sim.inbox.length}, 'memory and index');
+    t.ok(/^\+CMTI: /.test(line), 'and the line');
+    gprs.offURC('+CMTI');
+    t.end();
+  });
+  sim.receiveSMS('+15555551234', 'hi');
+});
+
+test('+CREG is parsed', function (t) {
+  gprs.onURC('+CREG', null, function (registration) {
+    t.equal(registration.stat, 5, 'stat');
+    t.equal(registration.registered, true, 'registered');
+    t.equal(registration.roaming, true, 'roaming');
+    t.equal(registration.lac, 0x00C3, 'lac');
+    t.equal(registration.cellId, 0x1A2B, 'cell');
+    gprs.offURC('+CREG');
+    t.end();
+  });
+  sim.register(5, '00C3', '1A2B');
+});
+
+test('+CLIP is parsed', function (t) {
+  gprs.onURC('+CLIP', function (caller) {
+    t.equal(caller.number, '+15555550123', 'number');
+    t.equal(caller.type, 145, 'international');
+    t.equal(caller.name, null, 'no name');
+    gprs.offURC('+CLIP');
+    sim.remoteHangUp();
+    t.end();
+  });
+  sim.ring('+15555550123');
+});
+
+test('+CUSD, +PDP: DEACT and UNDER-VOLTAGE are parsed', function (t) {
+  var got = [];
+  gprs.onURC('+CUSD', function (reply) {
+    got.push(reply.text);
+  });
+  gprs.onURC('+PDP: DEACT', function (deactivation) {
+    got.push(deactivation.reason);
+  });
+  gprs.onURC('UNDER-VOLTAGE', function (voltage) {
+    got.push(voltage);
+    t.deepEqual(got, ['Low balance', 'deactivated', {warning: true, powerDown: false}], 'in order');
+    gprs.offURC('+CUSD').offURC('+PDP: DEACT').offURC('UNDER-VOLTAGE');
+    t.end();
+  });
+  gprs.on('ussd', function noop () {});
+  sim.inject(['+CUSD: 0,"Low balance",15', '+PDP: DEACT', 'UNDER-VOLTAGE WARNNING']);
+});
+
+test('a parser and pattern of our own, and offURC', function (t) {
+  var seen = [];
+  var first = function (value) {
+    seen.push('first ' + value);
+  };
+  var second = function (value) {
+    seen.push('second ' + value);
+  };
+  gprs.onURC(/^\*PSUTTZ: /, function (line) {
+    return line.split(',').length;
+  }, first);
+  gprs.onURC(/^\*PSUTTZ: /, function (line) {
+    return line.length;
+  }, second);
+  sim.inject('*PSUTTZ: 2014,10,19');
+  setTimeout(function () {
+    gprs.offURC(/^\*PSUTTZ: /, first);
+    sim.inject('*PSUTTZ: 2014');
+    setTimeout(function () {
+      gprs.offURC(/^\*PSUTTZ: /);
+      var unsolicited = null;
+      gprs.once('unsolicited', function (data) {
+        unsolicited = data;
+      });
+      sim.inject('*PSUTTZ: 2015');
+      setTimeout(function () {
+        t.deepEqual(seen, ['first 3', 'second 19', 'second 13'], 'each handler with its parser, until removed');
+        t.equal(unsolicited, '*PSUTTZ: 2015', 'then it\'s plain unsolicited');
+        t.throws(function () {
+          gprs.onURC(42, function () {});
+        }, /Not a URC pattern/, 'a pattern is a String or a RegExp');
+        t.end();
+      }, 20);
+    }, 20);
+  }, 20);
+});
+
+test('URCs that go on over more lines', function (t) {
+  gprs.onURC('+QTEXT', null, function (text) {
+    t.equal(text, '+QTEXT: 2\nfirst\nsecond', 'joined');
+    gprs.offURC('+QTEXT');
+    t.equal(gprs.postmaster.continued.length, 3, 'and forgotten');
+    t.end();
+  }, {lines: 2});
+  sim.inject(['+QTEXT: 2', 'first', 'second']);
+});
+
+test('URCs in the middle of a reply go to their handlers', function (t) {
+  var handled = [];
+  gprs.onURC('+QALERT', function (line) {
+    handled.push(line);
+  });
+  gprs.onURC('+CSQ', function (line) {
+    handled.push(line);
+  });
+  var rang = false;
+  gprs.once('RING', function () {
+    rang = true;
+  });
+  gprs.emitMe(['RING']);
+  sim.script('AT+CSQ', ['+CSQ: 20,0', '+QALERT: 1', 'RING', 'OK'], 1);
+  gprs._txrx('AT+CSQ', 1000, function (err, data) {
+    t.equal(err, null, 'no error');
+    t.deepEqual(data, ['AT+CSQ', '+CSQ: 20,0', 'OK'], 'the reply is intact');
+    t.deepEqual(handled, ['+QALERT: 1'], 'the URC was handled, and the command\'s own line was not taken for one');
+    t.ok(rang, 'as was RING');
+    gprs.offURC('+QALERT').offURC('+CSQ');
+    t.end();
+  });
+});
+
+test('what sockets and HTTP requests wait for never joins another command\'s reply', function (t) {
+  var codes = ['CONNECT OK', 'CONNECT FAIL', 'ALREADY CONNECT', 'CLOSED', '+HTTPACTION: 0,200,11'];
+  var unsolicited = [];
+  var listener = function (data) {
+    unsolicited.push(data);
+  };
+  gprs.postmaster.on('unsolicited', listener);
+  var next = function (i) {
+    if (i === codes.length) {
+      gprs.postmaster.removeListener('unsolicited', listener);
+      t.deepEqual(unsolicited, codes, 'each went out as unsolicited');
+      return t.end();
+    }
+    sim.script('AT+CSQ', ['+CSQ: 20,0', codes[i], 'OK'], 1);
+    gprs._txrx('AT+CSQ', 1000, function (err, data) {
+      t.deepEqual(data, ['AT+CSQ', '+CSQ: 20,0', 'OK'], 'the reply is intact with ' + codes[i] + ' in it');
+      next(i + 1);
+    });
+  };
+  next(0);
+});
+
+test('nor a heartbeat\'s, which only looks for OK somewhere in a line', function (t) {
+  var watched = new FakeSIM900();
+  var radio = gprslib.use(watched.stream(), {signalInterval: 0, watchdog: {heartbeat: 100}}, function (err) {
+    t.equal(err, null, 'ready');
+    var guard = setTimeout(function () {
+      t.fail('CONNECT OK never reached its handler');
+      radio.disable();
+      t.end();
+    }, 1000);
+    watched.script('AT', ['CONNECT OK', 'OK'], 1);
+    radio.onURC('CONNECT OK', function (line) {
+      clearTimeout(guard);
+      t.equal(line, 'CONNECT OK', 'handled');
+      t.equal(watched.commands[watched.commands.length - 1], 'AT', 'during the heartbeat');
+      radio.disable();
+      t.end();
+    });
+  });
+});
+
+test('emitMe registers each beginning once', function (t) {
+  var rings = 0;
+  gprs.emitMe(['RING']);
+  gprs.emitMe(['RING', 'RING']);
+  gprs.on('RING', function () {
+    rings++;
+  });
+  sim.inject('RING');
+  setTimeout(function () {
+    t.equal(rings, 1, 'one event per RING');
+    t.end();
+  }, 20);
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.end();
+});
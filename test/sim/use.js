@@ -0,0 +1,38 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+
+test('use() makes contact and emits ready', function (t) {
+  var sim = new FakeSIM900();
+  var readyData = null;
+  var gprs = gprslib.use(sim.port, function (err, radio) {
+    t.equal(err, null, 'no error on contact');
+    t.equal(radio, gprs, 'callback gets the GPRS object');
+    t.ok(readyData && readyData[readyData.length - 1] === 'OK', 'ready packet ends with OK');
+    t.equal(sim.commands[0], 'AT', 'first command is AT');
+    t.equal(sim.powerKey.read(), 1, 'power key is left high');
+    gprs.disable();
+    t.end();
+  });
+  gprs.on('ready', function (data) {
+    readyData = data;
+  });
+});
+
+test('use() toggles the power when the module does not answer', function (t) {
+  var sim = new FakeSIM900({powered: false});
+  var toggled = 0;
+  var gprs = gprslib.use(sim.port, function (err) {
+    t.equal(err, null, 'no error once powered on');
+    t.equal(toggled, 1, 'power was toggled once');
+    t.ok(sim.powered, 'module is on');
+    gprs.disable();
+    t.end();
+  });
+  gprs.on('powerToggled', function () {
+    toggled++;
+  });
+});
@@ -0,0 +1,141 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+var pdu = require('../../pdu.js');
+
+var sim = new FakeSIM900();
+var gprs;
+
+test('setup', function (t) {
+  gprs = gprslib.use(sim.port, {signalInterval: 0}, function (err) {
+    t.equal(err, null, 'ready');
+    t.end();
+  });
+});
+
+test('decodeUSSD handles plain text, UCS2 and packed GSM 7-bit', function (t) {
+  t.equal(pdu.decodeUSSD('Your balance is 5.00', 15), 'Your balance is 5.00', 'plain text');
+  t.equal(pdu.decodeUSSD('1234', 15), '1234', 'digits are not hex');
+  t.equal(pdu.decodeUSSD('00420061006C0061006E00630065003A00200035002C0030003020AC', 72), 'Balance: 5,00€', 'UCS2');
+  t.equal(pdu.decodeUSSD('0422043E043F', 0x11), 'Топ', 'UCS2 with a language');
+  t.equal(pdu.decodeUSSD('C2303BEC1E974135170C062A56A5', 15), 'Balance 5.00 EUR', 'packed GSM 7-bit');
+  t.equal(pdu.decodeUSSD('31D98C56B3DD1A', 15), '1234567', 'without the padding carriage return');
+  t.end();
+});
+
+test('ussd resolves with the decoded reply', function (t) {
+  gprs.ussd('*100#').then(function (reply) {
+    t.equal(reply.text, 'Your balance is 5.00 EUR', 'text');
+    t.equal(reply.status, 'done', 'status');
+    t.equal(reply.open, false, 'session closed');
+    t.ok(sim.commands.indexOf('AT+CUSD=1,"*100#",15') > -1, 'sent');
+    t.end();
+  });
+});
+
+test('a UCS2 reply before the OK', function (t) {
+  var text = 'Баланс:\n5';
+  sim.ussdReplyFirst = true;
+  sim.ussdHandler = function () {
+    var hex = '';
+    for (var i = 0; i < text.length; i++) {
+      hex += ('000' + text.charCodeAt(i).toString(16).toUpperCase()).slice(-4);
+    }
+    return {status: 0, text: hex, dcs: 72};
+  };
+  gprs.ussd('*101#', function (err, reply) {
+    t.equal(err, null, 'no error');
+    t.equal(reply.text, text, 'decoded');
+    t.equal(reply.dcs, 72, 'dcs');
+    sim.ussdReplyFirst = false;
+    t.end();
+  });
+});
+
+test('a multi-line text reply after the OK', function (t) {
+  sim.ussdHandler = function () {
+    return {status: 0, text: 'Balance: 5.00\nValid until 31/12', dcs: 15};
+  };
+  gprs.ussd('*102#', function (err, reply) {
+    t.equal(err, null, 'no error');
+    t.equal(reply.text, 'Balance: 5.00\nValid until 31/12', 'both lines');
+    gprs._txrx('AT', 1000, function (err, data) {
+      t.deepEqual(data, ['AT', 'OK'], 'commands still work after');
+      t.end();
+    });
+  });
+});
+
+test('an interactive session stays open until done', function (t) {
+  sim.ussdHandler = function (code, session) {
+    if (!session) {
+      return {status: 1, text: '1. Top up\n2. Balance', dcs: 15};
+    }
+    return code === '2' ? {status: 0, text: 'Balance: 5.00', dcs: 15} : {status: 1, text: 'Try again', dcs: 15};
+  };
+  gprs.ussd('*111#').then(function (menu) {
+    t.equal(menu.open, true, 'wants an answer');
+    t.equal(menu.status, 'open', 'status');
+    t.equal(gprs.ussdSession, true, 'ussdSession');
+    return gprs.ussd('2');
+  }).then(function (reply) {
+    t.equal(reply.text, 'Balance: 5.00', 'answered');
+    t.equal(reply.open, false, 'done');
+    t.equal(gprs.ussdSession, false, 'ussdSession');
+    t.end();
+  });
+});
+
+test('codes the network does not support are errors', function (t) {
+  sim.ussdHandler = function () {
+    return {status: 4};
+  };
+  gprs.ussd('*999#', function (err, reply) {
+    t.equal(err.type, 'ussd', 'type');
+    t.equal(reply.status, 'not supported', 'says why');
+    t.end();
+  });
+});
+
+test('no reply times out and cancels the session', function (t) {
+  sim.ussdHandler = function () {
+    return null;
+  };
+  var before = sim.commands.length;
+  gprs.ussd('*100#', {timeout: 50}, function (err, reply) {
+    t.equal(err.type, 'timeout', 'timed out');
+    t.equal(reply, null, 'no reply');
+    t.deepEqual(sim.commands.slice(before), ['AT+CUSD=1,"*100#",15', 'AT+CUSD=2'], 'cancelled');
+    t.equal(gprs._ussd, null, 'ready for another');
+    t.end();
+  });
+});
+
+test('cancelUSSD fails the request waiting on a reply', function (t) {
+  gprs.ussd('*100#', function (err) {
+    t.equal(err.type, 'cancelled', 'cancelled');
+  });
+  gprs.ussd('*100#', function (err) {
+    t.ok(/Already waiting/.test(err.message), 'one at a time');
+    gprs.cancelUSSD().then(function () {
+      t.equal(gprs.ussdSession, false, 'session over');
+      t.end();
+    });
+  });
+});
+
+test('network-started USSD is emitted', function (t) {
+  gprs.once('ussd', function (reply) {
+    t.equal(reply.text, 'Your data bundle is running low', 'text');
+    t.end();
+  });
+  sim.inject('+CUSD: 0,"Your data bundle is running low",15');
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.end();
+});
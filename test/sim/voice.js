@@ -0,0 +1,203 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+
+var sim = new FakeSIM900();
+var gprs;
+
+test('setup', function (t) {
+  gprs = gprslib.use(sim.port, function (err) {
+    t.equal(err, null, 'ready');
+    gprs._txrx('AT', 1000, function () {
+      t.ok(sim.clip, 'caller ID on');
+      t.ok(sim.clcc, 'call state reports on');
+      t.end();
+    });
+  });
+});
+
+test('dial calls the number and resolves once answered', function (t) {
+  var states = [];
+  var onCall = function (call) {
+    states.push(call.state);
+    if (call.state === 'alerting') {
+      t.ok(gprs.inACall, 'in a call while it rings');
+      sim.answer();
+    }
+  };
+  gprs.on('call', onCall);
+  gprs.dial('15555551234', function (err, call) {
+    gprs.removeListener('call', onCall);
+    t.equal(err, null, 'no error');
+    t.deepEqual(sim.calls, ['15555551234'], 'the module dialed');
+    t.equal(call.state, 'active', 'answered');
+    t.equal(call.direction, 'outgoing', 'outgoing');
+    t.equal(call.number, '15555551234', 'number');
+    t.deepEqual(states, ['dialing', 'alerting', 'active'], 'went through the states');
+    t.ok(gprs.inACall, 'in a call');
+    t.end();
+  });
+});
+
+test('dial refuses a second call', function (t) {
+  gprs.dial('15555554321', function (err, data) {
+    t.ok(err instanceof Error, 'got an error');
+    t.deepEqual(data, [], 'no data');
+    t.end();
+  });
+});
+
+test('hangUp ends the call', function (t) {
+  var ended = null;
+  gprs.once('call', function (call) {
+    ended = call;
+  });
+  gprs.hangUp(function (err, data) {
+    t.equal(err, null, 'no error');
+    t.equal(data[0], 'ATH', 'echo');
+    t.equal(data[1], 'OK', 'and OK');
+    t.ok(!gprs.inACall, 'not in a call');
+    t.equal(gprs.call, null, 'idle');
+    t.equal(ended.state, 'ended', 'emitted the end');
+    t.end();
+  });
+});
+
+test('dial requires a number', function (t) {
+  gprs.dial('', function (err) {
+    t.ok(err instanceof Error, 'got an error');
+    t.end();
+  });
+});
+
+test('dial fails when the line is busy', function (t) {
+  var onCall = function (call) {
+    if (call.state === 'alerting') {
+      gprs.removeListener('call', onCall);
+      sim.remoteHangUp('BUSY');
+    }
+  };
+  gprs.on('call', onCall);
+  gprs.dial('15555551234', function (err, call) {
+    t.ok(err instanceof Error, 'got an error');
+    t.equal(err.reason, 'BUSY', 'busy');
+    t.equal(call.state, 'ended', 'call ended');
+    t.ok(!gprs.inACall, 'not in a call');
+    t.end();
+  });
+});
+
+test('dial times out and hangs up without an answer', function (t) {
+  gprs.dial('15555551234', {timeout: 50}, function (err) {
+    t.ok(err instanceof Error, 'got an error');
+    t.equal(err.type, 'timeout', 'timed out');
+    t.equal(sim.commands[sim.commands.length - 1], 'ATH', 'hung up');
+    t.equal(sim.call, null, 'module hung up');
+    t.equal(gprs.call, null, 'idle');
+    t.end();
+  });
+});
+
+test('dial passes on the module\'s error', function (t) {
+  var ended = null;
+  var onCall = function (call) {
+    if (call.state === 'ended') {
+      ended = call;
+    }
+  };
+  gprs.on('call', onCall);
+  sim.script(/^ATD/, ['+CME ERROR: 3'], 1);
+  gprs.dial('15555551234', function (err, call) {
+    t.equal(err.code, 3, '+CME ERROR code');
+    t.ok(/operation not allowed/.test(err.message), 'says why');
+    t.equal(call, null, 'no call');
+    t.equal(ended.reason, '+CME ERROR: 3', 'the call ended with it');
+    t.equal(gprs.call, null, 'idle');
+    gprs.removeListener('call', onCall);
+    t.end();
+  });
+});
+
+test('dial passes on a timeout waiting for the module', function (t) {
+  var ended = null;
+  var onCall = function (call) {
+    if (call.state === 'ended') {
+      ended = call;
+    }
+  };
+  gprs.on('call', onCall);
+  sim.script(/^ATD/, [], 1);
+  gprs.dial('15555551234', function (err, call) {
+    t.equal(err.type, 'timeout', 'timed out');
+    t.ok(/no reply after 20000 ms/.test(err.message), 'waiting on ATD');
+    t.equal(call, null, 'no call');
+    t.equal(ended.reason, 'timeout', 'the call ended with it');
+    t.equal(gprs.call, null, 'idle');
+    gprs.removeListener('call', onCall);
+    t.end();
+  });
+});
+
+test('dial resolves on +COLP', function (t) {
+  sim.clcc = false;
+  sim.colp = true;
+  gprs.dial('15555551234', function (err, call) {
+    t.equal(err, null, 'no error');
+    t.equal(call.state, 'active', 'answered');
+    sim.colp = false;
+    sim.clcc = true;
+    gprs.hangUp(function () {
+      t.end();
+    });
+  });
+});
+
+test('an incoming call rings with caller ID', function (t) {
+  var seen = [];
+  var onCall = function (call) {
+    seen.push(call);
+    if (call.number) {
+      gprs.removeListener('call', onCall);
+      t.equal(call.state, 'ringing', 'ringing');
+      t.equal(call.direction, 'incoming', 'incoming');
+      t.equal(call.number, '+15557654321', 'caller ID');
+      t.ok(!gprs.inACall, 'not in a call until answered');
+      t.end();
+    }
+  };
+  gprs.on('call', onCall);
+  sim.ring('+15557654321');
+});
+
+test('answerCall picks up a ringing call', function (t) {
+  gprs.emitMe(['RING']);
+  gprs.once('RING', function () {
+    gprs.answerCall(function (err, data) {
+      t.equal(err, null, 'no error');
+      t.deepEqual(data, ['ATA', 'OK'], 'echo and OK');
+      t.ok(sim.inCall, 'the module is in the call');
+      t.ok(gprs.inACall, 'in a call');
+      t.equal(gprs.call.state, 'active', 'active');
+      t.end();
+    });
+  });
+  sim.ring();
+});
+
+test('the caller hanging up ends the call', function (t) {
+  gprs.once('call', function (call) {
+    t.equal(call.state, 'ended', 'ended');
+    t.equal(call.reason, 'NO CARRIER', 'with the reason');
+    t.ok(!gprs.inACall, 'not in a call');
+    t.end();
+  });
+  sim.remoteHangUp();
+});
+
+test('teardown', function (t) {
+  gprs.disable();
+  t.end();
+});
@@ -0,0 +1,113 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+var test = require('tinytap');
+var FakeSIM900 = require('../support/sim900.js');
+var gprslib = require('../../');
+
+// Records the steps a recovery goes through, and calls back once it's over
+function watch (gprs, callback) {
+  var steps = [];
+  gprs.on('recovering', function (step, reason) {
+    steps.push(step + ' after ' + reason);
+  });
+  gprs.once('recovered', function (err, step) {
+    gprs.removeAllListeners('recovering');
+    callback(err, step, steps);
+  });
+}
+
+test('unanswered commands in a row set it off', function (t) {
+  var sim = new FakeSIM900();
+  var gprs = gprslib.use(sim.stream(), {signalInterval: 0, watchdog: {timeouts: 2, heartbeat: 0}}, function (err) {
+    t.equal(err, null, 'ready');
+    var errors = [];
+    sim.script('AT+GSV', [], 2);
+    watch(gprs, function (err, step, steps) {
+      t.equal(err, null, 'recovered');
+      t.equal(step, 'clear', 'clearing the Postmaster was enough');
+      t.deepEqual(steps, ['clear after timeouts'], 'steps');
+    });
+    gprs._txrx('AT+GSV', 100, function (err) {
+      errors.push(err.type);
+    });
+    gprs._txrx('AT+GSV', 100, function (err) {
+      errors.push(err.type);
+    });
+    gprs._txrx('AT+CSQ', 2000, function (err, data) {
+      t.deepEqual(errors, ['timeout', 'timeout'], 'the unanswered ones failed');
+      t.equal(err, null, 'the queued one was held, then sent');
+      t.deepEqual(data, ['AT+CSQ', '+CSQ: 20,0', 'OK'], 'and answered');
+      gprs.disable();
+      t.end();
+    });
+  });
+});
+
+test('a missed heartbeat sets it off, and a soft reset brings it back', function (t) {
+  var sim = new FakeSIM900({resetMs: 20});
+  var gprs = gprslib.use(sim.stream(), {signalInterval: 0, watchdog: {heartbeat: 300, resetDelay: 100}}, function (err) {
+    t.equal(err, null, 'ready');
+    //  The heartbeat and both of the clearing step's checks go unanswered
+    sim.script('AT', [], 3);
+    watch(gprs, function (err, step, steps) {
+      t.equal(err, null, 'recovered');
+      t.equal(step, 'reset', 'by resetting');
+      t.deepEqual(steps, ['clear after heartbeat', 'reset after heartbeat'], 'steps');
+      t.ok(sim.commands.indexOf('AT+CFUN=1,1') > -1, 'AT+CFUN=1,1');
+      t.equal(sim.cmee, 1, 'set up again');
+      gprs.disable();
+      t.end();
+    });
+  });
+});
+
+test('a module that has locked up gets its power cycled', function (t) {
+  var sim = new FakeSIM900({powerKeyMs: 10});
+  var presses = 0;
+  var press = function (callback) {
+    presses++;
+    sim.powerKey.low();
+    setTimeout(function () {
+      sim.powerKey.high();
+      callback();
+    }, 20);
+  };
+  var gprs = gprslib.use(sim.stream(), {signalInterval: 0, power: press, watchdog: {timeouts: 1, heartbeat: 0, resetDelay: 0}}, function (err) {
+    t.equal(err, null, 'ready');
+    sim.hung = true;
+    watch(gprs, function (err, step, steps) {
+      t.equal(err, null, 'recovered');
+      t.equal(step, 'power', 'by turning it off and on again');
+      t.equal(steps.length, 3, 'after trying the rest');
+      t.equal(presses, 2, 'off, then on');
+      t.ok(sim.powered, 'on');
+      t.equal(gprs.powered, true, 'powered');
+      t.equal(sim.cmee, 1, 'set up again');
+      gprs.disable();
+      t.end();
+    });
+    gprs._txrx('AT+CSQ', 100, function () {});
+  });
+});
+
+test('queued commands fail cleanly if nothing works', function (t) {
+  var sim = new FakeSIM900();
+  var gprs = gprslib.use(sim.stream(), {signalInterval: 0, watchdog: {timeouts: 1, heartbeat: 0, resetDelay: 0}}, function (err) {
+    t.equal(err, null, 'ready');
+    sim.hung = true;
+    var failed = null;
+    watch(gprs, function (err, step, steps) {
+      t.equal(err.type, 'unrecoverable', 'gave up');
+      t.equal(step, null, 'no step worked');
+      t.deepEqual(steps, ['clear after timeouts', 'reset after timeouts'], 'no power adapter to cycle with');
+      t.equal(failed.type, 'unrecoverable', 'the queued command failed with it');
+      gprs.disable();
+      t.end();
+    });
+    gprs._txrx('AT+CSQ', 100, function () {});
+    gprs._txrx('AT+CGMI', 5000, function (err) {
+      failed = err;
+    });
+  });
+});
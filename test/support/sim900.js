@@ -0,0 +1,1284 @@
+// Any copyright is dedicated to the Public Domain.
+// http://creativecommons.org/publicdomain/zero/1.0/
+
+/*
+A scriptable stand-in for the SIM900 so the driver can be exercised without
+a Tessel or a GPRS module. `sim.port` looks enough like a Tessel port to be
+handed to `use()`: `port.UART` returns a virtual UART and `port.digital[2]` is
+the power key.
+
+The fake echoes whatever it is sent (unless told `ATE0`), answers a handful of
+common AT commands, and lets a test override any reply or push unsolicited
+lines such as 'RING' at the driver.
+*/
+
+var util = require('util');
+var EventEmitter = require('events').EventEmitter;
+var stream = require('stream');
+var pdu = require('../../pdu.js');
+
+var CTRL_Z = 0x1a;
+//  Message states, by their number in PDU mode
+var SMS_STATES = ['REC UNREAD', 'REC READ', 'STO UNSENT', 'STO SENT'];
+var ESC = 0x1b;
+//  The text AT+CMEE=2 gives for the codes this fake uses
+var VERBOSE_ERRORS = {
+  'CME ERROR: 3': 'operation not allowed',
+  'CME ERROR: 10': 'SIM not inserted',
+  'CME ERROR: 11': 'SIM PIN required',
+  'CME ERROR: 16': 'incorrect password',
+  'CME ERROR: 20': 'memory full',
+  'CME ERROR: 21': 'invalid index',
+  'CME ERROR: 22': 'not found',
+  'CME ERROR: 24': 'text string too long',
+  'CMS ERROR: 321': 'invalid memory index',
+  'CMS ERROR: 500': 'unknown error'
+};
+
+function FakeUART (sim) {
+  /*
+  Looks like the UART object returned by `hardware.UART`
+
+  Args
+    sim
+      The FakeSIM900 on the other end of the wire
+  */
+
+  this.sim = sim;
+  this.options = null;
+  this.disabled = false;
+  this.written = [];
+}
+
+util.inherits(FakeUART, EventEmitter);
+
+FakeUART.prototype.write = function (data) {
+  if (this.disabled) {
+    return;
+  }
+  var bytes = Buffer.isBuffer(data) ? data : new Buffer(String(data));
+  this.written.push(bytes);
+  this.sim._receive(bytes);
+};
+
+FakeUART.prototype.setBaudRate = function (rate) {
+  this.options = this.options || {};
+  this.options.baudrate = rate;
+};
+
+FakeUART.prototype.disable = function () {
+  this.disabled = true;
+};
+
+function FakePin (onChange) {
+  /*
+  Looks like a Tessel GPIO pin. `high` and `low` return the pin so that calls
+  can be chained, as in `hardware.digital[2].high()`.
+
+  Args
+    onChange
+      Optional function called with the new level whenever it changes
+  */
+
+  this.level = null;
+  this.onChange = onChange || null;
+}
+
+FakePin.prototype._set = function (level) {
+  var changed = this.level !== level;
+  this.level = level;
+  if (changed && this.onChange) {
+    this.onChange(level);
+  }
+  return this;
+};
+
+FakePin.prototype.high = function () {
+  return this._set(1);
+};
+
+FakePin.prototype.low = function () {
+  return this._set(0);
+};
+
+FakePin.prototype.read = function () {
+  return this.level;
+};
+
+FakePin.prototype.output = function (level) {
+  return this._set(level ? 1 : 0);
+};
+
+function FakeSIM900 (options) {
+  /*
+  Args
+    options
+      powered
+        Is the module on to begin with? Defaults to true.
+      echo
+        Does the module echo commands? Defaults to true.
+      latency
+        Milliseconds between a command and its reply. With 0 (the default), replies arrive on the next tick.
+      powerKeyMs
+        How long the power key must be held low to toggle the module. Defaults to 1000.
+      sleepDelay
+        How long the UART must be idle before the module sleeps in AT+CSCLK=2 mode. Defaults to 100 (the SIM900 takes 5 seconds).
+      resetMs
+        How long AT+CFUN=1,1 takes to restart the module. Defaults to 50.
+      baudrate
+        The rate the module has been fixed at with AT+IPR and AT&W. Defaults to 0, autobauding: any rate will do.
+      pin
+        The SIM's PIN. Give one to start with the SIM locked, asking for it.
+  */
+
+  options = options || {};
+
+  var self = this;
+
+  self.powered = options.powered !== false;
+  self.echo = options.echo !== false;
+  self.latency = options.latency || 0;
+  self.powerKeyMs = options.powerKeyMs || 1000;
+  //  AT+CSCLK: 0 never sleeps, 1 sleeps while DTR is high, 2 sleeps once the UART is idle. Asleep, it ignores the UART, but in mode 2 the first bytes wake it.
+  self.sleepMode = 0;
+  self.asleep = false;
+  self.sleepDelay = options.sleepDelay || 100;
+  self._sleepTimer = null;
+  self.resetMs = options.resetMs || 50;
+  //  AT+IPR: the rate the module talks at, or 0 for any. What it says at another rate is garbage, and it makes nothing of what it hears.
+  self.baudrate = options.baudrate || 0;
+  self.savedBaudrate = self.baudrate;
+  //  Set it to have the firmware lock up: the module ignores the UART until the power key restarts it
+  self.hung = false;
+  //  The SIM: what AT+CPIN? says, its codes, whether it asks for the PIN at power up, and wrong PINs left before it wants the PUK
+  self.simInserted = true;
+  self.pinLock = options.pin !== undefined;
+  self.simState = self.pinLock ? 'SIM PIN' : 'READY';
+  self.pin = options.pin === undefined ? '1234' : options.pin;
+  self.puk = '12345678';
+  self.pinAttempts = 3;
+  //  What the network answers a USSD code with: {status, text, dcs}, or null for no answer at all. `session` is whether the last answer left it open.
+  self.ussdHandler = function (code, session) {
+    return code === '*100#' ? {status: 0, text: 'Your balance is 5.00 EUR', dcs: 15} : {status: 4};
+  };
+  self.ussdSession = false;
+  //  Some firmware answers before the OK
+  self.ussdReplyFirst = false;
+  //  The SIM's phonebook: slot -> {number, type, name}. The number is kept without its '+', as this firmware reports it.
+  self.phonebook = {};
+  self.phonebookSize = 250;
+  self.phonebookMemory = 'SM';
+  //  Who the module and SIM say they are
+  self.identity = {
+    manufacturer: 'SIMCOM_Ltd',
+    model: 'SIM900 R11.0',
+    firmware: 'Revision:1137B01SIM900M64_ST',
+    imei: '490154203237518',
+    imsi: '310150123456789',
+    iccid: '89014103211118510720',
+    ownNumber: '+15555550100'
+  };
+
+  //  AT+CLTS: whether the module takes the network's time
+  self.clts = 0;
+  //  AT+CMEE: 0 for a bare ERROR (the default), 1 for +CME ERROR / +CMS ERROR: <code>, 2 for their text
+  self.cmee = 0;
+  //  Every complete command line the module has received, in order
+  self.commands = [];
+  //  Messages stored on the SIM: {index, status, sender, timestamp, text, concat}
+  self.inbox = [];
+  //  Messages the driver has sent: {number, text, reference, encoding, concat}
+  self.outbox = [];
+  //  How many messages the SIM holds
+  self.smsCapacity = 30;
+  //  <mt> from AT+CNMI: 1 to store new texts and send +CMTI, 2 to send them with +CMT
+  self.newMessages = 1;
+  //  <ds> from AT+CNMI: 0 for no status reports, 1 to send them with +CDS, 2 to store them and send +CDSI
+  self.statusReports = 0;
+  //  The TP-Status to report on texts that ask for a report as soon as they're sent, or null to wait for reportDelivery
+  self.deliveryStatus = null;
+  //  AT+CMGF: text mode (1) or PDU mode (0)
+  self.textMode = true;
+  //  Numbers the driver has dialed
+  self.calls = [];
+  self.ringing = false;
+  self.inCall = false;
+  //  The call in progress: {direction (0 outgoing, 1 incoming), stat (as in +CLCC), number}
+  self.call = null;
+  //  AT+CLIP, AT+CLCC and AT+COLP reporting
+  self.clip = false;
+  self.clcc = false;
+  self.colp = false;
+  self.signal = {rssi: 20, ber: 0};
+  //  +CREG/+CGREG <stat>: 1 home, 5 roaming, 2 searching, 0 not registered
+  self.registration = 1;
+  //  Location area and cell, as hex
+  self.lac = '1A2B';
+  self.cellId = '00C3';
+  //  <n> from AT+CREG and AT+CGREG: 0 no reports, 1 status, 2 status and location
+  self.creg = 0;
+  self.cgreg = 0;
+  self.nextReference = 1;
+  self.scripts = [];
+  //  The open TCP/UDP connection: {protocol, host, port, received}
+  self.connection = null;
+  //  What AT+CIPSTART reports once it has tried to connect
+  self.connectResult = 'CONNECT OK';
+  //  GPRS attachment and the IP state machine behind AT+CIPSTATUS
+  self.gprsAttached = false;
+  self.ipState = 'IP INITIAL';
+  self.apn = null;
+  //  If set, AT+CIICR fails for any other APN
+  self.requiredApn = null;
+  self.ip = '10.0.0.2';
+  //  Bearer 1, used by the HTTP stack
+  self.bearer = {open: false, params: {}};
+  //  The HTTP session between AT+HTTPINIT and AT+HTTPTERM
+  self.http = null;
+  //  Every HTTP request made: {method, url, params, ssl, body}
+  self.requests = [];
+  //  Answers HTTP requests with {status, headers, body}
+  self.httpHandler = function () {
+    return {status: 200, headers: {}, body: ''};
+  };
+
+  self._line = '';
+  self._sms = null;
+  self._data = null;
+  self._afterCR = false;
+  self._keyDown = null;
+
+  self.uart = new FakeUART(self);
+  self.powerKey = new FakePin(function (level) {
+    self._powerKey(level);
+  });
+  self.dtr = new FakePin(function (level) {
+    self.asleep = self.sleepMode === 1 && level === 1;
+  });
+  self.port = {
+    UART: function (opts) {
+      self.uart.options = opts || {};
+      return self.uart;
+    },
+    digital: [new FakePin(), new FakePin(), self.powerKey]
+  };
+}
+
+util.inherits(FakeSIM900, EventEmitter);
+
+// Override the reply to a command. Scripts are checked newest first and before the built-in replies.
+FakeSIM900.prototype.script = function (pattern, reply, times) {
+  /*
+  Args
+    pattern
+      A String that must equal the command, or a RegExp to test it against. A submitted SMS body is matched as its text (or PDU, in PDU mode) followed by '\x1a', and data sent with AT+CIPSEND as a binary String.
+    reply
+      An Array of lines to answer with, or a function (command, match, sim) that returns one. A function that returns null falls through to the next script or the built-in reply.
+    times
+      How many times the script applies before it is discarded. Defaults to forever.
+
+  Returns
+    The script, which can be passed to `unscript`
+  */
+
+  var entry = {pattern: pattern, reply: reply, times: times || Infinity};
+  this.scripts.unshift(entry);
+  return entry;
+};
+
+FakeSIM900.prototype.unscript = function (entry) {
+  var i = this.scripts.indexOf(entry);
+  if (i > -1) {
+    this.scripts.splice(i, 1);
+  }
+};
+
+// A Duplex stream wired to the module, as a serialport would be, for use() in place of `port`
+FakeSIM900.prototype.stream = function () {
+  var uart = this.uart;
+  var duplex = new stream.Duplex({
+    write: function (chunk, encoding, callback) {
+      uart.write(chunk);
+      callback();
+    },
+    read: function () {}
+  });
+  uart.on('data', function (bytes) {
+    duplex.push(bytes);
+  });
+  duplex.on('finish', function () {
+    uart.disable();
+  });
+  return duplex;
+};
+
+// Send unsolicited lines to the driver, as the module does with 'RING' or '+CMTI: "SM",1'
+FakeSIM900.prototype.inject = function (lines) {
+  if (!Array.isArray(lines)) {
+    lines = [lines];
+  }
+  this._reply(lines);
+};
+
+// Send raw bytes to the driver with no framing added
+FakeSIM900.prototype.injectRaw = function (data) {
+  this._deliver(Buffer.isBuffer(data) ? data : new Buffer(String(data)));
+};
+
+// Report on a text we sent that asked for it, as AT+CNMI said to: with +CDS, or stored on the SIM with +CDSI
+FakeSIM900.prototype.reportDelivery = function (reference, status) {
+  var sent = this.outbox.filter(function (message) {
+    return message.reference === reference;
+  }).pop();
+  if (!sent || !sent.report || !this.statusReports) {
+    return null;
+  }
+  var report = pdu.encodeStatusReport(sent.number, reference, status);
+  if (this.statusReports === 1) {
+    this.inject(['+CDS: ' + report.length, report.pdu]);
+    return null;
+  }
+  var index = 1;
+  while (this._findMessage(index)) {
+    index++;
+  }
+  this.inbox.push({index: index, status: 'REC UNREAD', report: report});
+  this.inject('+CDSI: "SM",' + index);
+  return index;
+};
+
+// Store an incoming SMS on the SIM and announce it with +CMTI, or hand it straight over with +CMT if AT+CNMI asked for that
+FakeSIM900.prototype.receiveSMS = function (sender, text, timestamp) {
+  timestamp = timestamp || '14/07/01,12:00:00+00';
+  if (this.newMessages === 2) {
+    if (this.textMode) {
+      this.inject(['+CMT: "' + sender + '",,"' + timestamp + '"', text]);
+    } else {
+      var encoded = pdu.encodeDeliver(sender, text, {timestamp: timestamp});
+      this.inject(['+CMT: ,' + encoded.length, encoded.pdu]);
+    }
+    return null;
+  }
+  var index = 1;
+  while (this._findMessage(index)) {
+    index++;
+  }
+  this.inbox.push({
+    index: index,
+    status: 'REC UNREAD',
+    sender: sender,
+    timestamp: timestamp,
+    text: text
+  });
+  this.inject('+CMTI: "SM",' + index);
+  return index;
+};
+
+// Send data to the driver over the open connection
+FakeSIM900.prototype.serverSend = function (data) {
+  var bytes = Buffer.isBuffer(data) ? data : new Buffer(String(data));
+  this.injectRaw(Buffer.concat([new Buffer('\r\n+IPD,' + bytes.length + ':'), bytes]));
+};
+
+// Drop the GPRS context, as the network sometimes does
+FakeSIM900.prototype.deactivate = function () {
+  this.ipState = 'PDP DEACT';
+  this.connection = null;
+  this.inject('+PDP: DEACT');
+};
+
+// Close the open connection from the far end
+FakeSIM900.prototype.serverClose = function () {
+  this.connection = null;
+  this.ipState = 'TCP CLOSED';
+  this.inject('CLOSED');
+};
+
+// Change the registration status (and optionally cell), reporting it with +CREG and +CGREG as they were set up
+FakeSIM900.prototype.register = function (stat, lac, cellId) {
+  var self = this;
+  self.registration = stat;
+  self.lac = lac || self.lac;
+  self.cellId = cellId || self.cellId;
+  var lines = [];
+  ['CREG', 'CGREG'].forEach(function (name) {
+    var n = self[name.toLowerCase()];
+    if (n) {
+      lines.push('+' + name + ': ' + self._registrationReport(n));
+    }
+  });
+  self.inject(lines);
+};
+
+// AT+CPBS, AT+CPBR, AT+CPBF and AT+CPBW
+FakeSIM900.prototype._phonebookCommand = function (command) {
+  var self = this;
+  var match;
+  var line = function (index) {
+    var entry = self.phonebook[index];
+    return '+CPBR: ' + index + ',"' + entry.number + '",' + entry.type + ',"' + entry.name + '"';
+  };
+  var indexes = Object.keys(self.phonebook).map(Number).sort(function (a, b) {
+    return a - b;
+  });
+  if ((match = command.match(/^AT\+CPBS="(\w+)"$/))) {
+    if (['SM', 'ME'].indexOf(match[1]) === -1) {
+      return ['+CME ERROR: 3'];
+    }
+    self.phonebookMemory = match[1];
+    return ['OK'];
+  }
+  if (command === 'AT+CPBS?') {
+    return ['+CPBS: "' + self.phonebookMemory + '",' + indexes.length + ',' + self.phonebookSize, 'OK'];
+  }
+  if (command === 'AT+CPBR=?') {
+    return ['+CPBR: (1-' + self.phonebookSize + '),40,14', 'OK'];
+  }
+  if ((match = command.match(/^AT\+CPBR=(\d+)(?:,(\d+))?$/))) {
+    var first = parseInt(match[1], 10);
+    var last = match[2] ? parseInt(match[2], 10) : first;
+    if (first < 1 || last > self.phonebookSize) {
+      return ['+CME ERROR: 21'];
+    }
+    return indexes.filter(function (index) {
+      return index >= first && index <= last;
+    }).map(line).concat('OK');
+  }
+  if ((match = command.match(/^AT\+CPBF="([^"]*)"$/))) {
+    var name = match[1].toLowerCase();
+    var found = indexes.filter(function (index) {
+      return self.phonebook[index].name.toLowerCase().indexOf(name) === 0;
+    });
+    return found.length ? found.map(function (index) {
+      return line(index).replace('+CPBR', '+CPBF');
+    }).concat('OK') : ['+CME ERROR: 22'];
+  }
+  if ((match = command.match(/^AT\+CPBW=(\d*)(?:,"([^"]*)",(\d+),"([^"]*)")?$/))) {
+    var index = match[1] ? parseInt(match[1], 10) : null;
+    if (index !== null && (index < 1 || index > self.phonebookSize)) {
+      return ['+CME ERROR: 21'];
+    }
+    if (match[2] === undefined) {
+      if (index === null) {
+        return ['ERROR'];
+      }
+      delete self.phonebook[index];
+      return ['OK'];
+    }
+    if (match[4].length > 14) {
+      return ['+CME ERROR: 24'];
+    }
+    if (index === null) {
+      index = 1;
+      while (self.phonebook[index]) {
+        index++;
+      }
+      if (index > self.phonebookSize) {
+        return ['+CME ERROR: 20'];
+      }
+    }
+    self.phonebook[index] = {number: match[2].replace(/^\+/, ''), type: parseInt(match[3], 10), name: match[4]};
+    return ['OK'];
+  }
+  return ['ERROR'];
+};
+
+// Take the SIM out, or put it (back) in, reporting it as the SIM900 does
+FakeSIM900.prototype.removeSIM = function () {
+  this.simInserted = false;
+  this.simState = 'NOT INSERTED';
+  this.inject('+CPIN: NOT READY');
+};
+
+FakeSIM900.prototype.insertSIM = function () {
+  this.simInserted = true;
+  this.simState = this.pinLock ? 'SIM PIN' : 'READY';
+  this.pinAttempts = 3;
+  this.inject('+CPIN: ' + this.simState);
+};
+
+// AT+CPIN="<pin>" or AT+CPIN="<puk>","<new pin>"
+FakeSIM900.prototype._enterCode = function (code, newPin) {
+  if (!this.simInserted) {
+    return ['+CME ERROR: 10'];
+  }
+  if (this.simState === 'SIM PUK') {
+    if (newPin === undefined || code !== this.puk) {
+      return ['+CME ERROR: 16'];
+    }
+    this.pin = newPin;
+  } else if (this.simState !== 'SIM PIN' || newPin !== undefined) {
+    return ['+CME ERROR: 3'];
+  } else if (!this._checkPin(code)) {
+    return ['+CME ERROR: 16'];
+  }
+  this.simState = 'READY';
+  this.pinAttempts = 3;
+  return ['OK', '+CPIN: READY'];
+};
+
+// Compare a PIN, counting it against the attempts left if it's wrong
+FakeSIM900.prototype._checkPin = function (pin) {
+  if (pin === this.pin) {
+    this.pinAttempts = 3;
+    return true;
+  }
+  this.pinAttempts -= 1;
+  if (this.pinAttempts <= 0) {
+    this.simState = 'SIM PUK';
+  }
+  return false;
+};
+
+FakeSIM900.prototype._registrationReport = function (n) {
+  var registered = this.registration === 1 || this.registration === 5;
+  return this.registration + (n === 2 && registered ? ',"' + this.lac + '","' + this.cellId + '"' : '');
+};
+
+// Start an incoming voice call, or ring again for the one already ringing
+FakeSIM900.prototype.ring = function (number) {
+  var lines = ['RING'];
+  if (!this.ringing) {
+    this.call = {direction: 1, stat: 4, number: number || '+15555550000'};
+    lines = this._clccLines().concat(lines);
+  }
+  this.ringing = true;
+  if (this.clip) {
+    lines.push('+CLIP: "' + this.call.number + '",' + (this.call.number[0] === '+' ? 145 : 129) + ',"",0,"",0');
+  }
+  this.inject(lines);
+};
+
+// The far end picks up the call we dialed
+FakeSIM900.prototype.answer = function () {
+  this.call.stat = 0;
+  this.inject(this._clccLines());
+};
+
+// The far end hangs up, or never answers: 'NO CARRIER', 'BUSY' or 'NO ANSWER'
+FakeSIM900.prototype.remoteHangUp = function (reason) {
+  var lines = [reason || 'NO CARRIER'];
+  if (this.call) {
+    this.call.stat = 6;
+    lines = lines.concat(this._clccLines());
+  }
+  this._endCall();
+  this.inject(lines);
+};
+
+FakeSIM900.prototype._endCall = function () {
+  this.call = null;
+  this.ringing = false;
+  this.inCall = false;
+};
+
+// +CLCC for the call in progress, if AT+CLCC=1 asked for them
+FakeSIM900.prototype._clccLines = function (always) {
+  var call = this.call;
+  if (!call || !(this.clcc || always)) {
+    return [];
+  }
+  return ['+CLCC: 1,' + call.direction + ',' + call.stat + ',0,0,"' + call.number + '",' + (call.number[0] === '+' ? 145 : 129) + ',""'];
+};
+
+// The header and body of a stored message, as AT+CMGR and AT+CMGL show it in the current mode
+FakeSIM900.prototype._messageLines = function (prefix, message) {
+  if (message.report) {
+    return [prefix + SMS_STATES.indexOf(message.status) + ',,' + message.report.length, message.report.pdu];
+  }
+  if (this.textMode) {
+    return [prefix + '"' + message.status + '","' + message.sender + '","","' + message.timestamp + '"', message.text];
+  }
+  var encoded = pdu.encodeDeliver(message.sender, message.text, {timestamp: message.timestamp, concat: message.concat});
+  return [prefix + SMS_STATES.indexOf(message.status) + ',,' + encoded.length, encoded.pdu];
+};
+
+FakeSIM900.prototype._findMessage = function (index) {
+  for (var i = 0; i < this.inbox.length; i++) {
+    if (this.inbox[i].index === index) {
+      return this.inbox[i];
+    }
+  }
+  return null;
+};
+
+FakeSIM900.prototype._powerKey = function (level) {
+  var self = this;
+  if (level === 0) {
+    self._keyDown = Date.now();
+  } else if (self._keyDown !== null) {
+    var held = Date.now() - self._keyDown;
+    self._keyDown = null;
+    if (held >= self.powerKeyMs) {
+      if (self.powered) {
+        self.inject('NORMAL POWER DOWN');
+        self._powerDown();
+      } else {
+        self.powered = true;
+        self._boot();
+        self.emit('power', true);
+      }
+    }
+  }
+};
+
+FakeSIM900.prototype._boot = function () {
+  //  Settings that aren't saved are back to their defaults
+  this.cmee = 0;
+  this.sleepMode = 0;
+  this.asleep = false;
+  this.echo = true;
+  this.hung = false;
+  this.baudrate = this.savedBaudrate;
+  this.inject('RDY');
+};
+
+// Restart without being asked, as after a brownout
+FakeSIM900.prototype.restart = function () {
+  this._boot();
+};
+
+FakeSIM900.prototype._powerDown = function () {
+  this.powered = false;
+  this.asleep = false;
+  this.hung = false;
+  clearTimeout(this._sleepTimer);
+  this.emit('power', false);
+};
+
+// In AT+CSCLK=2 mode, fall asleep once the UART has been idle for sleepDelay
+FakeSIM900.prototype._idle = function () {
+  var self = this;
+  clearTimeout(self._sleepTimer);
+  if (self.sleepMode === 2) {
+    self._sleepTimer = setTimeout(function () {
+      self.asleep = true;
+    }, self.sleepDelay);
+  }
+};
+
+FakeSIM900.prototype._deliver = function (bytes) {
+  var self = this;
+  var emit = function () {
+    if (!self.uart.disabled) {
+      self.uart.emit('data', bytes);
+    }
+  };
+  if (self.latency) {
+    setTimeout(emit, self.latency);
+  } else {
+    process.nextTick(emit);
+  }
+};
+
+// Whether the UART is at the rate the module talks at. The stream has no rate to go by.
+FakeSIM900.prototype._inSync = function () {
+  return !this.baudrate || !this.uart.options || this.uart.options.baudrate === this.baudrate;
+};
+
+FakeSIM900.prototype._reply = function (lines) {
+  if (!this.powered || !lines || !lines.length || !this._inSync()) {
+    return;
+  }
+  if (Buffer.isBuffer(lines)) {
+    //  Already framed, ie a reply with raw data in it
+    return this._deliver(lines);
+  }
+  //  The SIM900 leads its prompt with a line break but does not end it with one
+  this._deliver(new Buffer(lines.map(function (line) {
+    return line === '> ' ? '\r\n> ' : '\r\n' + line + '\r\n';
+  }).join('')));
+};
+
+FakeSIM900.prototype._receive = function (bytes) {
+  if (!this.powered || this.hung || !this._inSync()) {
+    return;
+  }
+  var self = this;
+  if (self.asleep) {
+    if (self.sleepMode === 2) {
+      //  These bytes wake it, and are lost
+      self.asleep = false;
+      self._idle();
+    }
+    return;
+  }
+  self._idle();
+  var echoed = [];
+  var flush = function () {
+    if (self.echo && echoed.length) {
+      self._deliver(new Buffer(echoed));
+    }
+    echoed = [];
+  };
+  for (var i = 0; i < bytes.length; i++) {
+    var b = bytes[i];
+    var afterCR = self._afterCR;
+    self._afterCR = b === 13;
+    if (self._data) {
+      //  Data for AT+CIPSEND or AT+HTTPDATA, which ends after a set number
+      //  of bytes. The line feed trailing the command itself is not part of it.
+      if (b === 10 && afterCR && !self._data.bytes.length) {
+        continue;
+      }
+      if (self._data.echo) {
+        echoed.push(b);
+      }
+      self._data.bytes.push(b);
+      if (self._data.bytes.length === self._data.length) {
+        flush();
+        self._submitData();
+      }
+      continue;
+    }
+    if (b === CTRL_Z && self._sms) {
+      flush();
+      self._submitSMS(self._line);
+      self._line = '';
+    } else if (b === ESC && self._sms) {
+      flush();
+      self._sms = null;
+      self._line = '';
+      self._reply(['OK']);
+    } else if (b === 13 || b === 10) {
+      echoed.push(b);
+      var line = self._line;
+      self._line = '';
+      if (line.length) {
+        flush();
+        self._handle(line);
+      }
+    } else {
+      echoed.push(b);
+      self._line += String.fromCharCode(b);
+    }
+  }
+  flush();
+};
+
+FakeSIM900.prototype._script = function (command) {
+  for (var i = 0; i < this.scripts.length; i++) {
+    var entry = this.scripts[i];
+    var match = null;
+    if (entry.pattern instanceof RegExp) {
+      match = command.match(entry.pattern);
+    } else if (entry.pattern === command) {
+      match = [command];
+    }
+    if (match) {
+      var lines = typeof entry.reply === 'function' ? entry.reply(command, match, this) : entry.reply;
+      if (lines) {
+        entry.times--;
+        if (entry.times <= 0) {
+          this.unscript(entry);
+        }
+        return lines;
+      }
+    }
+  }
+  return null;
+};
+
+FakeSIM900.prototype._handle = function (line) {
+  this.commands.push(line);
+  this.emit('command', line);
+
+  if (this._sms) {
+    //  Another line of SMS text
+    this._sms.text.push(line);
+    this._reply(['> ']);
+    return;
+  }
+
+  var lines = this._script(line);
+  if (lines === null) {
+    lines = this._default(line);
+  }
+  this._reply(this._errors(lines));
+};
+
+// Give +CME ERROR / +CMS ERROR lines the way AT+CMEE asks for them
+FakeSIM900.prototype._errors = function (lines) {
+  var cmee = this.cmee;
+  if (!Array.isArray(lines) || cmee === 1) {
+    return lines;
+  }
+  return lines.map(function (line) {
+    var match = typeof line === 'string' && line.match(/^\+(CM[ES] ERROR): (\d+)$/);
+    if (!match) {
+      return line;
+    }
+    if (cmee === 0) {
+      return 'ERROR';
+    }
+    return '+' + match[1] + ': ' + (VERBOSE_ERRORS[match[1] + ': ' + match[2]] || match[2]);
+  });
+};
+
+FakeSIM900.prototype._submitSMS = function (tail) {
+  var sms = this._sms;
+  this._sms = null;
+  if (tail.length) {
+    sms.text.push(tail);
+  }
+  var text = sms.text.join('\n');
+  this.commands.push(text + '\x1a');
+  this.emit('command', text + '\x1a');
+
+  var lines = this._script(text + '\x1a');
+  if (lines === null) {
+    var sent = {number: sms.number, text: text, encoding: 'gsm7', concat: null, report: false};
+    if (sms.pdu) {
+      var decoded = pdu.decode(text);
+      sent = {number: decoded.recipient, text: decoded.text, encoding: decoded.encoding, concat: decoded.concat, report: decoded.report};
+    }
+    sent.reference = this.nextReference;
+    this.nextReference = (this.nextReference + 1) % 256;
+    this.outbox.push(sent);
+    lines = ['+CMGS: ' + sent.reference, 'OK'];
+    if (sent.report && this.deliveryStatus !== null) {
+      setTimeout(this.reportDelivery.bind(this, sent.reference, this.deliveryStatus), this.latency + 5);
+    }
+  }
+  this._reply(this._errors(lines));
+};
+
+FakeSIM900.prototype._submitData = function () {
+  var data = new Buffer(this._data.bytes);
+  var kind = this._data.kind;
+  this._data = null;
+  this.emit('command', data);
+
+  if (kind === 'download') {
+    this.http.body = data;
+    return this._reply(['OK']);
+  }
+
+  var lines = this._script(data.toString('binary'));
+  if (lines === null) {
+    if (this.connection) {
+      this.connection.received.push(data);
+      lines = ['SEND OK'];
+    } else {
+      lines = ['SEND FAIL'];
+    }
+  }
+  this._reply(lines);
+};
+
+FakeSIM900.prototype._httpAction = function (code) {
+  var params = this.http.params;
+  var method = ['GET', 'POST', 'HEAD'][code];
+  var headers = {};
+  if (params.CONTENT) {
+    headers['Content-Type'] = params.CONTENT;
+  }
+  if (params.UA) {
+    headers['User-Agent'] = params.UA;
+  }
+  (params.USERDATA ? params.USERDATA.split('\\r\\n') : []).forEach(function (line) {
+    var colon = line.indexOf(':');
+    headers[line.slice(0, colon)] = line.slice(colon + 1).trim();
+  });
+  var request = {method: method, url: params.URL, headers: headers, params: params, ssl: this.http.ssl, body: this.http.body};
+  this.requests.push(request);
+
+  var response = this.httpHandler(request);
+  var body = response.body || '';
+  body = Buffer.isBuffer(body) ? body : new Buffer(String(body));
+  var responseHeaders = response.headers || {};
+  this.http.response = {
+    status: response.status,
+    headers: Object.keys(responseHeaders).map(function (name) {
+      return name + ': ' + responseHeaders[name] + '\r\n';
+    }).join(''),
+    body: body
+  };
+  return ['OK', '+HTTPACTION:' + code + ',' + response.status + ',' + body.length];
+};
+
+// Frame a reply carrying raw data, as AT+HTTPREAD and AT+HTTPHEAD do
+function rawReply (header, data) {
+  return Buffer.concat([new Buffer('\r\n' + header + ': ' + data.length + '\r\n'), data, new Buffer('\r\nOK\r\n')]);
+}
+
+// The built-in replies to commands no script has claimed
+FakeSIM900.prototype._default = function (command) {
+  var self = this;
+  var match;
+
+  if (command === 'AT') {
+    return ['OK'];
+  }
+  if ((match = command.match(/^ATE([01])$/))) {
+    self.echo = match[1] === '1';
+    return ['OK'];
+  }
+  if ((match = command.match(/^AT\+CLTS=([01])$/))) {
+    self.clts = parseInt(match[1], 10);
+    return ['OK'];
+  }
+  if (command === 'AT+CPOWD=1') {
+    self._reply(['NORMAL POWER DOWN']);
+    self._powerDown();
+    return null;
+  }
+  if (command === 'AT+CPOWD=0') {
+    self._powerDown();
+    return null;
+  }
+  if ((match = command.match(/^AT\+IPR=(\d+)$/))) {
+    var rate = parseInt(match[1], 10);
+    if ([0, 1200, 2400, 4800, 9600, 19200, 38400, 57600, 115200].indexOf(rate) === -1) {
+      return ['ERROR'];
+    }
+    //  Says OK at the old rate, then moves
+    self._reply(['OK']);
+    self.baudrate = rate;
+    return null;
+  }
+  if (command === 'AT+IPR?') {
+    return ['+IPR: ' + self.baudrate, 'OK'];
+  }
+  if (command === 'AT&W') {
+    self.savedBaudrate = self.baudrate;
+    return ['OK'];
+  }
+  if (command === 'AT+CFUN=1,1') {
+    //  Restarts once it has said OK
+    setTimeout(function () {
+      if (self.powered) {
+        self._boot();
+        self.inject(['+CFUN: 1', '+CPIN: ' + self.simState, 'Call Ready']);
+      }
+    }, self.resetMs);
+    return ['OK'];
+  }
+  if ((match = command.match(/^AT\+CSCLK=([012])$/))) {
+    self.sleepMode = parseInt(match[1], 10);
+    self.asleep = self.sleepMode === 1 && self.dtr.read() === 1;
+    //  The OK goes out before it nods off
+    setImmediate(self._idle.bind(self));
+    return ['OK'];
+  }
+  if (command === 'AT+CSCLK?') {
+    return ['+CSCLK: ' + self.sleepMode, 'OK'];
+  }
+  if ((match = command.match(/^AT\+CMEE=([012])$/))) {
+    self.cmee = parseInt(match[1], 10);
+    return ['OK'];
+  }
+  if (command === 'AT+CMEE?') {
+    return ['+CMEE: ' + self.cmee, 'OK'];
+  }
+  if (command === 'ATA') {
+    if (!self.ringing) {
+      return ['NO CARRIER'];
+    }
+    self.ringing = false;
+    self.inCall = true;
+    self.call = self.call || {direction: 1, stat: 4, number: '+15555550000'};
+    self.call.stat = 0;
+    return ['OK'].concat(self._clccLines());
+  }
+  if ((match = command.match(/^ATD(.+);$/))) {
+    self.calls.push(match[1]);
+    self.inCall = true;
+    self.call = {direction: 0, stat: 2, number: match[1]};
+    if (self.colp) {
+      //  With AT+COLP=1 the module holds the OK until the far end answers. We answer right away.
+      self.call.stat = 0;
+      return ['+COLP: "' + match[1] + '",129,"",0,""', 'OK'].concat(self._clccLines());
+    }
+    var dialing = self._clccLines();
+    self.call.stat = 3;
+    return ['OK'].concat(dialing, self._clccLines());
+  }
+  if (command === 'ATH') {
+    var ended = [];
+    if (self.call) {
+      self.call.stat = 6;
+      ended = self._clccLines();
+    }
+    self._endCall();
+    return ['OK'].concat(ended);
+  }
+  if ((match = command.match(/^AT\+(CLIP|CLCC|COLP)=([01])$/))) {
+    self[match[1].toLowerCase()] = match[2] === '1';
+    return ['OK'];
+  }
+  if (command === 'AT+CLCC') {
+    return self._clccLines(true).concat(['OK']);
+  }
+  if ((match = command.match(/^AT\+CMGF=([01])$/))) {
+    self.textMode = match[1] === '1';
+    return ['OK'];
+  }
+  if ((match = command.match(/^AT\+CMGS="(.+)"$/)) && self.textMode) {
+    self._sms = {number: match[1], text: []};
+    return ['> '];
+  }
+  if ((match = command.match(/^AT\+CMGS=(\d+)$/)) && !self.textMode) {
+    self._sms = {pdu: true, length: parseInt(match[1], 10), text: []};
+    return ['> '];
+  }
+  if ((match = command.match(/^AT\+CMGR=(\d+)(?:,([01]))?$/))) {
+    var message = self._findMessage(parseInt(match[1], 10));
+    if (!message) {
+      return ['OK'];
+    }
+    var lines = self._messageLines('+CMGR: ', message);
+    if (match[2] !== '1' && message.status === 'REC UNREAD') {
+      message.status = 'REC READ';
+    }
+    return lines.concat(['OK']);
+  }
+  if ((match = command.match(/^AT\+CMGL=(?:"([A-Z ]+)"|(\d))(?:,([01]))?$/))) {
+    var filter = match[1] || SMS_STATES.concat(['ALL'])[match[2]];
+    var listing = [];
+    self.inbox.forEach(function (message) {
+      if (filter === 'ALL' || message.status === filter) {
+        listing = listing.concat(self._messageLines('+CMGL: ' + message.index + ',', message));
+        if (match[3] !== '1' && message.status === 'REC UNREAD') {
+          message.status = 'REC READ';
+        }
+      }
+    });
+    return listing.concat(['OK']);
+  }
+  if ((match = command.match(/^AT\+CMGD=(\d+)(?:,([0-4]))?$/))) {
+    //  Flags: 1 read, 2 read and sent, 3 read, sent and unsent, 4 everything
+    var flag = parseInt(match[2] || '0', 10);
+    var doomed = [[], ['REC READ'], ['REC READ', 'STO SENT'], ['REC READ', 'STO SENT', 'STO UNSENT']][flag];
+    self.inbox = self.inbox.filter(function (message) {
+      if (flag === 0) {
+        return message.index !== parseInt(match[1], 10);
+      }
+      return flag !== 4 && doomed.indexOf(message.status) === -1;
+    });
+    return ['OK'];
+  }
+  if ((match = command.match(/^AT\+CMGDA=(\d)$/)) && !self.textMode) {
+    var types = [null, ['REC READ'], ['REC UNREAD'], ['STO SENT'], ['STO UNSENT'], ['REC READ', 'REC UNREAD'], SMS_STATES];
+    var type = types[parseInt(match[1], 10)];
+    if (!type) {
+      return ['ERROR'];
+    }
+    self.inbox = self.inbox.filter(function (message) {
+      return type.indexOf(message.status) === -1;
+    });
+    return ['OK'];
+  }
+  if ((match = command.match(/^AT\+CNMI=\d,([0-3])(?:,\d(?:,([0-2]))?)?(?:,\d)*$/))) {
+    self.newMessages = parseInt(match[1], 10);
+    self.statusReports = match[2] ? parseInt(match[2], 10) : 0;
+    return ['OK'];
+  }
+  if (command === 'AT+CPMS?') {
+    var memory = '"SM",' + self.inbox.length + ',' + self.smsCapacity;
+    return ['+CPMS: ' + [memory, memory, memory].join(','), 'OK'];
+  }
+  if (command === 'AT+CSQ') {
+    return ['+CSQ: ' + self.signal.rssi + ',' + self.signal.ber, 'OK'];
+  }
+  if ((match = command.match(/^AT\+(CREG|CGREG)\?$/))) {
+    var n = self[match[1].toLowerCase()];
+    return ['+' + match[1] + ': ' + n + ',' + self._registrationReport(n), 'OK'];
+  }
+  if ((match = command.match(/^AT\+(CREG|CGREG)=([0-2])$/))) {
+    self[match[1].toLowerCase()] = parseInt(match[2], 10);
+    return ['OK'];
+  }
+  if (command === 'AT+CPIN?') {
+    return self.simInserted ? ['+CPIN: ' + self.simState, 'OK'] : ['+CME ERROR: 10'];
+  }
+  var field = {ATI: 'model', 'AT+CGMI': 'manufacturer', 'AT+CGMR': 'firmware', 'AT+GSN': 'imei'}[command];
+  if (field) {
+    return [self.identity[field], 'OK'];
+  }
+  if (command === 'AT+CIMI' || command === 'AT+CCID' || command === 'AT+CNUM') {
+    if (self.simState !== 'READY') {
+      return [self.simInserted ? '+CME ERROR: 11' : '+CME ERROR: 10'];
+    }
+    if (command === 'AT+CNUM') {
+      var own = self.identity.ownNumber;
+      return own ? ['+CNUM: "","' + own + '",' + (own[0] === '+' ? 145 : 129) + ',7,4', 'OK'] : ['OK'];
+    }
+    return [self.identity[command === 'AT+CIMI' ? 'imsi' : 'iccid'], 'OK'];
+  }
+  if ((match = command.match(/^AT\+CPB[SRFW]/))) {
+    return self._phonebookCommand(command);
+  }
+  if ((match = command.match(/^AT\+CUSD=1,"([^"]*)"(?:,\d+)?$/))) {
+    var ussd = self.ussdHandler(match[1], self.ussdSession);
+    if (!ussd) {
+      return ['OK'];
+    }
+    self.ussdSession = ussd.status === 1;
+    //  The text goes over as many lines as it has
+    var reply = ('+CUSD: ' + ussd.status + (ussd.text === undefined ? '' : ',"' + ussd.text + '",' + (ussd.dcs === undefined ? 15 : ussd.dcs))).split('\n');
+    return self.ussdReplyFirst ? reply.concat('OK') : ['OK'].concat(reply);
+  }
+  if (command === 'AT+CUSD=2') {
+    self.ussdSession = false;
+    return ['OK'];
+  }
+  if ((match = command.match(/^AT\+CPIN="(\d+)"(?:,"(\d+)")?$/))) {
+    return self._enterCode(match[1], match[2]);
+  }
+  if ((match = command.match(/^AT\+CPWD="SC","(\d+)","(\d+)"$/))) {
+    if (self.simState !== 'READY') {
+      return ['+CME ERROR: 11'];
+    }
+    if (!self._checkPin(match[1])) {
+      return ['+CME ERROR: 16'];
+    }
+    self.pin = match[2];
+    return ['OK'];
+  }
+  if ((match = command.match(/^AT\+CLCK="SC",([01]),"(\d+)"$/))) {
+    if (self.simState !== 'READY') {
+      return ['+CME ERROR: 11'];
+    }
+    if (!self._checkPin(match[2])) {
+      return ['+CME ERROR: 16'];
+    }
+    self.pinLock = match[1] === '1';
+    return ['OK'];
+  }
+  if (command === 'AT+CGATT?') {
+    return ['+CGATT: ' + (self.gprsAttached ? 1 : 0), 'OK'];
+  }
+  if ((match = command.match(/^AT\+CGATT=([01])$/))) {
+    if (match[1] === '1' && self.registration !== 1 && self.registration !== 5) {
+      return ['ERROR'];
+    }
+    self.gprsAttached = match[1] === '1';
+    if (!self.gprsAttached) {
+      self.ipState = 'IP INITIAL';
+    }
+    return ['OK'];
+  }
+  if ((match = command.match(/^AT\+CSTT="([^"]*)"(?:,"([^"]*)","([^"]*)")?$/))) {
+    if (self.ipState !== 'IP INITIAL') {
+      return ['ERROR'];
+    }
+    self.apn = {name: match[1], user: match[2] || '', password: match[3] || ''};
+    self.ipState = 'IP START';
+    return ['OK'];
+  }
+  if (command === 'AT+CIICR') {
+    if (self.ipState !== 'IP START' || !self.gprsAttached ||
+        (self.requiredApn !== null && self.apn.name !== self.requiredApn)) {
+      return ['ERROR'];
+    }
+    self.ipState = 'IP GPRSACT';
+    return ['OK'];
+  }
+  if (command === 'AT+CIFSR') {
+    if (['IP INITIAL', 'IP START', 'IP CONFIG', 'PDP DEACT'].indexOf(self.ipState) > -1) {
+      return ['ERROR'];
+    }
+    if (self.ipState === 'IP GPRSACT') {
+      self.ipState = 'IP STATUS';
+    }
+    return [self.ip];
+  }
+  if (command === 'AT+CIPSTATUS') {
+    return ['OK', 'STATE: ' + self.ipState];
+  }
+  if (command === 'AT+CIPSHUT') {
+    self.connection = null;
+    self.ipState = 'IP INITIAL';
+    return ['SHUT OK'];
+  }
+  if (/^AT\+CIPHEAD=[01]$/.test(command)) {
+    return ['OK'];
+  }
+  if ((match = command.match(/^AT\+CIPSTART="(TCP|UDP)","([^"]+)","?(\d+)"?$/))) {
+    if (self.connection) {
+      return ['ERROR', 'ALREADY CONNECT'];
+    }
+    if (self.connectResult === 'CONNECT OK') {
+      self.connection = {protocol: match[1], host: match[2], port: parseInt(match[3], 10), received: []};
+      self.ipState = 'CONNECT OK';
+    }
+    return ['OK', self.connectResult];
+  }
+  if ((match = command.match(/^AT\+CIPSEND=(\d+)$/))) {
+    if (!self.connection) {
+      return ['ERROR'];
+    }
+    self._data = {kind: 'send', echo: true, length: parseInt(match[1], 10), bytes: []};
+    return ['> '];
+  }
+  if (command === 'AT+SAPBR=2,1') {
+    return ['+SAPBR: 1,' + (self.bearer.open ? '1,"10.0.0.2"' : '3,"0.0.0.0"'), 'OK'];
+  }
+  if ((match = command.match(/^AT\+SAPBR=3,1,"(\w+)","(.*)"$/))) {
+    self.bearer.params[match[1]] = match[2];
+    return ['OK'];
+  }
+  if (command === 'AT+SAPBR=1,1') {
+    if (self.bearer.open) {
+      return ['ERROR'];
+    }
+    self.bearer.open = true;
+    return ['OK'];
+  }
+  if (command === 'AT+SAPBR=0,1') {
+    self.bearer.open = false;
+    return ['OK'];
+  }
+  if (command === 'AT+HTTPINIT') {
+    if (self.http || !self.bearer.open) {
+      return ['ERROR'];
+    }
+    self.http = {params: {}, ssl: false, body: null, response: null};
+    return ['OK'];
+  }
+  if (command === 'AT+HTTPTERM') {
+    if (!self.http) {
+      return ['ERROR'];
+    }
+    self.http = null;
+    return ['OK'];
+  }
+  if (self.http && (match = command.match(/^AT\+HTTPPARA="(\w+)","?([^"]*)"?$/))) {
+    self.http.params[match[1]] = match[2];
+    return ['OK'];
+  }
+  if (self.http && (match = command.match(/^AT\+HTTPSSL=([01])$/))) {
+    self.http.ssl = match[1] === '1';
+    return ['OK'];
+  }
+  if (self.http && (match = command.match(/^AT\+HTTPDATA=(\d+),(\d+)$/))) {
+    self._data = {kind: 'download', echo: false, length: parseInt(match[1], 10), bytes: []};
+    return ['DOWNLOAD'];
+  }
+  if (self.http && (match = command.match(/^AT\+HTTPACTION=([012])$/))) {
+    return self._httpAction(parseInt(match[1], 10));
+  }
+  if (self.http && self.http.response && command === 'AT+HTTPHEAD') {
+    return rawReply('+HTTPHEAD', new Buffer(self.http.response.headers));
+  }
+  if (self.http && self.http.response && (match = command.match(/^AT\+HTTPREAD(?:=(\d+),(\d+))?$/))) {
+    var body = self.http.response.body;
+    var from = match[1] ? parseInt(match[1], 10) : 0;
+    var size = match[2] ? parseInt(match[2], 10) : body.length;
+    return rawReply('+HTTPREAD', body.slice(from, from + size));
+  }
+  if (/^AT\+CIPCLOSE(=[01])?$/.test(command)) {
+    if (!self.connection) {
+      return ['ERROR'];
+    }
+    self.connection = null;
+    self.ipState = 'TCP CLOSED';
+    return ['CLOSE OK'];
+  }
+  return ['ERROR'];
+};
+
+module.exports = FakeSIM900;
+module.exports.FakeUART = FakeUART;
+module.exports.FakePin = FakePin;
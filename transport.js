@@ -0,0 +1,158 @@
+/*
+What the driver talks to the SIM900 through. A transport is {uart, power,
+close, baudrate, setBaudRate}: `uart` is anything with `write` that emits
+'data' with what the module sends, such as a Tessel UART, a serialport or any
+other Duplex stream, and `power` is an adapter that works the module's power
+key, or null if nothing can. `setBaudRate(rate, callback)` changes the UART's
+rate and calls back with (err, uart), `uart` being a new one if it had to be
+reopened; it's null if the UART's rate can't be changed. A power adapter is
+an object whose `toggle(callback)` presses the key long enough to turn the
+module on or off and calls back once it has booted or shut down. `open` makes
+a transport of a Tessel port, which brings its own UART and power pin, or of
+a stream and whatever power adapter goes with it.
+*/
+
+function PinPower (pin) {
+  /*
+  Constructor for a power adapter that drives the power key from a GPIO pin
+
+  args
+    pin
+      Anything with `high` and `low`, like a Tessel pin. The key is pressed by taking it low.
+  */
+
+  this.pin = pin;
+  pin.high();
+}
+
+PinPower.prototype.toggle = function (callback) {
+  //  The SIM900 wants the key held for at least a second, then takes a few to boot or shut down
+  var pin = this.pin;
+  pin.high();
+  setTimeout(function () {
+    pin.low();
+    setTimeout(function () {
+      pin.high();
+      setTimeout(callback, 5000);
+    }, 1500);
+  }, 100);
+};
+
+function power (adapter) {
+  /*
+  Make a power adapter of what we were given
+
+  args
+    adapter
+      A power adapter, a function to call as its `toggle`, a pin with `high` and `low`, or null for none
+
+  returns
+    The power adapter, or null
+  */
+
+  if (!adapter) {
+    return null;
+  }
+  if (typeof adapter === 'function') {
+    return {toggle: adapter};
+  }
+  if (typeof adapter.toggle === 'function') {
+    return adapter;
+  }
+  if (typeof adapter.high === 'function' && typeof adapter.low === 'function') {
+    return new PinPower(adapter);
+  }
+  throw new Error('Not a power adapter: give a toggle function, an object with one, or a pin');
+}
+
+//  The rate a Tessel's UART opens at unless told otherwise
+var BAUDRATE = 115200;
+
+function tessel (port, adapter, baudrate) {
+  //  A Tessel port: its UART, and the power key on its G3 pin unless `adapter` says otherwise
+  var self = {
+    uart: port.UART({baudrate: baudrate || BAUDRATE}),
+    baudrate: baudrate || BAUDRATE,
+    power: adapter === undefined ? new PinPower(port.digital[2]) : power(adapter),
+    close: function () {
+      self.uart.disable();
+    },
+    setBaudRate: function (rate, callback) {
+      if (typeof self.uart.setBaudRate === 'function') {
+        self.uart.setBaudRate(rate);
+      } else {
+        self.uart.disable();
+        self.uart = port.UART({baudrate: rate});
+      }
+      self.baudrate = rate;
+      setImmediate(callback, null, self.uart);
+    }
+  };
+  return self;
+}
+
+function stream (duplex, adapter, baudrate) {
+  //  Any stream with `write` that emits 'data', with a power adapter if there is one. `baudrate` is the rate it was opened at, if known.
+  var self = {
+    uart: duplex,
+    baudrate: baudrate || null,
+    power: power(adapter),
+    setBaudRate: null,
+    close: function () {
+      if (typeof duplex.disable === 'function') {
+        duplex.disable();
+      } else if (typeof duplex.close === 'function') {
+        duplex.close();
+      } else if (typeof duplex.end === 'function') {
+        duplex.end();
+      }
+    }
+  };
+  if (typeof duplex.update === 'function') {
+    //  A serialport
+    self.setBaudRate = function (rate, callback) {
+      duplex.update({baudRate: rate}, function (err) {
+        if (!err) {
+          self.baudrate = rate;
+        }
+        callback(err || null, duplex);
+      });
+    };
+  } else if (typeof duplex.setBaudRate === 'function') {
+    self.setBaudRate = function (rate, callback) {
+      duplex.setBaudRate(rate);
+      self.baudrate = rate;
+      setImmediate(callback, null, duplex);
+    };
+  }
+  return self;
+}
+
+function open (hardware, adapter, baudrate) {
+  /*
+  Make a transport
+
+  args
+    hardware
+      A Tessel port, or a stream
+    adapter
+      The power adapter, as for `power`. Leave it undefined to use a Tessel port's own pin.
+    baudrate
+      The rate to open a Tessel port's UART at, 115200 unless given. For a stream, the rate it's open at.
+
+  returns
+    {uart, power, close, baudrate, setBaudRate}
+  */
+
+  if (hardware && typeof hardware.UART === 'function') {
+    return tessel(hardware, adapter, baudrate);
+  }
+  if (hardware && typeof hardware.write === 'function' && typeof hardware.on === 'function') {
+    return stream(hardware, adapter, baudrate);
+  }
+  throw new Error('Not a Tessel port or a stream');
+}
+
+module.exports.PinPower = PinPower;
+module.exports.power = power;
+module.exports.open = open;
@@ -0,0 +1,163 @@
+/*
+Unsolicited result codes (URCs): the lines the module sends of its own
+accord, like 'RING' or '+CMTI: "SM",3'. `gprs.onURC` registers a handler for
+the ones that match a pattern, with a parser to turn the line into something
+more useful first. The common codes have parsers of their own, used unless
+another is given.
+
+The Postmaster is told about every pattern, so that a URC that arrives in the
+middle of a reply goes to its handlers rather than into the reply, unless it
+is a line the command on the wire is waiting for, ie '+CREG: 0,1' for
+AT+CREG?. The codes the driver handles itself are in DRIVER.
+*/
+
+var response = require('./response.js');
+var ussd = require('./ussd.js');
+
+//  What the driver itself listens for. Never part of a reply to another command.
+var DRIVER = ['RING', '+CMTI:', '+CMT:', '+CDS:', '+CDSI:', '+CLIP:', '+CLCC:', '+CREG:', '+CGREG:', '+CUSD:', '+CPIN:', '+CFUN:',
+  '+PDP: DEACT', 'RDY', 'Call Ready', 'NORMAL POWER DOWN', 'UNDER-VOLTAGE', 'OVER-VOLTAGE',
+  //  How a connection, or an HTTP request, turns out: see socket.js and http.js
+  'CONNECT OK', 'CONNECT FAIL', 'ALREADY CONNECT', 'CLOSED', '+HTTPACTION:'];
+
+//  Code -> parser of its line
+var PARSERS = {
+  //  '+CMTI: "SM",3': a text was stored
+  '+CMTI': function (line) {
+    return response.parse(line, ['memory', 'index']);
+  },
+  //  '+CREG: <stat>[,"<lac>","<ci>"]': registration changed. 1 is home, 5 is roaming.
+  '+CREG': function (line) {
+    var fields = response.parse(line, ['stat', 'lac', 'cellId']);
+    return {
+      stat: fields.stat,
+      registered: fields.stat === 1 || fields.stat === 5,
+      roaming: fields.stat === 5,
+      lac: fields.lac === null ? null : parseInt(fields.lac, 16),
+      cellId: fields.cellId === null ? null : parseInt(fields.cellId, 16)
+    };
+  },
+  //  '+CLIP: "+15555550000",145,"",,"Alice",0': who's calling
+  '+CLIP': function (line) {
+    var fields = response.parse(line, ['number', 'type', 'subaddress', 'subaddressType', 'name', 'validity']);
+    return {number: fields.number || null, type: fields.type, name: fields.name || null, validity: fields.validity};
+  },
+  //  '+CUSD: 0,"Your balance is 5.00 EUR",15': a USSD message, as for ussd.parse
+  '+CUSD': ussd.parse,
+  //  The network dropped our GPRS context
+  '+PDP: DEACT': function () {
+    return {reason: 'deactivated'};
+  },
+  //  'UNDER-VOLTAGE WARNNING' (sic), or 'UNDER-VOLTAGE POWER DOWN' as the module gives up
+  'UNDER-VOLTAGE': function (line) {
+    return {warning: /WARN/.test(line), powerDown: /POWER DOWN$/.test(line)};
+  }
+};
+
+function raw (line) {
+  //  The parser that leaves the line as it is
+  return line;
+}
+
+function matches (pattern, line) {
+  //  A String matches lines that start with it, a RegExp those it matches
+  return pattern instanceof RegExp ? pattern.test(line) : line.indexOf(pattern) === 0;
+}
+
+function same (a, b) {
+  if (a instanceof RegExp && b instanceof RegExp) {
+    return String(a) === String(b);
+  }
+  return a === b;
+}
+
+function on (gprs, pattern, parser, handler, options) {
+  /*
+  Register a handler
+
+  args
+    pattern
+      A String that the line starts with, ie '+CMTI', or a RegExp to test it against
+    parser
+      A function that turns the line into what the handler gets, or null for the code's own parser, if it has one, or the line as it is
+    handler
+      Called with what the parser made of the line, and the line
+    options - Optional
+      lines
+        How many lines follow the first, ie 1 for '+CMT:' and its PDU. They're joined to it with '\n'.
+  */
+
+  if (!(pattern instanceof RegExp) && (typeof pattern !== 'string' || !pattern.length)) {
+    throw new Error('Not a URC pattern: give a String or a RegExp');
+  }
+  if (typeof handler !== 'function') {
+    throw new Error('A URC handler must be a function');
+  }
+  var lines = (options && options.lines) || 0;
+  var entry = {
+    pattern: pattern,
+    parse: parser || (typeof pattern === 'string' && PARSERS[pattern.replace(/:\s*$/, '')]) || raw,
+    handler: handler,
+    //  Tells the Postmaster to wait for the rest of the URC
+    continued: lines ? function (joined) {
+      var parts = joined.split('\n');
+      return parts.length <= lines && matches(pattern, parts[0]);
+    } : null
+  };
+  gprs._urcs.push(entry);
+  gprs.postmaster.urcs.push(pattern);
+  if (entry.continued) {
+    gprs.postmaster.continued.push(entry.continued);
+  }
+}
+
+function off (gprs, pattern, handler) {
+  /*
+  Unregister the handlers for `pattern`, or only `handler` if given. The pattern should be the same String, or a RegExp with the same source and flags.
+  */
+
+  var postmaster = gprs.postmaster;
+  var remove = function (list, item) {
+    var i = list.indexOf(item);
+    if (i > -1) {
+      list.splice(i, 1);
+    }
+  };
+  gprs._urcs = gprs._urcs.filter(function (entry) {
+    if (!same(entry.pattern, pattern) || (handler && entry.handler !== handler)) {
+      return true;
+    }
+    remove(postmaster.urcs, entry.pattern);
+    remove(postmaster.continued, entry.continued);
+    return false;
+  });
+}
+
+function dispatch (gprs, line) {
+  /*
+  Hand an unsolicited line to the handlers it matches
+
+  returns
+    true if there were any
+  */
+
+  if (typeof line !== 'string') {
+    return false;
+  }
+  //  A handler may unregister itself, or another
+  var entries = gprs._urcs.filter(function (entry) {
+    return matches(entry.pattern, line);
+  });
+  entries.forEach(function (entry) {
+    entry.handler(entry.parse(line), line);
+  });
+  return entries.length > 0;
+}
+
+module.exports.DRIVER = DRIVER;
+module.exports.PARSERS = PARSERS;
+module.exports.raw = raw;
+module.exports.matches = matches;
+module.exports.on = on;
+module.exports.off = off;
+module.exports.dispatch = dispatch;
@@ -0,0 +1,163 @@
+/*
+USSD, the '*100#' codes networks use for balance checks, top-ups and menus.
+We send a code with AT+CUSD=1 and the network answers some time after the
+OK with '+CUSD: <status>,"<text>",<dcs>'. Status 1 means it wants more: the
+session stays open, and the next code sent is the answer to its question.
+One request is waited on at a time; the state lives in `gprs._ussd`, and
+`gprs.ussdSession` says whether the network is waiting on us.
+*/
+
+var pdu = require('./pdu.js');
+var response = require('./response.js');
+
+//  +CUSD <status> -> what it means
+var STATUSES = ['done', 'open', 'terminated', 'other client', 'not supported', 'timeout'];
+//  '+CUSD: <status>[,"<text>"[,<dcs>]]'. The text can run over several lines.
+var REPLY = /^\+CUSD: (\d)(?:,"([^"]*)"(?:,(\d+))?)?/;
+//  A reply whose text has yet to end
+var UNFINISHED = /^\+CUSD: \d,"[^"]*$/;
+
+function parse (line) {
+  /*
+  returns
+    {status, open, text, dcs}, or null if the line isn't a +CUSD reply
+  */
+
+  var match = typeof line === 'string' && line.match(REPLY);
+  if (!match) {
+    return null;
+  }
+  var code = parseInt(match[1], 10);
+  var dcs = match[3] === undefined ? null : parseInt(match[3], 10);
+  return {
+    status: STATUSES[code] || String(code),
+    open: code === 1,
+    text: match[2] === undefined ? null : pdu.decodeUSSD(match[2], dcs),
+    dcs: dcs
+  };
+}
+
+function handleLine (gprs, line) {
+  /*
+  Hand a +CUSD reply to whoever is waiting for it, or emit it as 'ussd' if nobody is (the network started it)
+
+  returns
+    true if the line was a +CUSD reply
+  */
+
+  var reply = parse(line);
+  if (!reply) {
+    return false;
+  }
+  gprs.ussdSession = reply.open;
+  var pending = gprs._ussd;
+  if (!pending) {
+    gprs.emit('ussd', reply);
+    return true;
+  }
+  if (reply.status === 'done' || reply.status === 'open' || (reply.status === 'terminated' && reply.text !== null)) {
+    finish(gprs, null, reply);
+  } else {
+    var err = new Error('USSD ' + (reply.status === 'timeout' ? 'timed out on the network' : reply.status) + (reply.text ? ': ' + reply.text : ''));
+    err.type = reply.status === 'timeout' ? 'timeout' : 'ussd';
+    err.reply = reply;
+    finish(gprs, err, reply);
+  }
+  return true;
+}
+
+function finish (gprs, err, reply) {
+  var pending = gprs._ussd;
+  if (!pending) {
+    return;
+  }
+  gprs._ussd = null;
+  clearTimeout(pending.timer);
+  pending.callback(err, reply);
+}
+
+function send (gprs, code, timeout, callback) {
+  /*
+  Send a USSD code, or the answer to the question an open session asked
+
+  args
+    gprs
+      The GPRS object
+    code
+      The code, ie '*100#', or answer, ie '1'
+    timeout
+      Milliseconds to wait for the network's reply before cancelling the session
+    callback
+      Called with an error or the reply: {status, open, text, dcs}
+  */
+
+  if (gprs._ussd) {
+    return setImmediate(callback, new Error('Already waiting on a USSD reply'), null);
+  }
+  if (!/^[^"\r\n]+$/.test(String(code || ''))) {
+    return setImmediate(callback, new Error('Invalid USSD code: ' + code), null);
+  }
+  var command = 'AT+CUSD=1,"' + code + '",15';
+  gprs._ussd = {
+    callback: callback,
+    timer: setTimeout(function () {
+      var err = new Error('No USSD reply after ' + timeout + ' ms');
+      err.type = 'timeout';
+      gprs._ussd = null;
+      cancel(gprs, function () {
+        callback(err, null);
+      });
+    }, timeout)
+  };
+  gprs._txrx(command, 10000, function (err, data) {
+    data = data || [];
+    //  Some firmware sends the reply before the OK, a line at a time
+    var reply = null;
+    data.forEach(function (line) {
+      if (reply !== null) {
+        reply += '\n' + line;
+      } else if (REPLY.test(line)) {
+        reply = line;
+      }
+      if (reply !== null && !UNFINISHED.test(reply)) {
+        handleLine(gprs, reply);
+        reply = null;
+      }
+    });
+    var last = data[data.length - 1];
+    if (!err && last !== 'OK') {
+      err = response.error(command, data);
+    }
+    if (err) {
+      finish(gprs, err, null);
+    }
+  });
+}
+
+function cancel (gprs, callback) {
+  //  End the session with AT+CUSD=2, failing any request still waiting
+  var pending = gprs._ussd;
+  if (pending) {
+    gprs._ussd = null;
+    clearTimeout(pending.timer);
+  }
+  gprs._txrx('AT+CUSD=2', 5000, function (err, data) {
+    data = data || [];
+    if (!err && data[data.length - 1] !== 'OK') {
+      err = response.error('AT+CUSD=2', data);
+    }
+    gprs.ussdSession = false;
+    if (pending) {
+      var cancelled = new Error('USSD request cancelled');
+      cancelled.type = 'cancelled';
+      pending.callback(cancelled, null);
+    }
+    callback(err, data);
+  });
+}
+
+module.exports.UNFINISHED = UNFINISHED;
+module.exports.parse = parse;
+module.exports.handleLine = handleLine;
+module.exports.send = send;
+module.exports.cancel = cancel;
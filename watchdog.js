@@ -0,0 +1,196 @@
+/*
+Notices when the module, or our conversation with it, has got stuck, and gets
+it going again. Either a run of commands in a row that got no reply, or a
+heartbeat AT sent while nothing else is going on that gets none, sets it off.
+It then tries one thing after another until the module answers: clearing the
+Postmaster, a soft reset (AT+CFUN=1,1) and a power cycle. Once it answers, the
+module is set up again as when we first made contact.
+
+Messages queued when it set off are held until it's over, then sent, or
+failed with an error of type 'unrecoverable' if nothing worked. The one on
+the wire fails with the timeout or 'cleared' error it would have anyway.
+*/
+
+var power = require('./power.js');
+
+//  What to try, in order
+var STEPS = ['clear', 'reset', 'power'];
+
+function start (gprs, options) {
+  /*
+  Start watching
+
+  args
+    gprs
+      The GPRS object
+    options
+      true for the defaults, or
+        timeouts
+          How many commands in a row may go unanswered. Defaults to 3.
+        heartbeat
+          Milliseconds between heartbeats. Defaults to 60000. 0 for none.
+        resetDelay
+          Milliseconds to give the module to restart after AT+CFUN=1,1. Defaults to 10000.
+
+  returns
+    The watchdog's state, or null without options
+  */
+
+  if (!options) {
+    return null;
+  }
+  options = options === true ? {} : options;
+  var dog = {
+    timeouts: options.timeouts || 3,
+    heartbeat: options.heartbeat === undefined ? 60000 : options.heartbeat,
+    resetDelay: options.resetDelay === undefined ? 10000 : options.resetDelay,
+    //  Unanswered commands in a row
+    missed: 0,
+    recovering: false,
+    stopped: false,
+    timer: null
+  };
+  gprs.postmaster.on('timeout', function () {
+    if (watching(gprs, dog)) {
+      dog.missed++;
+      if (dog.missed >= dog.timeouts) {
+        recover(gprs, 'timeouts');
+      }
+    }
+  });
+  gprs.postmaster.on('post', function () {
+    dog.missed = 0;
+  });
+  if (dog.heartbeat) {
+    dog.timer = setInterval(function () {
+      beat(gprs, dog);
+    }, dog.heartbeat);
+  }
+  return dog;
+}
+
+function stop (gprs) {
+  var dog = gprs.watchdog;
+  if (dog) {
+    dog.stopped = true;
+    clearInterval(dog.timer);
+    dog.timer = null;
+  }
+}
+
+function watching (gprs, dog) {
+  //  Unanswered commands are to be expected before contact, while the module is off or asleep, and while we're recovering
+  return !dog.stopped && !dog.recovering && gprs._contactError === null && gprs.powered !== false && !gprs.sleepMode;
+}
+
+function beat (gprs, dog) {
+  //  Only when the line is quiet: while it isn't, missed replies are counted anyway
+  var postmaster = gprs.postmaster;
+  if (!watching(gprs, dog) || postmaster.current || postmaster.queue.length) {
+    return;
+  }
+  gprs._txrx('AT', 1000, function (err) {
+    if (err && err.type === 'timeout' && watching(gprs, dog)) {
+      recover(gprs, 'heartbeat');
+    }
+  }, [['AT', 'OK'], ['OK'], 1]);
+}
+
+function clear (gprs, dog, callback) {
+  //  Forget the reply we were waiting on, in case it was garbled, and see whether that's all it was
+  gprs.postmaster.forceClear();
+  power.probe(gprs, 2, callback);
+}
+
+function reset (gprs, dog, callback) {
+  //  Restart the module, which loses every setting that wasn't saved
+  gprs._txrx('AT+CFUN=1,1', 1000, function () {
+    setTimeout(function () {
+      power.probe(gprs, 3, callback);
+    }, dog.resetDelay);
+  });
+}
+
+function cycle (gprs, dog, callback) {
+  //  Turn it off and on again. _establishContact sets it up again as it does at startup.
+  var restart = function () {
+    power.on(gprs, function (err) {
+      callback(!err, true);
+    });
+  };
+  if (power.isOn(gprs) === false) {
+    return restart();
+  }
+  //  Too stuck to shut down with AT+CPOWD
+  gprs.togglePower(function () {
+    power.setPowered(gprs, false);
+    restart();
+  });
+}
+
+var ATTEMPTS = {clear: clear, reset: reset, power: cycle};
+
+function recover (gprs, reason) {
+  /*
+  Get the module going again, emitting 'recovering' before each step and 'recovered' once done. Does nothing if already at it.
+
+  args
+    gprs
+      The GPRS object
+    reason
+      What set it off: 'timeouts' or 'heartbeat'
+  */
+
+  var dog = gprs.watchdog;
+  if (!dog || dog.recovering || dog.stopped) {
+    return;
+  }
+  dog.recovering = true;
+  dog.missed = 0;
+  var held = gprs.postmaster.drain();
+
+  var finish = function (err, step) {
+    dog.recovering = false;
+    dog.missed = 0;
+    if (err) {
+      held.forEach(function (job) {
+        job.callback(err, []);
+      });
+    } else {
+      gprs.postmaster.restore(held);
+    }
+    gprs.emit('recovered', err, step);
+  };
+
+  var attempt = function (i) {
+    if (i === STEPS.length) {
+      var err = new Error('Could not get the module to answer after ' + reason);
+      err.type = 'unrecoverable';
+      return finish(err, null);
+    }
+    var step = STEPS[i];
+    if (step === 'power' && !gprs.power) {
+      //  Nothing to cycle it with
+      return attempt(i + 1);
+    }
+    gprs.emit('recovering', step, reason);
+    ATTEMPTS[step](gprs, dog, function (answered, configured) {
+      if (!answered) {
+        return attempt(i + 1);
+      }
+      if (configured) {
+        return finish(null, step);
+      }
+      gprs._configure(function () {
+        finish(null, step);
+      });
+    });
+  };
+  //  Once the Postmaster is done with the message that set us off
+  setImmediate(attempt, 0);
+}
+
+module.exports.STEPS = STEPS;
+module.exports.start = start;
+module.exports.stop = stop;
+module.exports.recover = recover;